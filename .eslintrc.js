@@ -19,6 +19,7 @@ module.exports = {
   ],
   globals: {
     "__WEEX__": true,
+    "__CSP__": true,
     "WXEnvironment": true
   },
   rules: {
@@ -1,3 +1,6 @@
+// global flag to be compiled away, true in the build without new Function
+declare var __CSP__: boolean;
+
 declare type CompilerOptions = {
   warn?: Function; // allow customizing warning in different environments; e.g. node
   modules?: Array<ModuleOptions>; // platform specific modules; e.g. style; class
@@ -15,11 +18,19 @@ declare type CompilerOptions = {
   isPreTag?: (attr: string) => ?boolean; // check if a tag needs to preserve whitespace
   getTagNamespace?: (tag: string) => ?string; // check the namespace for a tag
   expectHTML?: boolean; // only false for non-web builds
+  fragments?: boolean; // render templates with several root elements as fragments
   isFromDOM?: boolean;
   shouldDecodeTags?: boolean;
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  tolerant?: boolean; // recover from malformed markup and keep error nodes in the AST
+  sourceMap?: boolean; // generate source maps for render functions
+  filename?: string; // template file name used in source maps
+  hoistStatic?: boolean; // hoist constant data objects out of render functions
+  patchFlags?: boolean; // flag the dynamic parts of element data for the patcher
+  blockTree?: boolean; // patch stable subtrees through their dynamic nodes only
+  downlevel?: boolean; // rewrite optional chaining, `??` and BigInt literals in render code
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -27,6 +38,93 @@ declare type CompilerOptions = {
 
   // for ssr optimization compiler
   scopeId?: string;
+
+  // compiler plugins applied in addition to the ones registered with use()
+  plugins?: Array<CompilerPlugin>;
+
+  // declarations of the component, to check template expressions against
+  bindings?: ComponentBindings;
+
+  // lint rules to run, with the severity of each rule
+  lint?: boolean | { [rule: string]: LintSeverity };
+  lintRules?: { [rule: string]: LintRule }; // custom lint rules
+
+  // store for compiled code consulted by compileToFunctions, false to disable caching
+  cache?: CompileCache | false;
+};
+
+// compiled code of a template, as kept in a compile cache
+declare type CompiledCode = {
+  render: string;
+  staticRenderFns: Array<string>;
+  map?: SourceMap;
+  staticMaps?: Array<SourceMap>;
+};
+
+declare type CompileCache = {
+  get: (key: string) => ?CompiledCode;
+  set: (key: string, code: CompiledCode) => void;
+};
+
+declare type LintSeverity = 'off' | 'warn' | 'error';
+
+declare type LintFix = {
+  start: number;
+  end: number;
+  text: string; // replaces the source between start and end
+};
+
+declare type LintMessage = {
+  rule: string;
+  severity: LintSeverity;
+  msg: string;
+  start?: number;
+  end?: number;
+  fix?: Array<LintFix>;
+};
+
+declare type LintContext = {
+  source: string;
+  report: (message: {
+    msg: string;
+    start?: ?number;
+    end?: ?number;
+    fix?: ?Array<LintFix>;
+  }) => void;
+};
+
+declare type LintRule = {
+  description: string;
+  severity?: LintSeverity; // default severity
+  element?: (el: ASTElement, context: LintContext) => void;
+  text?: (node: ASTText | ASTExpression, context: LintContext) => void;
+};
+
+// each entry is either a list of names or the corresponding component option
+declare type ComponentBindings = {
+  props?: Array<string> | { [key: string]: any };
+  data?: Array<string> | { [key: string]: any } | Function;
+  computed?: Array<string> | { [key: string]: any };
+  methods?: Array<string> | { [key: string]: any };
+  inject?: Array<string> | { [key: string]: any };
+  globals?: Array<string>; // extra names, e.g. from mixins or global properties
+  // child components by registered name, either a list of prop names
+  // or the component options
+  components?: { [key: string]: Array<string> | Object };
+};
+
+declare type CompilerPlugin = {
+  name: string;
+  astVersion?: number; // the AST_VERSION the plugin was written against
+  enforce?: 'pre' | 'post'; // run before or after the platform modules
+  preTransformNode?: (el: ASTElement, options: CompilerOptions) => ?ASTElement;
+  transformNode?: (el: ASTElement, options: CompilerOptions) => ?ASTElement;
+  postTransformNode?: (el: ASTElement, options: CompilerOptions) => void;
+  genData?: (el: ASTElement) => string;
+  transformCode?: (el: ASTElement, code: string) => string;
+  staticKeys?: Array<string>;
+  // compile-time directives, returning true if a runtime directive is still needed
+  directives?: { [key: string]: (el: ASTElement, dir: ASTDirective, warn: Function) => ?boolean };
 };
 
 declare type WarningMessage = {
@@ -35,13 +133,24 @@ declare type WarningMessage = {
   end?: number;
 };
 
+declare type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
 declare type CompiledResult = {
   ast: ?ASTElement;
   render: string;
   staticRenderFns: Array<string>;
   stringRenderFns?: Array<string>;
+  map?: SourceMap;
+  staticMaps?: Array<SourceMap>;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
+  lint?: Array<LintMessage>;
 };
 
 declare type ModuleOptions = {
@@ -53,7 +162,8 @@ declare type ModuleOptions = {
   // transform an AST node after its children have been processed
   // cannot return replacement in postTransform because tree is already finalized
   postTransformNode: (el: ASTElement) => void;
-  genData: (el: ASTElement) => string; // generate extra data string for an element
+  genData: (el: ASTElement, state: Object) => string; // generate extra data string for an element
+  genPatchFlag?: (el: ASTElement) => number; // patch flags for the dynamic parts of the data from genData
   transformCode?: (el: ASTElement, code: string) => string; // further transform generated code for an element
   staticKeys?: Array<string>; // AST properties to be considered static
 };
@@ -94,7 +204,7 @@ declare type ASTDirective = {
   end?: number;
 };
 
-declare type ASTNode = ASTElement | ASTText | ASTExpression;
+declare type ASTNode = ASTElement | ASTText | ASTExpression | ASTError;
 
 declare type ASTElement = {
   type: 1;
@@ -102,6 +212,8 @@ declare type ASTElement = {
   attrsList: Array<ASTAttr>;
   attrsMap: { [key: string]: any };
   rawAttrsMap: { [key: string]: ASTAttr };
+  // attributes as written, when a transform has rewritten attrsMap
+  sourceAttrsMap?: { [key: string]: any };
   parent: ASTElement | void;
   children: Array<ASTNode>;
 
@@ -123,6 +235,7 @@ declare type ASTElement = {
   plain?: boolean;
   pre?: true;
   ns?: string;
+  fragment?: true; // synthetic root of a template with several root elements
 
   component?: string;
   inlineTemplate?: true;
@@ -173,6 +286,9 @@ declare type ASTElement = {
   wrapData?: (code: string) => string;
   wrapListeners?: (code: string) => string;
 
+  // block tree, whether the element is patched through its block
+  dynamicData?: boolean;
+
   // 2.4 ssr optimization
   ssrOptimizability?: number;
 
@@ -203,6 +319,16 @@ declare type ASTText = {
   end?: number;
 };
 
+// malformed markup found in tolerant mode
+declare type ASTError = {
+  type: 4;
+  message: string;
+  static?: boolean;
+  ssrOptimizability?: number;
+  start: number;
+  end: number;
+};
+
 // SFC-parser related declarations
 
 // an object format describing a single-file component
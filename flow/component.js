@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -23,6 +24,7 @@ declare interface Component {
   $el: any; // so that we can attach __vue__ to it
   $data: Object;
   $props: Object;
+  $asyncComputed: { [key: string]: AsyncComputedState };
   $options: ComponentOptions;
   $parent: Component | void;
   $root: Component;
@@ -58,7 +60,9 @@ declare interface Component {
   _renderContext: ?Component;
   _watcher: Watcher;
   _watchers: Array<Watcher>;
+  _scope: EffectScope;
   _computedWatchers: { [key: string]: Watcher };
+  _asyncComputed: { [key: string]: AsyncComputedState };
   _data: Object;
   _props: Object;
   _events: Object;
@@ -106,6 +110,14 @@ declare interface Component {
   _m: (index: number, isInFor?: boolean) => VNode | VNodeChildren;
   // markOnce
   _o: (vnode: VNode | Array<VNode>, index: number, key: string) => VNode | VNodeChildren;
+  // renderHoisted
+  _h: (index: number) => any;
+  // openBlock
+  _x: () => void;
+  // closeBlock
+  _y: (vnode: VNode, hash: number) => VNode;
+  // trackBlockNode
+  _z: (vnode: VNode) => VNode;
   // toString
   _s: (value: mixed) => string;
   // text to VNode
@@ -17,6 +17,22 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T: Object>(target: T) => T;
+  shallowReactive: <T: Object>(target: T) => T;
+  readonly: <T: Object>(target: T) => T;
+  markRaw: <T>(value: T) => T;
+  isReactive: (value: any) => boolean;
+  isReadonly: (value: any) => boolean;
+  isShallow: (value: any) => boolean;
+  ref: (value: any) => Object;
+  isRef: (value: any) => boolean;
+  unref: (value: any) => any;
+  computed: (getterOrOptions: Function | Object) => Object;
+  watch: (source: any, cb: Function, options?: Object) => Function;
+  watchEffect: (effect: Function, options?: Object) => Function;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: () => void) => void;
 
   // allow dynamic method registration
   [key: string]: any
@@ -1,8 +1,3 @@
-declare module 'he' {
-  declare function escape(html: string): string;
-  declare function decode(html: string): string;
-}
-
 declare module 'source-map' {
   declare class SourceMapGenerator {
     setSourceContent(filename: string, content: string): void;
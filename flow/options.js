@@ -22,6 +22,12 @@ declare type ComponentOptions = {
       cache?: boolean
     }
   };
+  asyncComputed?: {
+    [key: string]: Function | {
+      get: Function;
+      default?: any
+    }
+  };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
 
@@ -45,6 +51,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: (event: Object) => void;
+  renderTriggered?: (event: Object) => void;
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,6 +78,7 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  proxyArrays?: boolean;
 
   // private
   _isComponent?: true;
@@ -88,3 +97,9 @@ declare type PropOptions = {
   required: ?boolean;
   validator: ?Function;
 }
+
+declare type AsyncComputedState = {
+  value: any;
+  pending: boolean;
+  error: any;
+}
@@ -63,6 +63,8 @@ declare interface VNodeData {
     value: any;
     callback: Function;
   };
+  patchFlag?: number; // dynamic parts of the data, see shared/constants
+  patchHash?: number; // identifies the constant parts of the data
 };
 
 declare type VNodeDirective = {
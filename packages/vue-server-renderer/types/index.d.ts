@@ -5,6 +5,8 @@ export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare function createDiskCompileCache(dir: string): CompileCache;
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -31,6 +33,7 @@ interface RendererOptions {
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
   cache?: RenderCache;
+  compileCache?: CompileCache;
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
@@ -43,6 +46,16 @@ interface BundleRendererOptions extends RendererOptions {
   basedir?: string;
 }
 
+interface CompiledCode {
+  render: string;
+  staticRenderFns: string[];
+}
+
+interface CompileCache {
+  get(key: string): CompiledCode | undefined;
+  set(key: string, code: CompiledCode): void;
+}
+
 interface RenderCache {
   get: (key: string, cb?: (res: string) => void) => string | void;
   set: (key: string, val: string) => void;
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+var path = require('path')
+var aot = require('../aot')
+
+var usage =
+  'Usage: vue-template-compiler <src> [options]\n\n' +
+  'Compiles the .html and .vue templates in <src> (a file or a directory)\n' +
+  'into ES modules exporting render and staticRenderFns.\n\n' +
+  'Options:\n' +
+  '  -d, --out-dir <dir>  write the modules to <dir> instead of next to the templates\n' +
+  '  -w, --watch          recompile templates when they change\n' +
+  '  --ssr                generate SSR string-rendering code\n' +
+  '  --whitespace <mode>  "preserve" (default) or "condense"\n' +
+  '  --hoist-static       hoist constant data out of render functions\n' +
+  '  --block-tree         compile stable subtrees into blocks\n' +
+  '  --downlevel          rewrite newer expression syntax for older browsers\n' +
+  '  -h, --help           show this message\n'
+
+var args = process.argv.slice(2)
+var options = { compilerOptions: {} }
+var watch = false
+
+for (var i = 0; i < args.length; i++) {
+  var arg = args[i]
+  if (arg === '-h' || arg === '--help') {
+    console.log(usage)
+    process.exit(0)
+  } else if (arg === '-d' || arg === '--out-dir') {
+    options.outDir = args[++i]
+  } else if (arg === '-w' || arg === '--watch') {
+    watch = true
+  } else if (arg === '--ssr') {
+    options.ssr = true
+  } else if (arg === '--whitespace') {
+    options.compilerOptions.whitespace = args[++i]
+  } else if (arg === '--hoist-static') {
+    options.compilerOptions.hoistStatic = true
+  } else if (arg === '--block-tree') {
+    options.compilerOptions.blockTree = true
+  } else if (arg === '--downlevel') {
+    options.compilerOptions.downlevel = true
+  } else if (arg.charAt(0) === '-' || options.src) {
+    console.error('Unknown argument: ' + arg + '\n\n' + usage)
+    process.exit(1)
+  } else {
+    options.src = arg
+  }
+}
+
+if (!options.src) {
+  console.error(usage)
+  process.exit(1)
+}
+
+function report (result) {
+  var file = path.relative(process.cwd(), result.filename)
+  result.tips.forEach(function (tip) {
+    console.log('tip: ' + tip + '\n')
+  })
+  result.errors.forEach(function (error) {
+    console.error('error: ' + error + '\n')
+  })
+  if (result.code != null) {
+    console.log(file + ' -> ' + path.relative(process.cwd(), result.outFile))
+  } else {
+    console.error(file + ' failed with ' + result.errors.length + ' error(s).')
+  }
+  return result.code != null
+}
+
+if (watch) {
+  aot.watchFiles(options, report)
+  console.log('Watching ' + options.src + ' for changes...')
+} else {
+  var failed = aot.compileFiles(options).filter(function (result) {
+    return !report(result)
+  })
+  process.exit(failed.length ? 1 : 0)
+}
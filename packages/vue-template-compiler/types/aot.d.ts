@@ -0,0 +1,35 @@
+import { CompilerOptions } from "./"
+
+/*
+ * Ahead-of-time compilation of templates into ES modules
+ */
+export interface AOTOptions {
+  filename?: string;
+  ssr?: boolean;
+  compilerOptions?: CompilerOptions;
+}
+
+export interface AOTResult {
+  code: string | null;
+  errors: string[];
+  tips: string[];
+}
+
+export interface CompileFilesOptions extends AOTOptions {
+  src: string;
+  outDir?: string;
+}
+
+export interface FileResult extends AOTResult {
+  filename: string;
+  outFile: string;
+}
+
+export function compileToModule(source: string, options?: AOTOptions): AOTResult;
+
+export function compileFiles(options: CompileFilesOptions): FileResult[];
+
+export function watchFiles(
+  options: CompileFilesOptions,
+  onResult: (result: FileResult) => void
+): { close(): void };
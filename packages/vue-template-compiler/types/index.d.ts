@@ -3,12 +3,93 @@ import Vue, { VNode } from "vue"
 /*
  * Template compilation options / results
  */
-interface CompilerOptions {
+export interface CompilerOptions {
   modules?: ModuleOptions[];
   directives?: Record<string, DirectiveFunction>;
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
   outputSourceRange?: any
+  sourceMap?: boolean;
+  filename?: string;
+  hoistStatic?: boolean;
+  patchFlags?: boolean;
+  blockTree?: boolean;
+  plugins?: CompilerPlugin[];
+  bindings?: ComponentBindings;
+  lint?: boolean | Record<string, LintSeverity>;
+  lintRules?: Record<string, LintRule>;
+  cache?: CompileCache | false;
+}
+
+export interface CompiledCode {
+  render: string;
+  staticRenderFns: string[];
+  map?: SourceMap;
+  staticMaps?: SourceMap[];
+}
+
+export interface CompileCache {
+  get(key: string): CompiledCode | undefined;
+  set(key: string, code: CompiledCode): void;
+}
+
+type BindingDeclarations = string[] | Record<string, any>;
+
+export interface ComponentBindings {
+  props?: BindingDeclarations;
+  data?: BindingDeclarations | ((this: any, vm: any) => Record<string, any>);
+  computed?: BindingDeclarations;
+  methods?: BindingDeclarations;
+  inject?: BindingDeclarations;
+  globals?: string[];
+  components?: Record<string, string[] | { props?: BindingDeclarations }>;
+}
+
+export interface CompilerPlugin {
+  name: string;
+  astVersion?: number;
+  enforce?: 'pre' | 'post';
+  preTransformNode?: (el: ASTElement, options: CompilerOptions) => ASTElement | void;
+  transformNode?: (el: ASTElement, options: CompilerOptions) => ASTElement | void;
+  postTransformNode?: (el: ASTElement, options: CompilerOptions) => void;
+  genData?: (el: ASTElement) => string;
+  transformCode?: (el: ASTElement, code: string) => string;
+  staticKeys?: string[];
+  directives?: Record<string, (node: ASTElement, directiveMeta: ASTDirective) => boolean | void>;
+}
+
+export type LintSeverity = 'off' | 'warn' | 'error';
+
+export interface LintFix {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface LintMessage {
+  rule: string;
+  severity: LintSeverity;
+  msg: string;
+  start?: number;
+  end?: number;
+  fix?: LintFix[];
+}
+
+export interface LintContext {
+  source: string;
+  report(message: {
+    msg: string;
+    start?: number;
+    end?: number;
+    fix?: LintFix[];
+  }): void;
+}
+
+export interface LintRule {
+  description: string;
+  severity?: LintSeverity;
+  element?: (el: ASTElement, context: LintContext) => void;
+  text?: (node: ASTText | ASTExpression, context: LintContext) => void;
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -21,12 +102,23 @@ interface ErrorWithRange {
   end: number;
 }
 
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
+}
+
 interface CompiledResult<ErrorType> {
   ast: ASTElement | undefined;
   render: string;
   staticRenderFns: string[];
+  map?: SourceMap;
+  staticMaps?: SourceMap[];
   errors: ErrorType[];
   tips: ErrorType[];
+  lint?: LintMessage[];
 }
 
 interface CompiledResultFunctions {
@@ -39,6 +131,7 @@ interface ModuleOptions {
   transformNode: (el: ASTElement) => ASTElement | undefined;
   postTransformNode: (el: ASTElement) => void;
   genData: (el: ASTElement) => string;
+  genPatchFlag?: (el: ASTElement) => number;
   transformCode?: (el: ASTElement, code: string) => string;
   staticKeys?: string[];
 }
@@ -92,9 +185,14 @@ export interface ASTElement {
   tag: string;
   attrsList: { name: string; value: any }[];
   attrsMap: Record<string, any>;
+  rawAttrsMap: Record<string, { name: string; value: any; start?: number; end?: number }>;
   parent: ASTElement | undefined;
   children: ASTNode[];
 
+  // source range, with outputSourceRange
+  start?: number;
+  end?: number;
+
   processed?: true;
 
   static?: boolean;
@@ -171,6 +269,8 @@ export interface ASTExpression {
   text: string;
   tokens: (string | Record<string, any>)[];
   static?: boolean;
+  start?: number;
+  end?: number;
   // 2.4 ssr optimization
   ssrOptimizability?: SSROptimizability;
 }
@@ -180,6 +280,8 @@ export interface ASTText {
   text: string;
   static?: boolean;
   isComment?: boolean;
+  start?: number;
+  end?: number;
   // 2.4 ssr optimization
   ssrOptimizability?: SSROptimizability;
 }
@@ -224,7 +326,29 @@ export function compile(
   options?: CompilerOptions
 ): CompiledResult<string>;
 
-export function compileToFunctions(template: string): CompiledResultFunctions;
+export function compileToFunctions(template: string, options?: CompilerOptions): CompiledResultFunctions;
+
+export const AST_VERSION: number;
+
+export interface Compiler {
+  compile(
+    template: string,
+    options: CompilerOptionsWithSourceRange
+  ): CompiledResult<ErrorWithRange>;
+  compile(
+    template: string,
+    options?: CompilerOptions
+  ): CompiledResult<string>;
+  compileToFunctions(template: string, options?: CompilerOptions): CompiledResultFunctions;
+  use(plugin: CompilerPlugin): this;
+}
+
+export function createCompiler(plugins?: CompilerPlugin[]): Compiler;
+
+export function printTemplate(
+  ast: ASTElement | undefined,
+  options?: CompilerOptions
+): string;
 
 export function ssrCompile(
   template: string,
@@ -5,12 +5,23 @@ import {
   ssrCompile,
   ssrCompileToFunctions,
   parseComponent,
-  generateCodeFrame
+  generateCodeFrame,
+  createCompiler,
+  AST_VERSION,
+  LintSeverity,
+  printTemplate,
+  CompiledCode
 } from "./";
+import { compileToModule, compileFiles, watchFiles, AOTResult } from "./aot";
 
 // check compile options
 const compiled = compile("<div>hi</div>", {
   outputSourceRange: true,
+  sourceMap: true,
+  filename: "hi.html",
+  hoistStatic: true,
+  patchFlags: true,
+  blockTree: true,
   preserveWhitespace: false,
   whitespace: 'condense',
   modules: [
@@ -21,6 +32,7 @@ const compiled = compile("<div>hi</div>", {
         el.tag = "p";
       },
       genData: el => el.tag,
+      genPatchFlag: el => 0,
       transformCode: (el, code) => code,
       staticKeys: ["test"]
     }
@@ -36,6 +48,7 @@ const compiled = compile("<div>hi</div>", {
 // can be passed to function constructor
 new Function(compiled.render);
 compiled.staticRenderFns.map(fn => new Function(fn));
+compiled.map && compiled.map.mappings.split(";");
 
 // with outputSourceRange: true
 // errors should be objects with range
@@ -88,3 +101,83 @@ const scriptContent: string = desc.script!.content;
 const styleContent: string = desc.styles.map(s => s.content).join("\n");
 
 const codeframe: string = generateCodeFrame(`foobar`, 0, 4)
+
+// compiler plugins
+const compiler = createCompiler([{ name: "noop" }]).use({
+  name: "tooltip",
+  astVersion: AST_VERSION,
+  enforce: "pre",
+  transformNode: el => {
+    el.attrsList = el.attrsList.filter(attr => attr.name !== "tooltip");
+  },
+  genData: el => "",
+  directives: {
+    upper: (node, dir) => true
+  }
+});
+compiler.compile("<div></div>", { plugins: [{ name: "other", staticKeys: ["note"] }] }).render;
+compiler.compileToFunctions("<div></div>").render;
+
+// template type checking
+compile("<div>{{ msg }}</div>", {
+  outputSourceRange: true,
+  bindings: {
+    props: { title: String },
+    data: () => ({ msg: "" }),
+    computed: ["total"],
+    methods: { increment() {} },
+    globals: ["$t"],
+    components: { UserCard: { props: ["userName"] }, Other: ["foo"] }
+  }
+}).errors.forEach(e => e.start);
+
+// template lint
+const linted = compile("<li v-for=\"item in items\">{{ item }}</li>", {
+  lint: { "require-v-for-key": "warn", "prefer-directive-shorthand": "off" },
+  lintRules: {
+    "no-inline-style": {
+      description: "disallow inline styles",
+      severity: "error",
+      element(el, context) {
+        if (el.attrsMap.style) {
+          context.report({ msg: "Use a class instead.", start: el.start, end: el.end });
+        }
+      }
+    }
+  }
+}).lint;
+if (linted) {
+  linted.forEach(m => {
+    const severity: LintSeverity = m.severity;
+    const fixed = m.fix ? m.fix.map(edit => edit.start + edit.end + edit.text) : [];
+  });
+}
+
+// template printer
+const printed: string = printTemplate(compile("<div>{{ msg }}</div>").ast, { whitespace: "condense" });
+printTemplate(undefined);
+
+// ahead-of-time compilation
+const moduleResult: AOTResult = compileToModule("<div>{{ msg }}</div>", {
+  filename: "hello.html",
+  ssr: false,
+  compilerOptions: { whitespace: "condense" }
+});
+if (moduleResult.code === null) {
+  moduleResult.errors.forEach(e => e.toUpperCase());
+}
+const watcher = watchFiles({ src: "templates", outDir: "dist" }, result => {
+  const out: string = result.outFile;
+});
+watcher.close();
+compileFiles({ src: "templates" }).forEach(result => result.tips.length);
+
+// compile cache
+const codeStore: { [key: string]: CompiledCode } = {};
+compileToFunctions("<div>{{ msg }}</div>", {
+  cache: {
+    get: key => codeStore[key],
+    set: (key, code) => { codeStore[key] = code; }
+  }
+});
+compileToFunctions("<div>{{ msg }}</div>", { cache: false });
@@ -57,7 +57,6 @@ const builds = {
     dest: resolve('dist/vue.common.dev.js'),
     format: 'cjs',
     env: 'development',
-    alias: { he: './entity-decoder' },
     banner
   },
   'web-full-cjs-prod': {
@@ -65,7 +64,6 @@ const builds = {
     dest: resolve('dist/vue.common.prod.js'),
     format: 'cjs',
     env: 'production',
-    alias: { he: './entity-decoder' },
     banner
   },
   // Runtime only ES modules build (for bundlers)
@@ -80,7 +78,6 @@ const builds = {
     entry: resolve('web/entry-runtime-with-compiler.js'),
     dest: resolve('dist/vue.esm.js'),
     format: 'es',
-    alias: { he: './entity-decoder' },
     banner
   },
   // Runtime+compiler ES modules build (for direct import in browser)
@@ -90,7 +87,6 @@ const builds = {
     format: 'es',
     transpile: false,
     env: 'development',
-    alias: { he: './entity-decoder' },
     banner
   },
   // Runtime+compiler ES modules build (for direct import in browser)
@@ -100,7 +96,6 @@ const builds = {
     format: 'es',
     transpile: false,
     env: 'production',
-    alias: { he: './entity-decoder' },
     banner
   },
   // runtime-only build (Browser)
@@ -125,7 +120,6 @@ const builds = {
     dest: resolve('dist/vue.js'),
     format: 'umd',
     env: 'development',
-    alias: { he: './entity-decoder' },
     banner
   },
   // Runtime+compiler production build  (Browser)
@@ -134,7 +128,24 @@ const builds = {
     dest: resolve('dist/vue.min.js'),
     format: 'umd',
     env: 'production',
-    alias: { he: './entity-decoder' },
+    banner
+  },
+  // Runtime+compiler development build without new Function (Browser)
+  'web-full-csp-dev': {
+    csp: true,
+    entry: resolve('web/entry-runtime-with-compiler.js'),
+    dest: resolve('dist/vue.csp.js'),
+    format: 'umd',
+    env: 'development',
+    banner
+  },
+  // Runtime+compiler production build without new Function (Browser)
+  'web-full-csp-prod': {
+    csp: true,
+    entry: resolve('web/entry-runtime-with-compiler.js'),
+    dest: resolve('dist/vue.csp.min.js'),
+    format: 'umd',
+    env: 'production',
     banner
   },
   // Web compiler (CommonJS).
@@ -144,6 +155,13 @@ const builds = {
     format: 'cjs',
     external: Object.keys(require('../packages/vue-template-compiler/package.json').dependencies)
   },
+  // Web ahead-of-time compiler (CommonJS). Node API of the CLI in bin/.
+  'web-compiler-aot': {
+    entry: resolve('web/entry-compiler-aot.js'),
+    dest: resolve('packages/vue-template-compiler/aot.js'),
+    format: 'cjs',
+    external: Object.keys(require('../packages/vue-template-compiler/package.json').dependencies)
+  },
   // Web compiler (UMD for in-browser use).
   'web-compiler-browser': {
     entry: resolve('web/entry-compiler.js'),
@@ -238,6 +256,7 @@ function genConfig (name) {
   // built-in vars
   const vars = {
     __WEEX__: !!opts.weex,
+    __CSP__: !!opts.csp,
     __WEEX_VERSION__: weexVersion,
     __VERSION__: version
   }
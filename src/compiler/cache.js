@@ -0,0 +1,88 @@
+/* @flow */
+
+type LRUEntry<T> = {
+  key: string;
+  value: T;
+  newer: ?LRUEntry<T>;
+  older: ?LRUEntry<T>;
+};
+
+export type LRUCache<T> = {
+  get: (key: string) => ?T;
+  set: (key: string, value: T) => void;
+};
+
+/**
+ * Create an in-memory cache that keeps the `max` most recently used
+ * entries. It satisfies the CompileCache interface and is also used by
+ * compileToFunctions for the functions it creates.
+ */
+export function createLRUCache<T> (max?: number = 500): LRUCache<T> {
+  const map = Object.create(null)
+  let size = 0
+  let newest: ?LRUEntry<T> = null
+  let oldest: ?LRUEntry<T> = null
+
+  function unlink (entry: LRUEntry<T>) {
+    if (entry.newer) entry.newer.older = entry.older
+    else newest = entry.older
+    if (entry.older) entry.older.newer = entry.newer
+    else oldest = entry.newer
+    entry.newer = entry.older = null
+  }
+
+  function link (entry: LRUEntry<T>) {
+    entry.older = newest
+    if (newest) newest.newer = entry
+    newest = entry
+    if (!oldest) oldest = entry
+  }
+
+  return {
+    get (key: string): ?T {
+      const entry = map[key]
+      if (entry) {
+        unlink(entry)
+        link(entry)
+        return entry.value
+      }
+    },
+    set (key: string, value: T) {
+      let entry = map[key]
+      if (entry) {
+        entry.value = value
+        unlink(entry)
+      } else {
+        entry = map[key] = { key, value, newer: null, older: null }
+        size++
+      }
+      link(entry)
+      if (size > max && oldest) {
+        const evicted = oldest
+        unlink(evicted)
+        delete map[evicted.key]
+        size--
+      }
+    }
+  }
+}
+
+// options that do not change the compiled code, or are not serializable
+const ignoredOptions = ['warn', 'cache']
+
+/**
+ * Key of a template compiled with the given options, or undefined when the
+ * options cannot be serialized, i.e. when they contain custom modules,
+ * directives or plugins.
+ */
+export function getCacheKey (template: string, options: CompilerOptions): ?string {
+  if (options.modules || options.directives || options.plugins) {
+    return
+  }
+  const keys = Object.keys(options).filter(key => (
+    ignoredOptions.indexOf(key) < 0 &&
+    options[key] !== undefined &&
+    typeof options[key] !== 'function'
+  )).sort()
+  return JSON.stringify(keys.map(key => [key, options[key]])) + template
+}
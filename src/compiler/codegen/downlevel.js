@@ -0,0 +1,160 @@
+/* @flow */
+
+import { parseStatements } from '../interpreter/parser'
+import type { Node } from '../interpreter/parser'
+
+/**
+ * Down-leveling of the syntax newer than ES2015 that template expressions
+ * may use, for the `downlevel` option. Optional chains, nullish coalescing
+ * and BigInt literals in a render function body are rewritten into code
+ * that older browsers can run, with the intermediate values kept in
+ * temporary variables declared at the top of the `with(this){...}` block:
+ *
+ *   a?.b.c    ->  ((_o0=a)==null?void 0:_o0.b.c)
+ *   a.b?.()   ->  ((_o1=(_o0=a).b)==null?void 0:_o1.call(_o0))
+ *   a ?? b    ->  ((_o0=a)!=null?_o0:b)
+ *   10n       ->  BigInt("10")
+ *
+ * Everything else, including source map markers, is kept as it is.
+ */
+
+type DownlevelState = {
+  code: string;
+  temps: number;
+};
+
+// cheap check for code that cannot contain any of the syntax
+const modernSyntaxRE = /\?[?.]|\dn/
+
+export function downlevel (code: string): string {
+  if (!modernSyntaxRE.test(code)) {
+    return code
+  }
+  let body
+  try {
+    body = parseStatements(code, { loose: true })
+  } catch (e) {
+    // invalid expressions are reported by the error detector, and the
+    // invalid code is reported again when the function is created
+    return code
+  }
+  const state = { code, temps: 0 }
+  const res = genSource(0, code.length, childNodes({ body }), state)
+  if (!state.temps) {
+    return res
+  }
+  const temps = []
+  for (let i = 0; i < state.temps; i++) {
+    temps.push(`_o${i}`)
+  }
+  // nothing before the body of the `with` block is rewritten
+  const first = body[0]
+  const at = first && first.type === 'WithStatement' && first.body.type === 'BlockStatement'
+    ? first.body.start + 1
+    : 0
+  return `${res.slice(0, at)}var ${temps.join(',')};${res.slice(at)}`
+}
+
+function gen (node: Node, state: DownlevelState): string {
+  if (node.type === 'ChainExpression') {
+    return genChain(node.expression, state)
+  }
+  if (node.type === 'LogicalExpression' && node.operator === '??') {
+    const temp = genTemp(state)
+    const left = gen(node.left, state)
+    const right = gen(node.right, state)
+    return `((${temp}=${left})!=null?${temp}:${right})`
+  }
+  if (node.type === 'Literal' && node.bigint != null) {
+    return `BigInt(${JSON.stringify(node.bigint)})`
+  }
+  return genSource(node.start, node.end, childNodes(node), state)
+}
+
+function genChain (node: Node, state: DownlevelState): string {
+  // the accesses and calls of the chain, from its base outwards
+  const links = []
+  let base = node
+  while (base.type === 'MemberExpression' || base.type === 'CallExpression') {
+    links.unshift(base)
+    base = base.type === 'MemberExpression' ? base.object : base.callee
+  }
+  const tests = []
+  let res = gen(base, state)
+  let context
+  links.forEach((link, i) => {
+    const next = links[i + 1]
+    if (link.optional) {
+      const temp = genTemp(state)
+      tests.push(`(${temp}=${res})==null`)
+      res = temp
+    }
+    if (link.type === 'MemberExpression') {
+      if (next && next.type === 'CallExpression' && next.optional) {
+        // keep the object, to call the method on it once it is checked
+        context = genTemp(state)
+        res = `(${context}=${res})`
+      }
+      const object = link.object
+      res += stripOptional(genSource(object.end, link.end, childNodes(link, object), state))
+    } else {
+      const callee = link.callee
+      const args = stripOptional(genSource(callee.end, link.end, childNodes(link, callee), state))
+      if (link.optional && context) {
+        const rest = args.slice(args.indexOf('(') + 1)
+        res += `.call(${context}${/^\s*\)/.test(rest) ? '' : ','}${rest}`
+      } else {
+        res += args
+      }
+    }
+    if (link.type === 'CallExpression') {
+      context = null
+    }
+  })
+  return `(${tests.join('||')}?void 0:${res})`
+}
+
+// `?.b` is `.b`, `?.[b]` and `?.(b)` are `[b]` and `(b)`
+function stripOptional (code: string): string {
+  return code.replace(/^\s*\?\.\s*([[(]?)/, (_, bracket) => bracket || '.')
+}
+
+// the source of a range, with the nodes in it rewritten
+function genSource (
+  start: number,
+  end: number,
+  nodes: Array<Node>,
+  state: DownlevelState
+): string {
+  let res = ''
+  let last = start
+  nodes.forEach(node => {
+    res += state.code.slice(last, node.start) + gen(node, state)
+    last = node.end
+  })
+  return res + state.code.slice(last, end)
+}
+
+// the nodes with source offsets directly below a node, in source order,
+// skipping `exclude`
+function childNodes (node: Object, exclude?: Node, res?: Array<Node> = []): Array<Node> {
+  Object.keys(node).forEach(key => {
+    const value = node[key]
+    const list = Array.isArray(value) ? value : [value]
+    list.forEach(child => {
+      if (!child || typeof child.type !== 'string' || child === exclude) {
+        return
+      }
+      if (child.start != null) {
+        res.push(child)
+      } else {
+        childNodes(child, exclude, res)
+      }
+    })
+  })
+  return res.sort((a, b) => a.start - b.start)
+}
+
+function genTemp (state: DownlevelState): string {
+  return `_o${state.temps++}`
+}
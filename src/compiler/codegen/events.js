@@ -1,9 +1,11 @@
 /* @flow */
 
+import { markSource } from './source-map'
+
 const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function(?:\s+[\w$]+)?\s*\(/
 const fnInvokeRE = /\([^)]*?\);*$/
-// a.b a['b'] a["b"] a[0]......
-const simplePathRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*])*$/
+// a.b a['b'] a["b"] a[0] a?.b......
+const simplePathRE = /^[A-Za-z_$][\w$]*(?:\??\.[A-Za-z_$][\w$]*|(?:\?\.)?(?:\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*]))*$/
 
 // KeyboardEvent.keyCode aliases
 const keyCodes: { [key: string]: number | Array<number> } = {
@@ -55,14 +57,20 @@ const modifierCode: { [key: string]: string } = {
 
 export function genHandlers (
   events: ASTElementHandlers,
-  isNative: boolean
+  isNative: boolean,
+  sourceMap?: boolean
 ): string {
   const prefix = isNative ? 'nativeOn:' : 'on:'
   let staticHandlers = ``
   let dynamicHandlers = ``
   for (const name in events) {
-    const handlerCode = genHandler(events[name])
-    if (events[name] && events[name].dynamic) {
+    const handler = events[name]
+    const handlerCode = markSource(
+      !!sourceMap,
+      Array.isArray(handler) ? handler[0] : handler,
+      genHandler(handler)
+    )
+    if (handler && handler.dynamic) {
       dynamicHandlers += `${name},${handlerCode},`
     } else {
       staticHandlers += `"${name}":${handlerCode},`
@@ -0,0 +1,148 @@
+/* @flow */
+
+import { MARKER } from './source-map'
+
+/**
+ * Hoisting of constant data. With the `hoistStatic` option, object and
+ * array literals that can never change (e.g. the attrs of an element whose
+ * attributes are all static, or `:class="['a', 'b']"`) are moved out of the
+ * render function into `staticRenderFns` and referenced with `_h(index)`,
+ * which evaluates each of them once per component definition.
+ */
+
+type HoistState = {
+  hoistStatic: boolean;
+  staticRenderFns: Array<string>;
+};
+
+const identRE = /^[A-Za-z_$][\w$]*/
+const numberRE = /^(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+// source map markers are skipped like whitespace
+const spaceRE = new RegExp(`^(?:\\s|${MARKER}\\d+${MARKER})+`)
+const literalIdents = { true: true, false: true, null: true }
+
+/**
+ * Check if an expression is a literal made only of other literals,
+ * so that evaluating it always yields the same value.
+ */
+export function isConstant (exp: ?string): boolean {
+  if (!exp) return false
+  const parser = new LiteralParser(exp)
+  return parser.parseValue() && parser.skipWhitespace() === exp.length
+}
+
+/**
+ * Check if an expression is a constant object or array literal.
+ * Primitives cost nothing to re-create, so they are not worth hoisting.
+ */
+export function isHoistable (exp: ?string): boolean {
+  if (!exp) return false
+  const first = exp.charAt(new LiteralParser(exp).skipWhitespace())
+  return (first === '{' || first === '[') && isConstant(exp)
+}
+
+/**
+ * Move a constant expression into staticRenderFns and return
+ * the code that reads it back.
+ */
+export function genHoisted (exp: string, state: HoistState): string {
+  state.staticRenderFns.push(`with(this){return ${exp}}`)
+  return `_h(${state.staticRenderFns.length - 1})`
+}
+
+/**
+ * Hoist an expression if hoisting is enabled and it is a constant
+ * literal, otherwise return it unchanged.
+ */
+export function genConstant (exp: string, state: ?HoistState): string {
+  return state && state.hoistStatic && isHoistable(exp)
+    ? genHoisted(exp, state)
+    : exp
+}
+
+class LiteralParser {
+  exp: string;
+  index: number;
+
+  constructor (exp: string) {
+    this.exp = exp
+    this.index = 0
+  }
+
+  skipWhitespace (): number {
+    const m = spaceRE.exec(this.exp.slice(this.index))
+    if (m) this.index += m[0].length
+    return this.index
+  }
+
+  eat (char: string): boolean {
+    this.skipWhitespace()
+    if (this.exp.charAt(this.index) === char) {
+      this.index++
+      return true
+    }
+    return false
+  }
+
+  match (re: RegExp): ?string {
+    const m = re.exec(this.exp.slice(this.skipWhitespace()))
+    if (m) {
+      this.index += m[0].length
+      return m[0]
+    }
+  }
+
+  parseString (): boolean {
+    this.skipWhitespace()
+    const quote = this.exp.charAt(this.index)
+    if (quote !== '"' && quote !== `'`) return false
+    let i = this.index + 1
+    while (i < this.exp.length) {
+      const c = this.exp.charAt(i)
+      if (c === '\\') {
+        i += 2
+      } else if (c === quote) {
+        this.index = i + 1
+        return true
+      } else {
+        i++
+      }
+    }
+    return false
+  }
+
+  parseValue (): boolean {
+    if (this.eat('[')) {
+      return this.parseList(']', () => this.parseValue())
+    }
+    if (this.eat('{')) {
+      return this.parseList('}', () => this.parseProperty())
+    }
+    if (this.parseString()) {
+      return true
+    }
+    this.eat('-')
+    if (this.match(numberRE)) {
+      return true
+    }
+    const ident = this.match(identRE)
+    return !!ident && literalIdents[ident] === true
+  }
+
+  parseProperty (): boolean {
+    // shorthand, spread and computed keys are not literals
+    return !!(this.parseString() || this.match(identRE) || this.match(numberRE)) &&
+      this.eat(':') &&
+      this.parseValue()
+  }
+
+  parseList (close: string, parseItem: () => boolean): boolean {
+    while (!this.eat(close)) {
+      if (!parseItem()) return false
+      if (!this.eat(',') && this.exp.charAt(this.skipWhitespace()) !== close) {
+        return false
+      }
+    }
+    return true
+  }
+}
@@ -5,9 +5,19 @@ import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
+import { markSource, extractSourceMap } from './source-map'
+import { isConstant, isHoistable, genHoisted, genConstant } from './hoist'
+import { downlevel } from './downlevel'
+import {
+  PATCH_TEXT,
+  PATCH_ATTRS,
+  PATCH_PROPS,
+  PATCH_EVENTS
+} from 'shared/constants'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
-type DataGenFunction = (el: ASTElement) => string;
+type DataGenFunction = (el: ASTElement, state: CodegenState) => string;
+type PatchFlagFunction = (el: ASTElement) => number;
 type DirectiveFunction = (el: ASTElement, dir: ASTDirective, warn: Function) => boolean;
 
 export class CodegenState {
@@ -15,40 +25,80 @@ export class CodegenState {
   warn: Function;
   transforms: Array<TransformFunction>;
   dataGenFns: Array<DataGenFunction>;
+  patchFlagFns: Array<?PatchFlagFunction>;
   directives: { [key: string]: DirectiveFunction };
   maybeComponent: (el: ASTElement) => boolean;
   onceId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  sourceMap: boolean;
+  hoistStatic: boolean;
+  patchFlags: boolean;
+  blockTree: boolean;
+  inBlock: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
     this.warn = options.warn || baseWarn
     this.transforms = pluckModuleFunction(options.modules, 'transformCode')
     this.dataGenFns = pluckModuleFunction(options.modules, 'genData')
+    // aligned with dataGenFns, undefined for modules that cannot tell
+    // which parts of their data are dynamic
+    this.patchFlagFns = (options.modules || [])
+      .filter(m => m.genData)
+      .map(m => m.genPatchFlag)
     this.directives = extend(extend({}, baseDirectives), options.directives)
     const isReservedTag = options.isReservedTag || no
     this.maybeComponent = (el: ASTElement) => !!el.component || !isReservedTag(el.tag)
     this.onceId = 0
     this.staticRenderFns = []
     this.pre = false
+    // only enabled by generate() when the template source is known
+    this.sourceMap = false
+    this.hoistStatic = !!options.hoistStatic
+    // blocks rely on patch flags to tell which nodes are dynamic
+    this.blockTree = !!options.blockTree
+    this.patchFlags = !!options.patchFlags || this.blockTree
+    this.inBlock = false
   }
 }
 
 export type CodegenResult = {
   render: string,
-  staticRenderFns: Array<string>
+  staticRenderFns: Array<string>,
+  map?: SourceMap,
+  staticMaps?: Array<SourceMap>
 };
 
 export function generate (
   ast: ASTElement | void,
-  options: CompilerOptions
+  options: CompilerOptions,
+  source?: string
 ): CodegenResult {
   const state = new CodegenState(options)
+  state.sourceMap = !!options.sourceMap && source != null
   // fix #11483, Root level <script> tags should not be rendered.
   const code = ast ? (ast.tag === 'script' ? 'null' : genElement(ast, state)) : '_c("div")'
+  let render = `with(this){return ${code}}`
+  if (options.downlevel) {
+    render = downlevel(render)
+    state.staticRenderFns = state.staticRenderFns.map(downlevel)
+  }
+  if (state.sourceMap && source != null) {
+    const filename = options.filename || 'template.html'
+    const main = extractSourceMap(render, source, filename)
+    const statics = state.staticRenderFns.map(code => {
+      return extractSourceMap(code, (source: any), filename)
+    })
+    return {
+      render: main.code,
+      staticRenderFns: statics.map(res => res.code),
+      map: main.map,
+      staticMaps: statics.map(res => res.map)
+    }
+  }
   return {
-    render: `with(this){return ${code}}`,
+    render,
     staticRenderFns: state.staticRenderFns
   }
 }
@@ -71,6 +121,11 @@ export function genElement (el: ASTElement, state: CodegenState): string {
   } else if (el.tag === 'slot') {
     return genSlot(el, state)
   } else {
+    // a structurally stable subtree only patches its dynamic nodes
+    const isBlock = state.blockTree && !state.inBlock && isBlockRoot(el, state)
+    if (isBlock) {
+      state.inBlock = true
+    }
     // component or element
     let code
     if (el.component) {
@@ -92,10 +147,37 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
-    return code
+    if (isBlock) {
+      state.inBlock = false
+      code = `(_x(),_y(${code},${hashCode(code, state)}))`
+    } else if (state.inBlock && (state.maybeComponent(el) || el.dynamicData)) {
+      code = `_z(${code})`
+    }
+    return markSource(state.sourceMap, el, code)
   }
 }
 
+// a block root is a native element whose descendants are always rendered
+// in the same shape: no v-if, v-for, keys, slots or slot content
+function isBlockRoot (el: ASTElement, state: CodegenState): boolean {
+  return !state.maybeComponent(el) &&
+    el.children.some(child => child.type === 1) &&
+    isStableTree(el, state)
+}
+
+function isStableTree (el: ASTElement, state: CodegenState): boolean {
+  return el.children.every(child => child.type !== 1 || (
+    !child.if &&
+    !child.for &&
+    !child.key &&
+    child.tag !== 'slot' &&
+    child.tag !== 'template' &&
+    (state.maybeComponent(child)
+      ? !child.children.length && !child.scopedSlots
+      : isStableTree(child, state))
+  ))
+}
+
 // hoist static sub-trees out
 function genStatic (el: ASTElement, state: CodegenState): string {
   el.staticProcessed = true
@@ -106,8 +188,15 @@ function genStatic (el: ASTElement, state: CodegenState): string {
   if (el.pre) {
     state.pre = el.pre
   }
+  // static trees are rendered once already, nothing to gain from hoisting
+  // or from blocks
+  const originalHoistState = state.hoistStatic
+  const restoreBlockState = disableBlocks(state)
+  state.hoistStatic = false
   state.staticRenderFns.push(`with(this){return ${genElement(el, state)}}`)
   state.pre = originalPreState
+  state.hoistStatic = originalHoistState
+  restoreBlockState()
   return `_m(${
     state.staticRenderFns.length - 1
   }${
@@ -115,6 +204,15 @@ function genStatic (el: ASTElement, state: CodegenState): string {
   })`
 }
 
+function disableBlocks (state: CodegenState): () => void {
+  const { blockTree, inBlock } = state
+  state.blockTree = state.inBlock = false
+  return () => {
+    state.blockTree = blockTree
+    state.inBlock = inBlock
+  }
+}
+
 // v-once
 function genOnce (el: ASTElement, state: CodegenState): string {
   el.onceProcessed = true
@@ -137,7 +235,11 @@ function genOnce (el: ASTElement, state: CodegenState): string {
       )
       return genElement(el, state)
     }
-    return `_o(${genElement(el, state)},${state.onceId++},${key})`
+    // nodes rendered once must not be patched through a block
+    const restoreBlockState = disableBlocks(state)
+    const code = `_o(${genElement(el, state)},${state.onceId++},${key})`
+    restoreBlockState()
+    return code
   } else {
     return genStatic(el, state)
   }
@@ -166,7 +268,9 @@ function genIfConditions (
   // 按道理长度为2 保存的true和false需要渲染的模块
   const condition = conditions.shift()
   if (condition.exp) {
-    return `(${condition.exp})?${
+    const { rawAttrsMap } = condition.block
+    const range = rawAttrsMap['v-if'] || rawAttrsMap['v-else-if']
+    return `(${markSource(state.sourceMap, range, condition.exp)})?${
       genTernaryExp(condition.block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
@@ -212,7 +316,9 @@ export function genFor (
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  return `${altHelper || '_l'}((${
+    markSource(state.sourceMap, el.rawAttrsMap['v-for'], genConstant(exp, state))
+  }),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -220,6 +326,9 @@ export function genFor (
 
 export function genData (el: ASTElement, state: CodegenState): string {
   let data = '{'
+  // flags are only emitted for native elements; -1 means the dynamic
+  // parts of the data are unknown
+  let patchFlag = state.patchFlags && !state.maybeComponent(el) ? 0 : -1
 
   // directives first.
   // directives may mutate the el's other properties before they are generated.
@@ -248,22 +357,41 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // module data generation functions
   for (let i = 0; i < state.dataGenFns.length; i++) {
-    data += state.dataGenFns[i](el)
+    const moduleData = state.dataGenFns[i](el, state)
+    if (moduleData && patchFlag >= 0) {
+      const genPatchFlag = state.patchFlagFns[i]
+      patchFlag = genPatchFlag ? patchFlag | genPatchFlag(el) : -1
+    }
+    data += moduleData
   }
   // attributes
-  if (el.attrs) {
-    data += `attrs:${genProps(el.attrs)},`
+  const attrs = el.attrs
+  if (attrs) {
+    data += `attrs:${genConstantProps(el, attrs, state)},`
+    if (!attrs.every(attr => isConstant(attr.value))) {
+      patchFlag |= PATCH_ATTRS
+    }
   }
   // DOM props
-  if (el.props) {
-    data += `domProps:${genProps(el.props)},`
+  const props = el.props
+  if (props) {
+    data += `domProps:${genConstantProps(el, props, state)},`
+    // value and checked are re-synced on every patch as the user may
+    // have changed them since
+    if (!props.every(prop => isConstant(prop.value) &&
+      prop.name !== 'value' &&
+      prop.name !== 'checked'
+    )) {
+      patchFlag |= PATCH_PROPS
+    }
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false)},`
+    data += `${genHandlers(el.events, false, state.sourceMap)},`
+    patchFlag |= PATCH_EVENTS
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true)},`
+    data += `${genHandlers(el.nativeEvents, true, state.sourceMap)},`
   }
   // slot target
   // only for non-scoped slots
@@ -291,12 +419,26 @@ export function genData (el: ASTElement, state: CodegenState): string {
       data += `${inlineTemplate},`
     }
   }
+  if (el.dynamicAttrs || el.wrapData) {
+    patchFlag = -1
+  }
+  if (el.wrapListeners) {
+    patchFlag |= PATCH_EVENTS
+  }
+  if (patchFlag >= 0) {
+    data += genPatchFlag(el, data, patchFlag, state)
+  }
+  if (state.patchFlags) {
+    // inside a block, only the elements with dynamic data need to be
+    // patched, their dynamic text is tracked on its own
+    el.dynamicData = (patchFlag & ~PATCH_TEXT) !== 0 || !!dirs || !!el.ref
+  }
   data = data.replace(/,$/, '') + '}'
   // v-bind dynamic argument wrap
   // v-bind with dynamic arguments must be applied using the same v-bind object
   // merge helper so that class/style/mustUseProp attrs are handled correctly.
   if (el.dynamicAttrs) {
-    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs)})`
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
   }
   // v-bind data wrap
   if (el.wrapData) {
@@ -309,6 +451,27 @@ export function genData (el: ASTElement, state: CodegenState): string {
   return data
 }
 
+// patchHash identifies the constant parts of the data, so that the patcher
+// only skips modules between vnodes that share them
+function genPatchFlag (
+  el: ASTElement,
+  data: string,
+  patchFlag: number,
+  state: CodegenState
+): string {
+  const children = el.children
+  if (children.length === 1 && children[0].type === 2) {
+    patchFlag |= PATCH_TEXT
+  }
+  return `patchFlag:${patchFlag},patchHash:${hashCode(data, state)},`
+}
+
+// hoisted constants and static trees are referenced by index,
+// hash what they stand for
+function hashCode (code: string, state: CodegenState): number {
+  return hash(code.replace(/_[hm]\((\d+)/g, (match, i) => state.staticRenderFns[i]))
+}
+
 function genDirectives (el: ASTElement, state: CodegenState): string | void {
   const dirs = el.directives
   if (!dirs) return
@@ -328,7 +491,9 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     if (needRuntime) {
       hasRuntime = true
       res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
-        dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
+        dir.value ? `,value:(${
+          markSource(state.sourceMap, dir, dir.value)
+        }),expression:${JSON.stringify(dir.value)}` : ''
       }${
         dir.arg ? `,arg:${dir.isDynamicArg ? dir.arg : `"${dir.arg}"`}` : ''
       }${
@@ -475,7 +640,10 @@ export function genChildren (
   altGenElement?: Function,
   altGenNode?: Function
 ): string | void {
-  const children = el.children
+  // the error nodes of the tolerant mode render nothing
+  const children = state.options.tolerant
+    ? el.children.filter(child => child.type !== 4)
+    : el.children
   if (children.length) {
     const el: any = children[0]
     // optimize single v-for
@@ -535,16 +703,19 @@ function genNode (node: ASTNode, state: CodegenState): string {
     return genElement(node, state)
   } else if (node.type === 3 && node.isComment) {
     return genComment(node)
-  } else {
-    return genText(node)
+  } else if (state.inBlock && node.type === 2) {
+    return `_z(${genText(node, state)})`
+  } else if (node.type !== 4) {
+    return genText(node, state)
   }
+  return ''
 }
 
-export function genText (text: ASTText | ASTExpression): string {
-  return `_v(${text.type === 2
+export function genText (text: ASTText | ASTExpression, state?: CodegenState): string {
+  return markSource(!!state && state.sourceMap, text, `_v(${text.type === 2
     ? text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
-  })`
+  })`)
 }
 
 export function genComment (comment: ASTText): string {
@@ -560,8 +731,9 @@ function genSlot (el: ASTElement, state: CodegenState): string {
         // slot props are camelized
         name: camelize(attr.name),
         value: attr.value,
-        dynamic: attr.dynamic
-      })))
+        dynamic: attr.dynamic,
+        start: attr.start
+      })), state)
     : null
   const bind = el.attrsMap['v-bind']
   if ((attrs || bind) && !children) {
@@ -588,14 +760,14 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<ASTAttr>): string {
+function genProps (props: Array<ASTAttr>, state: CodegenState): string {
   let staticProps = ``
   let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    const value = __WEEX__
+    const value = markSource(state.sourceMap, prop, __WEEX__
       ? generateValue(prop.value)
-      : transformSpecialNewlines(prop.value)
+      : transformSpecialNewlines(prop.value))
     if (prop.dynamic) {
       dynamicProps += `${prop.name},${value},`
     } else {
@@ -610,6 +782,26 @@ function genProps (props: Array<ASTAttr>): string {
   }
 }
 
+// attrs and domProps of a native element can be shared between renders
+// when none of them is bound, unless v-bind="object" merges into them
+function genConstantProps (
+  el: ASTElement,
+  props: Array<ASTAttr>,
+  state: CodegenState
+): string {
+  const code = genProps(props, state)
+  if (
+    state.hoistStatic &&
+    !state.maybeComponent(el) &&
+    !el.dynamicAttrs &&
+    !el.wrapData &&
+    isHoistable(code)
+  ) {
+    return genHoisted(code, state)
+  }
+  return code
+}
+
 /* istanbul ignore next */
 function generateValue (value) {
   if (typeof value === 'string') {
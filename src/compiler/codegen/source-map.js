@@ -0,0 +1,118 @@
+/* @flow */
+
+// Codegen builds render code bottom-up by string concatenation, so the final
+// position of a piece of code is only known once the whole function body has
+// been assembled. While generating, code that originates from the template is
+// prefixed with a marker carrying its template offset; the markers are then
+// stripped in a single pass that also records the mappings.
+export const MARKER = '\u0000'
+const markerRE = new RegExp(`${MARKER}(\\d+)${MARKER}`, 'g')
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+export function markSource (
+  enabled: boolean,
+  node: ?{ start?: number },
+  code: string
+): string {
+  return enabled && node && node.start != null
+    ? `${MARKER}${node.start}${MARKER}${code}`
+    : code
+}
+
+/**
+ * Strip the source markers from generated code and build a version 3
+ * source map tying each marked position back to the template.
+ */
+export function extractSourceMap (
+  code: string,
+  source: string,
+  filename: string
+): { code: string, map: SourceMap } {
+  const lineStarts = getLineStarts(source)
+  const lines = []
+  let segments = []
+  let out = ''
+  let genColumn = 0
+  let lastIndex = 0
+  let lastSourceLine = 0
+  let lastSourceColumn = 0
+  let lastGenColumn = 0
+  let match
+
+  const advance = (chunk: string) => {
+    const parts = chunk.split('\n')
+    for (let i = 1; i < parts.length; i++) {
+      lines.push(segments.join(','))
+      segments = []
+      genColumn = lastGenColumn = 0
+    }
+    genColumn += parts[parts.length - 1].length
+    out += chunk
+  }
+
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    advance(code.slice(lastIndex, match.index))
+    lastIndex = markerRE.lastIndex
+    const [line, column] = offsetToPosition(lineStarts, Number(match[1]))
+    segments.push(
+      encodeVLQ(genColumn - lastGenColumn) +
+      encodeVLQ(0) + // single source
+      encodeVLQ(line - lastSourceLine) +
+      encodeVLQ(column - lastSourceColumn)
+    )
+    lastGenColumn = genColumn
+    lastSourceLine = line
+    lastSourceColumn = column
+  }
+  advance(code.slice(lastIndex))
+  lines.push(segments.join(','))
+
+  return {
+    code: out,
+    map: {
+      version: 3,
+      sources: [filename],
+      sourcesContent: [source],
+      names: [],
+      mappings: lines.join(';')
+    }
+  }
+}
+
+function getLineStarts (source: string): Array<number> {
+  const starts = [0]
+  for (let i = 0; i < source.length; i++) {
+    if (source.charCodeAt(i) === 10 /* \n */) {
+      starts.push(i + 1)
+    }
+  }
+  return starts
+}
+
+function offsetToPosition (lineStarts: Array<number>, offset: number): [number, number] {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineStarts[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return [low, offset - lineStarts[low]]
+}
+
+function encodeVLQ (value: number): string {
+  let res = ''
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) digit |= 32
+    res += BASE64_CHARS[digit]
+  } while (vlq > 0)
+  return res
+}
@@ -1,11 +1,24 @@
 /* @flow */
 
-import { extend } from 'shared/util'
+import { extend, genStaticKeys } from 'shared/util'
+import { warn as baseWarn } from 'core/util/debug'
 import { detectErrors } from './error-detector'
+import { checkTemplateTypes } from './type-checker'
+import { lintTemplate } from './lint/index'
 import { createCompileToFunctionFn } from './to-function'
 
+/**
+ * Version of the AST node shape handed to compiler plugins. It is bumped
+ * whenever a documented node property is renamed, removed or changes
+ * meaning, so that plugins can declare the shape they were written for.
+ */
+export const AST_VERSION = 1
+
 export function createCompilerCreator (baseCompile: Function): Function {
   return function createCompiler (baseOptions: CompilerOptions) {
+    const plugins: Array<CompilerPlugin> = []
+    let used = false
+
     function compile (
       template: string,
       options?: CompilerOptions
@@ -50,27 +63,130 @@ export function createCompilerCreator (baseCompile: Function): Function {
         }
         // copy other options
         for (const key in options) {
-          if (key !== 'modules' && key !== 'directives') {
+          if (key !== 'modules' && key !== 'directives' && key !== 'plugins') {
             finalOptions[key] = options[key]
           }
         }
       }
 
+      const callPlugins = options && options.plugins
+      if (process.env.NODE_ENV !== 'production' && callPlugins) {
+        callPlugins.forEach(checkPlugin)
+      }
+      const allPlugins = callPlugins ? plugins.concat(callPlugins) : plugins
+      if (allPlugins.length) {
+        applyPlugins(finalOptions, allPlugins)
+      }
+
       finalOptions.warn = warn
+      used = true
+      // source maps, type checking and lint rely on the source ranges
+      // recorded by the parser
+      if (finalOptions.sourceMap || finalOptions.bindings || finalOptions.lint) {
+        finalOptions.outputSourceRange = true
+      }
 
       // 真正执行编译过程
       const compiled = baseCompile(template.trim(), finalOptions)
       if (process.env.NODE_ENV !== 'production') {
         detectErrors(compiled.ast, warn)
+        // the checker can't see everything a component may define at
+        // runtime, so its findings are tips rather than errors
+        checkTemplateTypes(compiled.ast, template.trim(), finalOptions, (msg, range) => {
+          warn(msg, range, true)
+        })
+        if (finalOptions.lint) {
+          // $flow-disable-line
+          const leadingSpaceLength = template.match(/^\s*/)[0].length
+          compiled.lint = lintTemplate(
+            compiled.ast,
+            template.trim(),
+            finalOptions,
+            leadingSpaceLength
+          )
+        }
       }
       compiled.errors = errors
       compiled.tips = tips
       return compiled
     }
 
-    return {
+    /**
+     * Register a plugin for every subsequent compilation of this compiler.
+     */
+    function use (plugin: CompilerPlugin): Object {
+      if (process.env.NODE_ENV !== 'production') {
+        checkPlugin(plugin)
+        if (used) {
+          baseWarn(
+            `Compiler plugin "${plugin.name}" is registered after templates ` +
+            `have been compiled. Templates cached by compileToFunctions ` +
+            `will not be affected by it.`
+          )
+        }
+      }
+      if (plugins.indexOf(plugin) < 0) {
+        plugins.push(plugin)
+      }
+      return compiler
+    }
+
+    const compiler = {
       compile,
-      compileToFunctions: createCompileToFunctionFn(compile)
+      compileToFunctions: createCompileToFunctionFn(compile, () => plugins.length > 0),
+      use
+    }
+    return compiler
+  }
+}
+
+function checkPlugin (plugin: CompilerPlugin) {
+  if (!plugin || typeof plugin.name !== 'string') {
+    baseWarn(`Compiler plugins must have a name.`)
+  } else if (plugin.astVersion != null && plugin.astVersion !== AST_VERSION) {
+    baseWarn(
+      `Compiler plugin "${plugin.name}" targets AST version ${plugin.astVersion}, ` +
+      `but this compiler produces AST version ${AST_VERSION}.`
+    )
+  }
+}
+
+/**
+ * Plugins are platform modules with a name and optional directives.
+ * "pre" plugins run before the platform modules, all others after them,
+ * with "post" plugins last. Within each group, registration order is kept.
+ */
+function applyPlugins (options: CompilerOptions, plugins: Array<CompilerPlugin>) {
+  // plugins share the shape of platform modules
+  const pre: Array<any> = []
+  const normal: Array<any> = []
+  const post: Array<any> = []
+  plugins.forEach(plugin => {
+    if (plugin.enforce === 'pre') {
+      pre.push(plugin)
+    } else if (plugin.enforce === 'post') {
+      post.push(plugin)
+    } else {
+      normal.push(plugin)
     }
+  })
+  options.modules = pre.concat(options.modules || [], normal, post)
+
+  let directives
+  plugins.forEach(plugin => {
+    if (plugin.directives) {
+      directives = directives || Object.create(options.directives || null)
+      extend(directives, plugin.directives)
+    }
+  })
+  if (directives) {
+    options.directives = directives
+  }
+
+  const staticKeys = genStaticKeys((plugins: any))
+  if (staticKeys) {
+    options.staticKeys = options.staticKeys
+      ? `${options.staticKeys},${staticKeys}`
+      : staticKeys
   }
 }
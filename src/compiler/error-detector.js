@@ -1,6 +1,7 @@
 /* @flow */
 
 import { dirRE, onRE } from './parser/index'
+import { parseExpression, parseStatements } from './interpreter/parser'
 
 type Range = { start?: number, end?: number };
 
@@ -85,7 +86,7 @@ function checkIdentifier (
 ) {
   if (typeof ident === 'string') {
     try {
-      new Function(`var ${ident}=_`)
+      checkSyntax(`var ${ident}=_`)
     } catch (e) {
       warn(`invalid ${type} "${ident}" in expression: ${text.trim()}`, range)
     }
@@ -94,9 +95,10 @@ function checkIdentifier (
 
 function checkExpression (exp: string, text: string, warn: Function, range?: Range) {
   try {
-    new Function(`return ${exp}`)
+    checkSyntax(`return ${exp}`)
   } catch (e) {
-    const keywordMatch = exp.replace(stripStringRE, '').match(prohibitedKeywordRE)
+    const keywordMatch = e.message.indexOf('Unsupported syntax') !== 0 &&
+      exp.replace(stripStringRE, '').match(prohibitedKeywordRE)
     if (keywordMatch) {
       warn(
         `avoid using JavaScript keyword as property name: ` +
@@ -114,9 +116,51 @@ function checkExpression (exp: string, text: string, warn: Function, range?: Ran
   }
 }
 
+let modernSyntax: ?boolean
+
+function supportsModernSyntax (): boolean {
+  if (modernSyntax == null) {
+    try {
+      new Function('a?.b?.(c)??1n')
+      modernSyntax = true
+    } catch (e) {
+      modernSyntax = false
+    }
+  }
+  return modernSyntax
+}
+
+function checkSyntax (code: string) {
+  // the CSP build cannot use new Function, and only accepts the syntax
+  // its interpreter supports
+  if (__CSP__) {
+    parseStatements(code)
+    return
+  }
+  try {
+    new Function(code)
+  } catch (e) {
+    // syntax newer than the engine, e.g. optional chaining, is still valid
+    // in templates, and can be compiled away with the `downlevel` option.
+    // Engines that know the syntax have the final say.
+    if (supportsModernSyntax()) {
+      throw e
+    }
+    try {
+      parseStatements(code, { loose: true })
+    } catch (_) {
+      throw e
+    }
+  }
+}
+
 function checkFunctionParameterExpression (exp: string, text: string, warn: Function, range?: Range) {
   try {
-    new Function(exp, '')
+    if (__CSP__) {
+      parseExpression(`(${exp})=>{}`)
+    } else {
+      new Function(exp, '')
+    }
   } catch (e) {
     warn(
       `invalid function parameter expression: ${e.message} in\n\n` +
@@ -22,10 +22,12 @@ export const createCompiler = createCompilerCreator(function baseCompile (
     optimize(ast, options)
   }
   // 把优化后的 AST 树转换成可执行的代码
-  const code = generate(ast, options)
+  const code = generate(ast, options, template.trim())
   return {
     ast,
     render: code.render,
-    staticRenderFns: code.staticRenderFns
+    staticRenderFns: code.staticRenderFns,
+    map: code.map,
+    staticMaps: code.staticMaps
   }
 })
@@ -0,0 +1,437 @@
+/* @flow */
+
+import { hasOwn } from 'shared/util'
+import { parseStatements } from './parser'
+import type { Node } from './parser'
+
+/**
+ * Render functions for environments whose Content Security Policy forbids
+ * `new Function`. The generated render code is parsed once and evaluated
+ * by walking its syntax tree, producing the same vnodes through the same
+ * render helpers as the compiled function would.
+ *
+ * Supported syntax:
+ * - literals: numbers, BigInts, strings, template literals, regular
+ *   expressions, booleans, null, arrays and objects (with computed keys,
+ *   shorthand properties and spread)
+ * - identifiers, `this`, `arguments`, member access, calls (with spread
+ *   arguments) and optional chaining
+ * - unary, update, binary, logical (including nullish coalescing),
+ *   conditional, assignment (including compound assignment) and comma
+ *   operators, `typeof`, `void`, `delete`, `in` and `instanceof`
+ * - function expressions and arrow functions, with default, rest and
+ *   destructured parameters
+ * - `if`/`else`, `return`, `with`, blocks and `var`/`let`/`const`
+ *   declarations; all declarations are function-scoped
+ *
+ * Anything else, e.g. `new`, loops, classes or async functions, is
+ * reported as a SyntaxError when the function is created.
+ */
+
+type Scope = {
+  vars: Object;
+  parent: ?Scope;
+  withObj: ?Object;
+  thisValue: any;
+};
+
+type Reference = {
+  obj: Object;
+  key: any;
+  withObj: boolean;
+};
+
+class Return {
+  value: any;
+  constructor (value: any) {
+    this.value = value
+  }
+}
+
+// the value of an optional chain that short-circuited, until the end of
+// the chain turns it into undefined
+const SHORT_CIRCUIT = {}
+
+/* istanbul ignore next */
+const globalObject: Object = typeof window !== 'undefined'
+  ? window
+  : typeof global !== 'undefined' ? global : {}
+
+export function createInterpretedFunction (code: string): Function {
+  const body = parseStatements(code)
+  return function interpreted () {
+    const scope = {
+      vars: Object.create(null),
+      parent: null,
+      withObj: null,
+      thisValue: this
+    }
+    const res = execList(body, scope)
+    return res ? res.value : undefined
+  }
+}
+
+// statements
+
+function execList (body: Array<Node>, scope: Scope): ?Return {
+  for (let i = 0; i < body.length; i++) {
+    const res = exec(body[i], scope)
+    if (res) return res
+  }
+}
+
+function exec (node: Node, scope: Scope): ?Return {
+  switch (node.type) {
+    case 'ExpressionStatement':
+      evaluate(node.expression, scope)
+      return
+    case 'ReturnStatement':
+      return new Return(node.argument ? evaluate(node.argument, scope) : undefined)
+    case 'IfStatement':
+      if (evaluate(node.test, scope)) {
+        return exec(node.consequent, scope)
+      } else if (node.alternate) {
+        return exec(node.alternate, scope)
+      }
+      return
+    case 'BlockStatement':
+      return execList(node.body, scope)
+    case 'WithStatement':
+      // render code is generated as `with(this){...}`
+      return exec(node.body, {
+        vars: scope.vars,
+        parent: scope,
+        withObj: evaluate(node.object, scope),
+        thisValue: scope.thisValue
+      })
+    case 'VariableDeclaration':
+      node.declarations.forEach(({ id, init }) => {
+        bindPattern(id, init ? evaluate(init, scope) : undefined, scope)
+      })
+      return
+    case 'EmptyStatement':
+      return
+  }
+}
+
+// expressions
+
+function evaluate (node: Node, scope: Scope): any {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) {
+        // every evaluation of a regular expression literal creates a new object
+        return new RegExp(node.regex.pattern, node.regex.flags)
+      }
+      return node.bigint != null ? globalObject.BigInt(node.bigint) : node.value
+    case 'Identifier':
+      return getValue(node.name, scope)
+    case 'ThisExpression':
+      return scope.thisValue
+    case 'TemplateLiteral': {
+      let res = node.quasis[0]
+      for (let i = 0; i < node.expressions.length; i++) {
+        res += String(evaluate(node.expressions[i], scope)) + node.quasis[i + 1]
+      }
+      return res
+    }
+    case 'ArrayExpression':
+      return evaluateList(node.elements, scope)
+    case 'ObjectExpression': {
+      const res = {}
+      node.properties.forEach(prop => {
+        if (prop.type === 'SpreadElement') {
+          const value = evaluate(prop.argument, scope)
+          if (value != null) {
+            Object.keys(value).forEach(key => { res[key] = value[key] })
+          }
+        } else {
+          const key = prop.computed ? evaluate(prop.key, scope) : prop.key.value
+          res[key] = evaluate(prop.value, scope)
+        }
+      })
+      return res
+    }
+    case 'ChainExpression': {
+      const value = evaluate(node.expression, scope)
+      return value === SHORT_CIRCUIT ? undefined : value
+    }
+    case 'MemberExpression': {
+      const object = evaluate(node.object, scope)
+      if (isShortCircuit(node, object)) {
+        return SHORT_CIRCUIT
+      }
+      return object[getKey(node, scope)]
+    }
+    case 'CallExpression': {
+      let fn
+      let thisValue
+      const callee = node.callee
+      if (callee.type === 'MemberExpression') {
+        thisValue = evaluate(callee.object, scope)
+        if (isShortCircuit(callee, thisValue)) {
+          return SHORT_CIRCUIT
+        }
+        fn = thisValue[getKey(callee, scope)]
+      } else if (callee.type === 'Identifier') {
+        const ref = resolve(callee.name, scope)
+        fn = ref.obj[ref.key]
+        // functions found on the `with` object are called as its methods
+        thisValue = ref.withObj ? ref.obj : undefined
+      } else {
+        fn = evaluate(callee, scope)
+      }
+      if (isShortCircuit(node, fn)) {
+        return SHORT_CIRCUIT
+      }
+      if (typeof fn !== 'function') {
+        throw new TypeError(`${describe(callee)} is not a function`)
+      }
+      return fn.apply(thisValue, evaluateList(node.arguments, scope))
+    }
+    case 'UnaryExpression':
+      return evaluateUnary(node, scope)
+    case 'UpdateExpression': {
+      const ref = getReference(node.argument, scope)
+      const old = Number(ref.obj[ref.key])
+      ref.obj[ref.key] = node.operator === '++' ? old + 1 : old - 1
+      return node.prefix ? ref.obj[ref.key] : old
+    }
+    case 'BinaryExpression':
+      return binary(node.operator, evaluate(node.left, scope), evaluate(node.right, scope))
+    case 'LogicalExpression': {
+      const left = evaluate(node.left, scope)
+      const done = node.operator === '&&'
+        ? !left
+        : node.operator === '||' ? left : left != null
+      return done ? left : evaluate(node.right, scope)
+    }
+    case 'ConditionalExpression':
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternate, scope)
+    case 'AssignmentExpression': {
+      const ref = getReference(node.left, scope)
+      const value = node.operator === '='
+        ? evaluate(node.right, scope)
+        : binary(node.operator.slice(0, -1), ref.obj[ref.key], evaluate(node.right, scope))
+      ref.obj[ref.key] = value
+      return value
+    }
+    case 'SequenceExpression': {
+      let res
+      node.expressions.forEach(exp => { res = evaluate(exp, scope) })
+      return res
+    }
+    case 'FunctionExpression':
+      return function () {
+        return call(node, scope, this, arguments)
+      }
+    case 'ArrowFunctionExpression':
+      return function () {
+        return call(node, scope, scope.thisValue, arguments)
+      }
+  }
+}
+
+// whether an access or call on `value` ends its optional chain
+function isShortCircuit (node: Node, value: any): boolean {
+  return value === SHORT_CIRCUIT || (node.optional && value == null)
+}
+
+function evaluateList (list: Array<Node>, scope: Scope): Array<any> {
+  const res = []
+  list.forEach(node => {
+    if (node.type === 'SpreadElement') {
+      const value = evaluate(node.argument, scope)
+      res.push.apply(res, Array.isArray(value) ? value : Array.from(value))
+    } else {
+      res.push(evaluate(node, scope))
+    }
+  })
+  return res
+}
+
+function evaluateUnary (node: Node, scope: Scope): any {
+  const { operator, argument } = node
+  if (operator === 'typeof' && argument.type === 'Identifier') {
+    // typeof does not throw for undeclared variables
+    const ref = lookup(argument.name, scope)
+    return typeof (ref ? ref.obj[ref.key] : undefined)
+  }
+  if (operator === 'delete') {
+    if (argument.type !== 'MemberExpression') {
+      return true
+    }
+    return delete evaluate(argument.object, scope)[getKey(argument, scope)]
+  }
+  const value = evaluate(argument, scope)
+  switch (operator) {
+    case '!': return !value
+    case '-': return -value
+    case '+': return +value
+    case '~': return ~value
+    case 'typeof': return typeof value
+    case 'void': return undefined
+  }
+}
+
+function binary (operator: string, left: any, right: any): any {
+  switch (operator) {
+    case '+': return left + right
+    case '-': return left - right
+    case '*': return left * right
+    case '/': return left / right
+    case '%': return left % right
+    case '**': return Math.pow(left, right)
+    case '==': return left == right // eslint-disable-line eqeqeq
+    case '!=': return left != right // eslint-disable-line eqeqeq
+    case '===': return left === right
+    case '!==': return left !== right
+    case '<': return left < right
+    case '>': return left > right
+    case '<=': return left <= right
+    case '>=': return left >= right
+    case '&': return left & right
+    case '|': return left | right
+    case '^': return left ^ right
+    case '<<': return left << right
+    case '>>': return left >> right
+    case '>>>': return left >>> right
+    case 'in': return left in right
+    case 'instanceof': return left instanceof right
+  }
+}
+
+function call (node: Node, parent: Scope, thisValue: any, args: any): any {
+  const scope = {
+    vars: Object.create(null),
+    parent,
+    withObj: null,
+    thisValue
+  }
+  // arrow functions see the arguments of the enclosing function
+  if (node.type === 'FunctionExpression') {
+    scope.vars.arguments = args
+  }
+  node.params.forEach((param, i) => {
+    bindPattern(
+      param,
+      param.type === 'RestElement' ? Array.prototype.slice.call(args, i) : args[i],
+      scope
+    )
+  })
+  if (node.expression) {
+    return evaluate(node.body, scope)
+  }
+  const res = execList(node.body, scope)
+  return res ? res.value : undefined
+}
+
+// declare the names of a parameter or declaration in the function scope
+function bindPattern (pattern: Node, value: any, scope: Scope) {
+  switch (pattern.type) {
+    case 'Identifier':
+      scope.vars[pattern.name] = value
+      return
+    case 'AssignmentPattern':
+      bindPattern(
+        pattern.left,
+        value === undefined ? evaluate(pattern.right, scope) : value,
+        scope
+      )
+      return
+    case 'RestElement':
+      bindPattern(pattern.argument, value, scope)
+      return
+    case 'ArrayPattern': {
+      const values = Array.isArray(value) ? value : Array.from(value)
+      pattern.elements.forEach((element, i) => {
+        bindPattern(
+          element,
+          element.type === 'RestElement' ? values.slice(i) : values[i],
+          scope
+        )
+      })
+      return
+    }
+    case 'ObjectPattern': {
+      if (value == null) {
+        throw new TypeError(`Cannot destructure '${String(value)}'`)
+      }
+      const used = []
+      pattern.properties.forEach(prop => {
+        if (prop.type === 'RestElement') {
+          const rest = {}
+          Object.keys(value).forEach(key => {
+            if (used.indexOf(key) < 0) rest[key] = value[key]
+          })
+          bindPattern(prop.argument, rest, scope)
+        } else {
+          used.push(prop.key)
+          bindPattern(prop.value, value[prop.key], scope)
+        }
+      })
+    }
+  }
+}
+
+// references
+
+function getKey (node: Node, scope: Scope): any {
+  return node.computed ? evaluate(node.property, scope) : node.property.value
+}
+
+function getReference (node: Node, scope: Scope): Reference {
+  if (node.type === 'MemberExpression') {
+    return {
+      obj: evaluate(node.object, scope),
+      key: getKey(node, scope),
+      withObj: false
+    }
+  }
+  // assigning an undeclared variable creates a global
+  return lookup(node.name, scope) || { obj: globalObject, key: node.name, withObj: false }
+}
+
+function lookup (name: string, scope: Scope): ?Reference {
+  let s = scope
+  while (s) {
+    if (hasOwn(s.vars, name)) {
+      return { obj: s.vars, key: name, withObj: false }
+    }
+    if (s.withObj && name in s.withObj) {
+      return { obj: s.withObj, key: name, withObj: true }
+    }
+    s = s.parent
+  }
+  if (name in globalObject) {
+    return { obj: globalObject, key: name, withObj: false }
+  }
+}
+
+function resolve (name: string, scope: Scope): Reference {
+  const ref = lookup(name, scope)
+  if (!ref) {
+    throw new ReferenceError(`${name} is not defined`)
+  }
+  return ref
+}
+
+function getValue (name: string, scope: Scope): any {
+  if (name === 'undefined') {
+    return undefined
+  }
+  const ref = resolve(name, scope)
+  return ref.obj[ref.key]
+}
+
+function describe (node: Node): string {
+  if (node.type === 'Identifier') {
+    return node.name
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return `${describe(node.object)}.${node.property.value}`
+  }
+  return 'expression'
+}
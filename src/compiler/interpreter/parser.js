@@ -0,0 +1,860 @@
+/* @flow */
+
+import { hasOwn } from 'shared/util'
+import { MARKER } from '../codegen/source-map'
+
+/**
+ * Parser for the subset of JavaScript used by generated render code and
+ * template expressions. It produces ESTree-like nodes with `start` and `end`
+ * offsets for the interpreter of the CSP build, and throws a SyntaxError
+ * naming the construct for anything outside the subset.
+ *
+ * With `loose`, `new` expressions are accepted as well, for code that is
+ * only checked or rewritten but never interpreted.
+ */
+
+export type Node = Object;
+
+export type ParseOptions = {
+  loose?: boolean;
+};
+
+const identStartRE = /[A-Za-z_$]/
+const identRE = /^[A-Za-z_$][\w$]*/
+const numberRE = /^(?:0[xX][\da-fA-F]+|0[oO][0-7]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+// legacy octal literals such as `012n` have no BigInt form
+const bigintRE = /^(0[xX][\da-fA-F]+|0[oO][0-7]+|0[bB][01]+|0|[1-9]\d*)n/
+const regexFlagsRE = /^[gimsuy]*/
+// source map markers of codegen are skipped like whitespace
+const spaceRE = new RegExp(`^(?:\\s|\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/|${MARKER}\\d+${MARKER})+`)
+
+// binary operators by precedence, higher binds tighter
+const binaryPrecedence = {
+  '||': 1, '??': 1,
+  '&&': 2,
+  '|': 3,
+  '^': 4,
+  '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, 'instanceof': 7, 'in': 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10,
+  '**': 11
+}
+const binaryOperators = Object.keys(binaryPrecedence)
+  .filter(op => op !== 'instanceof' && op !== 'in')
+  .sort((a, b) => b.length - a.length)
+
+const assignmentOperators = [
+  '>>>=', '**=', '<<=', '>>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '='
+]
+
+const unsupportedKeywords = {
+  new: '`new` expressions',
+  class: 'classes',
+  async: 'async functions',
+  await: '`await`',
+  yield: '`yield`',
+  for: 'loops',
+  while: 'loops',
+  do: 'loops',
+  switch: '`switch` statements',
+  try: '`try` statements',
+  throw: '`throw` statements',
+  import: '`import`',
+  super: '`super`'
+}
+
+function isUnsupportedKeyword (word: ?string): boolean %checks {
+  return !!word && hasOwn(unsupportedKeywords, word)
+}
+
+const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', '0': '\0' }
+
+export function parseStatements (code: string, options?: ParseOptions): Array<Node> {
+  const parser = new Parser(code, options)
+  const body = parser.parseStatementList()
+  if (parser.skipSpace() < code.length) {
+    parser.unexpected()
+  }
+  return body
+}
+
+export function parseExpression (code: string, options?: ParseOptions): Node {
+  const parser = new Parser(code, options)
+  const expression = parser.parseExpression()
+  if (parser.skipSpace() < code.length) {
+    parser.unexpected()
+  }
+  return expression
+}
+
+class Parser {
+  code: string;
+  pos: number;
+  spaceStart: number;
+  spaceEnd: number;
+  loose: boolean;
+
+  constructor (code: string, options?: ParseOptions) {
+    this.code = code
+    this.pos = 0
+    this.spaceStart = 0
+    this.spaceEnd = -1
+    this.loose = !!(options && options.loose)
+  }
+
+  finish (node: Node, start: number): Node {
+    node.start = start
+    // whitespace skipped after the node is not part of it
+    node.end = this.pos === this.spaceEnd ? this.spaceStart : this.pos
+    return node
+  }
+
+  // errors
+
+  raise (msg: string, pos?: number = this.pos): empty {
+    const start = Math.max(0, pos - 20)
+    const snippet = this.code.slice(start, pos + 20).replace(/\s+/g, ' ')
+    const err = new SyntaxError(`${msg}, at "${snippet}"`)
+    // $flow-disable-line
+    err.pos = pos
+    throw err
+  }
+
+  unsupported (what: string, pos?: number): empty {
+    const context = this.loose ? '' : ' in the CSP build'
+    return this.raise(`Unsupported syntax${context}: ${what}`, pos)
+  }
+
+  unexpected (): empty {
+    this.skipSpace()
+    if (this.pos >= this.code.length) {
+      this.raise('Unexpected end of expression')
+    }
+    const c = this.code.charAt(this.pos)
+    const word = this.peekWord()
+    if (isUnsupportedKeyword(word)) {
+      this.unsupported(unsupportedKeywords[word])
+    }
+    return this.raise(`Unexpected token "${word || c}"`)
+  }
+
+  // characters
+
+  skipSpace (): number {
+    if (this.pos !== this.spaceEnd) {
+      const m = spaceRE.exec(this.code.slice(this.pos))
+      this.spaceStart = this.pos
+      if (m) {
+        this.pos += m[0].length
+      }
+      this.spaceEnd = this.pos
+    }
+    return this.pos
+  }
+
+  // whether a line break precedes the next token, for automatic semicolons
+  newlineBefore (): boolean {
+    this.skipSpace()
+    return this.code.slice(this.spaceStart, this.pos).indexOf('\n') > -1
+  }
+
+  peek (str: string): boolean {
+    this.skipSpace()
+    return this.code.startsWith(str, this.pos)
+  }
+
+  eat (str: string): boolean {
+    if (this.peek(str)) {
+      this.pos += str.length
+      return true
+    }
+    return false
+  }
+
+  expect (str: string) {
+    if (!this.eat(str)) {
+      this.unexpected()
+    }
+  }
+
+  peekWord (): ?string {
+    this.skipSpace()
+    const m = identRE.exec(this.code.slice(this.pos))
+    return m ? m[0] : null
+  }
+
+  eatWord (word: string): boolean {
+    if (this.peekWord() === word) {
+      this.pos += word.length
+      return true
+    }
+    return false
+  }
+
+  readIdentifier (): string {
+    const word = this.peekWord()
+    if (!word) {
+      this.unexpected()
+    }
+    this.pos += (word: any).length
+    return (word: any)
+  }
+
+  // statements
+
+  parseStatementList (): Array<Node> {
+    const body = []
+    while (this.skipSpace() < this.code.length && !this.peek('}')) {
+      body.push(this.parseStatement())
+    }
+    return body
+  }
+
+  parseStatement (): Node {
+    if (this.eat(';')) {
+      return { type: 'EmptyStatement' }
+    }
+    const start = this.pos
+    if (this.eat('{')) {
+      const body = this.parseStatementList()
+      this.expect('}')
+      return this.finish({ type: 'BlockStatement', body }, start)
+    }
+    const word = this.peekWord()
+    if (word === 'if') {
+      this.pos += 2
+      this.expect('(')
+      const test = this.parseExpression()
+      this.expect(')')
+      const consequent = this.parseStatement()
+      const alternate = this.eatWord('else') ? this.parseStatement() : null
+      return { type: 'IfStatement', test, consequent, alternate }
+    }
+    if (word === 'with') {
+      this.pos += 4
+      this.expect('(')
+      const object = this.parseExpression()
+      this.expect(')')
+      return { type: 'WithStatement', object, body: this.parseStatement() }
+    }
+    if (word === 'return') {
+      this.pos += 6
+      const argument = this.newlineBefore() || this.peek(';') || this.peek('}') ||
+        this.pos >= this.code.length
+        ? null
+        : this.parseExpression()
+      this.endStatement()
+      return { type: 'ReturnStatement', argument }
+    }
+    if (word === 'var' || word === 'let' || word === 'const') {
+      this.pos += word.length
+      const declarations = []
+      do {
+        const id = this.parsePattern()
+        const init = this.eat('=') ? this.parseAssignment() : null
+        declarations.push({ id, init })
+      } while (this.eat(','))
+      this.endStatement()
+      return { type: 'VariableDeclaration', declarations }
+    }
+    if (word === 'function') {
+      this.unsupported('function declarations')
+    }
+    const expression = this.parseExpression()
+    this.endStatement()
+    return { type: 'ExpressionStatement', expression }
+  }
+
+  endStatement () {
+    if (
+      !this.eat(';') &&
+      !this.peek('}') &&
+      !this.newlineBefore() &&
+      this.pos < this.code.length
+    ) {
+      this.unexpected()
+    }
+  }
+
+  // expressions
+
+  parseExpression (): Node {
+    const expression = this.parseAssignment()
+    if (this.peek(',')) {
+      const expressions = [expression]
+      while (this.eat(',')) {
+        expressions.push(this.parseAssignment())
+      }
+      return this.finish({ type: 'SequenceExpression', expressions }, expression.start)
+    }
+    return expression
+  }
+
+  parseAssignment (): Node {
+    const arrow = this.tryParseArrow()
+    if (arrow) {
+      return arrow
+    }
+    const start = this.pos
+    const left = this.parseConditional()
+    for (let i = 0; i < assignmentOperators.length; i++) {
+      const operator = assignmentOperators[i]
+      if (this.peek(operator) && !this.peek('==') && !this.peek('=>')) {
+        if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+          if (operator === '=' && (left.type === 'ArrayExpression' || left.type === 'ObjectExpression')) {
+            this.unsupported('destructuring assignments', start)
+          }
+          this.raise('Invalid assignment target', start)
+        }
+        this.pos += operator.length
+        const right = this.parseAssignment()
+        return this.finish({ type: 'AssignmentExpression', operator, left, right }, left.start)
+      }
+    }
+    return left
+  }
+
+  tryParseArrow (): ?Node {
+    const start = this.skipSpace()
+    let params
+    if (this.peek('(')) {
+      try {
+        this.pos++
+        params = this.parseParams(')')
+      } catch (e) {
+        this.pos = start
+        return null
+      }
+    } else {
+      const word = this.peekWord()
+      if (!word) return null
+      this.pos += word.length
+      params = [{ type: 'Identifier', name: word }]
+    }
+    if (!this.eat('=>')) {
+      this.pos = start
+      return null
+    }
+    if (this.peek('{')) {
+      this.pos++
+      const body = this.parseStatementList()
+      this.expect('}')
+      return this.finish({ type: 'ArrowFunctionExpression', params, body, expression: false }, start)
+    }
+    const body = this.parseAssignment()
+    return this.finish({ type: 'ArrowFunctionExpression', params, body, expression: true }, start)
+  }
+
+  parseConditional (): Node {
+    const test = this.parseBinary(0)
+    if (this.eat('?')) {
+      const consequent = this.parseAssignment()
+      this.expect(':')
+      const alternate = this.parseAssignment()
+      return this.finish({ type: 'ConditionalExpression', test, consequent, alternate }, test.start)
+    }
+    return test
+  }
+
+  parseBinary (minPrecedence: number): Node {
+    let left = this.parseUnary()
+    let operator
+    while (
+      (operator = this.peekBinaryOperator()) &&
+      binaryPrecedence[operator] > minPrecedence
+    ) {
+      if (operator === '**' && isBareUnary(left, this.code)) {
+        this.raise('Unary operator used immediately before exponentiation expression', left.start)
+      }
+      this.pos += operator.length
+      const precedence = binaryPrecedence[operator]
+      // exponentiation is right-associative
+      const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence)
+      if (mixesNullish(operator, left) || mixesNullish(operator, right)) {
+        this.raise(`Cannot mix "??" with "||" or "&&" without parentheses`, left.start)
+      }
+      left = this.finish({
+        type: operator === '&&' || operator === '||' || operator === '??'
+          ? 'LogicalExpression'
+          : 'BinaryExpression',
+        operator,
+        left,
+        right
+      }, left.start)
+    }
+    return left
+  }
+
+  peekBinaryOperator (): ?string {
+    const word = this.peekWord()
+    if (word === 'in' || word === 'instanceof') {
+      return word
+    }
+    for (let i = 0; i < binaryOperators.length; i++) {
+      const op = binaryOperators[i]
+      if (this.code.startsWith(op, this.pos)) {
+        // not an assignment such as `+=` or `>>=`
+        const next = this.code.charAt(this.pos + op.length)
+        if (next === '=' && op.charAt(op.length - 1) !== '=' && op !== '<' && op !== '>') {
+          return null
+        }
+        if ((op === '<' || op === '>') && this.code.charAt(this.pos + 1) === op) {
+          continue
+        }
+        return op
+      }
+    }
+    return null
+  }
+
+  parseUnary (): Node {
+    const start = this.skipSpace()
+    const word = this.peekWord()
+    if (word === 'typeof' || word === 'void' || word === 'delete') {
+      this.pos += word.length
+      const argument = this.parseUnary()
+      return this.finish({ type: 'UnaryExpression', operator: word, argument }, start)
+    }
+    if (this.peek('++') || this.peek('--')) {
+      const operator = this.code.slice(this.pos, this.pos + 2)
+      this.pos += 2
+      const argument = this.parseUnary()
+      this.checkUpdateTarget(argument, start)
+      return this.finish({ type: 'UpdateExpression', operator, prefix: true, argument }, start)
+    }
+    if (this.peek('!') || this.peek('-') || this.peek('+') || this.peek('~')) {
+      const operator = this.code.charAt(this.pos++)
+      const argument = this.parseUnary()
+      return this.finish({ type: 'UnaryExpression', operator, argument }, start)
+    }
+    const argument = this.parsePostfix()
+    if (!this.newlineBefore() && (this.peek('++') || this.peek('--'))) {
+      const operator = this.code.slice(this.pos, this.pos + 2)
+      this.pos += 2
+      this.checkUpdateTarget(argument, start)
+      return this.finish({ type: 'UpdateExpression', operator, prefix: false, argument }, start)
+    }
+    return argument
+  }
+
+  checkUpdateTarget (node: Node, pos: number) {
+    if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+      this.raise('Invalid update target', pos)
+    }
+  }
+
+  parsePostfix (): Node {
+    let node = this.parsePrimary()
+    let optional = false
+    let access
+    while ((access = this.parseAccess(node))) {
+      node = access
+      optional = optional || node.optional
+    }
+    // `?.` short-circuits the rest of the chain it is in
+    return optional
+      ? this.finish({ type: 'ChainExpression', expression: node }, node.start)
+      : node
+  }
+
+  // member access or call on `object`, if any
+  parseAccess (object: Node): ?Node {
+    // `a?.5:1` is a conditional expression
+    const optional = this.peek('?.') && !/\d/.test(this.code.charAt(this.pos + 2))
+    if (optional) {
+      this.pos += 2
+    }
+    if (optional ? !this.peek('(') && !this.peek('[') : this.peek('.') && !this.peek('...')) {
+      if (!optional) this.pos++
+      const name = this.readIdentifier()
+      return this.finish({
+        type: 'MemberExpression',
+        object,
+        property: { type: 'Literal', value: name },
+        computed: false,
+        optional
+      }, object.start)
+    }
+    if (this.eat('[')) {
+      const property = this.parseExpression()
+      this.expect(']')
+      return this.finish({
+        type: 'MemberExpression',
+        object,
+        property,
+        computed: true,
+        optional
+      }, object.start)
+    }
+    if (this.eat('(')) {
+      const args = this.parseList(')')
+      return this.finish({
+        type: 'CallExpression',
+        callee: object,
+        arguments: args,
+        optional
+      }, object.start)
+    }
+    if (this.peek('`')) {
+      this.unsupported('tagged templates')
+    }
+  }
+
+  parseList (close: string): Array<Node> {
+    const list = []
+    while (!this.eat(close)) {
+      if (this.eat('...')) {
+        list.push({ type: 'SpreadElement', argument: this.parseAssignment() })
+      } else {
+        list.push(this.parseAssignment())
+      }
+      if (!this.peek(close)) {
+        this.expect(',')
+      }
+    }
+    return list
+  }
+
+  parsePrimary (): Node {
+    const start = this.skipSpace()
+    const c = this.code.charAt(this.pos)
+    if (c === '(') {
+      this.pos++
+      const expression = this.parseExpression()
+      this.expect(')')
+      // parenthesized expressions span their parentheses, so that code
+      // rewriting them keeps the grouping
+      return this.finish(expression, start)
+    }
+    return this.finish(this.parsePrimaryNode(start, c), start)
+  }
+
+  parsePrimaryNode (start: number, c: string): Node {
+    if (c === '"' || c === `'`) {
+      return { type: 'Literal', value: this.readString(c) }
+    }
+    if (c === '`') {
+      return this.parseTemplate()
+    }
+    if (/[\d.]/.test(c)) {
+      const code = this.code.slice(this.pos)
+      const bigint = bigintRE.exec(code)
+      if (bigint) {
+        this.pos += bigint[0].length
+        // the value is only created when the literal is evaluated, like
+        // ESTree does for environments without BigInt
+        return { type: 'Literal', value: null, bigint: bigint[1] }
+      }
+      const m = numberRE.exec(code)
+      if (m) {
+        this.pos += m[0].length
+        return { type: 'Literal', value: Number(m[0]) }
+      }
+    }
+    if (c === '/') {
+      return this.parseRegExp()
+    }
+    if (c === '[') {
+      this.pos++
+      return { type: 'ArrayExpression', elements: this.parseList(']') }
+    }
+    if (c === '{') {
+      this.pos++
+      return this.parseObject()
+    }
+    if (identStartRE.test(c)) {
+      const word = this.readIdentifier()
+      switch (word) {
+        case 'true': return { type: 'Literal', value: true }
+        case 'false': return { type: 'Literal', value: false }
+        case 'null': return { type: 'Literal', value: null }
+        case 'this': return { type: 'ThisExpression' }
+        case 'function': return this.parseFunction()
+      }
+      if (word === 'new' && this.loose) {
+        return this.parseNew()
+      }
+      if (isUnsupportedKeyword(word)) {
+        this.unsupported(unsupportedKeywords[word], start)
+      }
+      return { type: 'Identifier', name: word }
+    }
+    return this.unexpected()
+  }
+
+  parseNew (): Node {
+    let callee = this.parsePrimary()
+    let access
+    // the arguments belong to `new`, not to a call of the callee
+    while (!this.peek('(') && !this.peek('?.') && (access = this.parseAccess(callee))) {
+      callee = access
+    }
+    const args = this.eat('(') ? this.parseList(')') : []
+    return { type: 'NewExpression', callee, arguments: args }
+  }
+
+  parseRegExp (): Node {
+    let inClass = false
+    let i = this.pos + 1
+    while (i < this.code.length) {
+      const c = this.code.charAt(i)
+      if (c === '\n' || c === '\r') {
+        break
+      }
+      if (c === '\\') {
+        i++
+      } else if (c === '[') {
+        inClass = true
+      } else if (c === ']') {
+        inClass = false
+      } else if (c === '/' && !inClass) {
+        const pattern = this.code.slice(this.pos + 1, i)
+        // $flow-disable-line
+        const flags = regexFlagsRE.exec(this.code.slice(i + 1))[0]
+        try {
+          new RegExp(pattern, flags)
+        } catch (e) {
+          this.raise('Invalid regular expression', this.pos)
+        }
+        this.pos = i + 1 + flags.length
+        return { type: 'Literal', value: null, regex: { pattern, flags } }
+      }
+      i++
+    }
+    return this.raise('Unterminated regular expression')
+  }
+
+  parseFunction (): Node {
+    if (this.peekWord()) {
+      // the name of a function expression is only visible inside of it
+      this.readIdentifier()
+    }
+    this.expect('(')
+    const params = this.parseParams(')')
+    this.expect('{')
+    const body = this.parseStatementList()
+    this.expect('}')
+    return { type: 'FunctionExpression', params, body }
+  }
+
+  parseObject (): Node {
+    const properties = []
+    while (!this.eat('}')) {
+      if (this.eat('...')) {
+        properties.push({ type: 'SpreadElement', argument: this.parseAssignment() })
+      } else {
+        const start = this.pos
+        let key
+        let computed = false
+        let shorthand = false
+        if (this.eat('[')) {
+          key = this.parseAssignment()
+          computed = true
+          this.expect(']')
+        } else {
+          key = { type: 'Literal', value: this.readPropertyName() }
+        }
+        let value
+        if (this.eat(':')) {
+          value = this.parseAssignment()
+        } else if (this.peek('(')) {
+          this.unsupported('object methods', start)
+        } else if (!computed && identRE.test(key.value)) {
+          if (key.value === 'get' || key.value === 'set') {
+            if (this.peekWord() || this.peek('"') || this.peek(`'`)) {
+              this.unsupported('getters and setters', start)
+            }
+          }
+          value = { type: 'Identifier', name: key.value }
+          shorthand = true
+        } else {
+          this.unexpected()
+        }
+        properties.push({ type: 'Property', key, value, computed, shorthand })
+      }
+      if (!this.peek('}')) {
+        this.expect(',')
+      }
+    }
+    return { type: 'ObjectExpression', properties }
+  }
+
+  readPropertyName (): string {
+    this.skipSpace()
+    const c = this.code.charAt(this.pos)
+    if (c === '"' || c === `'`) {
+      return this.readString(c)
+    }
+    const m = numberRE.exec(this.code.slice(this.pos))
+    if (m) {
+      this.pos += m[0].length
+      return String(Number(m[0]))
+    }
+    return this.readIdentifier()
+  }
+
+  readString (quote: string): string {
+    let value = ''
+    let i = this.pos + 1
+    while (i < this.code.length) {
+      const c = this.code.charAt(i)
+      if (c === quote) {
+        this.pos = i + 1
+        return value
+      }
+      if (c === '\\') {
+        const res = this.readEscape(i + 1)
+        value += res.value
+        i = res.end
+      } else {
+        value += c
+        i++
+      }
+    }
+    return this.raise('Unterminated string')
+  }
+
+  readEscape (i: number): { value: string, end: number } {
+    const c = this.code.charAt(i)
+    if (c === 'x') {
+      return { value: String.fromCharCode(parseInt(this.code.slice(i + 1, i + 3), 16)), end: i + 3 }
+    }
+    if (c === 'u') {
+      if (this.code.charAt(i + 1) === '{') {
+        const close = this.code.indexOf('}', i)
+        const point = parseInt(this.code.slice(i + 2, close), 16)
+        return { value: fromCodePoint(point), end: close + 1 }
+      }
+      return { value: String.fromCharCode(parseInt(this.code.slice(i + 1, i + 5), 16)), end: i + 5 }
+    }
+    if (c === '\r' && this.code.charAt(i + 1) === '\n') {
+      return { value: '', end: i + 2 }
+    }
+    if (c === '\n' || c === '\r') {
+      // line continuation
+      return { value: '', end: i + 1 }
+    }
+    return { value: escapes[c] !== undefined ? escapes[c] : c, end: i + 1 }
+  }
+
+  parseTemplate (): Node {
+    const start = this.pos
+    const quasis = []
+    const expressions = []
+    let value = ''
+    let i = this.pos + 1
+    while (i < this.code.length) {
+      const c = this.code.charAt(i)
+      if (c === '`') {
+        quasis.push(value)
+        this.pos = i + 1
+        return { type: 'TemplateLiteral', quasis, expressions }
+      }
+      if (c === '\\') {
+        const res = this.readEscape(i + 1)
+        value += res.value
+        i = res.end
+      } else if (c === '$' && this.code.charAt(i + 1) === '{') {
+        quasis.push(value)
+        value = ''
+        this.pos = i + 2
+        expressions.push(this.parseExpression())
+        this.expect('}')
+        i = this.pos
+      } else {
+        value += c
+        i++
+      }
+    }
+    return this.raise('Unterminated template literal', start)
+  }
+
+  // patterns
+
+  parseParams (close: string): Array<Node> {
+    const params = []
+    while (!this.eat(close)) {
+      if (this.eat('...')) {
+        params.push({ type: 'RestElement', argument: this.parsePattern() })
+      } else {
+        params.push(this.parsePatternWithDefault())
+      }
+      if (!this.peek(close)) {
+        this.expect(',')
+      }
+    }
+    return params
+  }
+
+  parsePatternWithDefault (): Node {
+    const pattern = this.parsePattern()
+    if (this.peek('=') && !this.peek('==') && !this.peek('=>')) {
+      this.pos++
+      return { type: 'AssignmentPattern', left: pattern, right: this.parseAssignment() }
+    }
+    return pattern
+  }
+
+  parsePattern (): Node {
+    if (this.eat('[')) {
+      return { type: 'ArrayPattern', elements: this.parseParams(']') }
+    }
+    if (this.eat('{')) {
+      const properties = []
+      while (!this.eat('}')) {
+        if (this.eat('...')) {
+          properties.push({ type: 'RestElement', argument: this.parsePattern() })
+        } else {
+          const key = this.readPropertyName()
+          const value = this.eat(':')
+            ? this.parsePatternWithDefault()
+            : this.parseShorthandPattern(key)
+          properties.push({ type: 'Property', key, value })
+        }
+        if (!this.peek('}')) {
+          this.expect(',')
+        }
+      }
+      return { type: 'ObjectPattern', properties }
+    }
+    const name = this.readIdentifier()
+    if (isUnsupportedKeyword(name)) {
+      this.unsupported(unsupportedKeywords[name])
+    }
+    return { type: 'Identifier', name }
+  }
+
+  parseShorthandPattern (name: string): Node {
+    const id = { type: 'Identifier', name }
+    if (this.peek('=') && !this.peek('==')) {
+      this.pos++
+      return { type: 'AssignmentPattern', left: id, right: this.parseAssignment() }
+    }
+    return id
+  }
+}
+
+// parenthesized expressions span their parentheses, so an operation is
+// bare when it starts with its own operator or operand
+function isBareUnary (node: Node, code: string): boolean {
+  return node.type === 'UnaryExpression' && code.startsWith(node.operator, node.start)
+}
+
+// `??` can only be combined with `||` and `&&` in parentheses
+function mixesNullish (operator: string, operand: Node): boolean {
+  return operand.type === 'LogicalExpression' &&
+    operand.start === operand.left.start &&
+    (operator === '??') !== (operand.operator === '??') &&
+    (operator === '??' || operator === '||' || operator === '&&')
+}
+
+function fromCodePoint (point: number): string {
+  if (point <= 0xffff) {
+    return String.fromCharCode(point)
+  }
+  point -= 0x10000
+  return String.fromCharCode((point >> 10) + 0xd800, (point % 0x400) + 0xdc00)
+}
@@ -0,0 +1,81 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import builtInRules from './rules'
+
+const severities = ['off', 'warn', 'error']
+
+/**
+ * Run lint rules over a parsed template. Each rule is applied with the
+ * severity configured in `options.lint`, falling back to its default.
+ * Offsets reported by rules are relative to `source` and are shifted by
+ * `offset` in the results, e.g. to account for trimmed leading whitespace.
+ */
+export function lintTemplate (
+  ast: ?ASTNode,
+  source: string,
+  options: CompilerOptions,
+  offset: number
+): Array<LintMessage> {
+  const messages = []
+  if (!ast) {
+    return messages
+  }
+  const root: ASTNode = ast
+  const config = typeof options.lint === 'object' ? options.lint : {}
+  const rules = extend(extend({}, builtInRules), options.lintRules)
+  const active = []
+  for (const name in rules) {
+    const rule = rules[name]
+    const severity = config[name] || rule.severity || 'warn'
+    if (process.env.NODE_ENV !== 'production' && severities.indexOf(severity) < 0) {
+      messages.push({
+        rule: name,
+        severity: 'error',
+        msg: `Invalid severity "${severity}" for lint rule "${name}". ` +
+          `Expected one of ${severities.join(', ')}.`
+      })
+      continue
+    }
+    if (severity !== 'off') {
+      active.push({ name, rule, severity })
+    }
+  }
+  active.forEach(({ name, rule, severity }) => {
+    const context: LintContext = {
+      source,
+      report ({ msg, start, end, fix }) {
+        const message: LintMessage = { rule: name, severity, msg }
+        if (start != null) message.start = start + offset
+        if (end != null) message.end = end + offset
+        if (fix) {
+          message.fix = fix.map(edit => ({
+            start: edit.start + offset,
+            end: edit.end + offset,
+            text: edit.text
+          }))
+        }
+        messages.push(message)
+      }
+    }
+    walk(root, rule, context)
+  })
+  return messages.sort((a, b) => (a.start || 0) - (b.start || 0))
+}
+
+function walk (node: ASTNode, rule: LintRule, context: LintContext) {
+  if (node.type === 1) {
+    rule.element && rule.element(node, context)
+    node.children.forEach(child => walk(child, rule, context))
+    // v-else(-if) branches and scoped slots are not kept in children
+    if (node.ifConditions) {
+      node.ifConditions.slice(1).forEach(({ block }) => walk(block, rule, context))
+    }
+    if (node.scopedSlots) {
+      const slots = node.scopedSlots
+      Object.keys(slots).forEach(key => walk(slots[key], rule, context))
+    }
+  } else if (node.type !== 4) {
+    rule.text && rule.text(node, context)
+  }
+}
@@ -0,0 +1,172 @@
+/* @flow */
+
+import { onRE } from '../parser/index'
+import { parseExpression } from '../interpreter/parser'
+
+// a.b a['b'] a["b"] a[0] a?.b and function expressions are handler references
+const simplePathRE = /^[A-Za-z_$][\w$]*(?:\??\.[A-Za-z_$][\w$]*|(?:\?\.)?(?:\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*]))*$/
+const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function(?:\s+[\w$]+)?\s*\(/
+const stripStringRE = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*`/g
+// assignments and updates, but not comparisons or arrow functions
+const mutationRE = /(?:^|[^=!<>])=(?![=>])|\+\+|--/
+
+const shorthands = [
+  { prefix: 'v-bind:', replacement: ':' },
+  { prefix: 'v-on:', replacement: '@' },
+  { prefix: 'v-slot:', replacement: '#' }
+]
+
+function rawRange (el: ASTElement, name: string): ?{ start: number, end: number } {
+  const range = el.rawAttrsMap[name]
+  return range && range.start != null && range.end != null
+    ? { start: range.start, end: range.end }
+    : null
+}
+
+function hasKey (el: ASTElement): boolean {
+  return ':key' in el.attrsMap || 'v-bind:key' in el.attrsMap || 'key' in el.attrsMap
+}
+
+// names bound by the aliases of v-for, which may be destructured
+function getAliasNames (el: ASTElement): Array<string> {
+  const aliases = [el.alias, el.iterator1, el.iterator2].filter(Boolean)
+  try {
+    const fn = parseExpression(`(${aliases.join(',')}) => 0`)
+    return [].concat.apply([], fn.params.map(getPatternNames))
+  } catch (e) {
+    return aliases.map(alias => alias.trim())
+  }
+}
+
+function getPatternNames (node: Object): Array<string> {
+  switch (node.type) {
+    case 'Identifier':
+      return [node.name]
+    case 'AssignmentPattern':
+      return getPatternNames(node.left)
+    case 'RestElement':
+      return getPatternNames(node.argument)
+    case 'ArrayPattern':
+      return [].concat.apply([], node.elements.filter(Boolean).map(getPatternNames))
+    case 'ObjectPattern':
+      return [].concat.apply([], node.properties.map(prop => getPatternNames(
+        prop.type === 'RestElement' ? prop : prop.value
+      )))
+    default:
+      return []
+  }
+}
+
+// extend a range to the whitespace preceding it, for removing attributes
+function withLeadingSpace (source: string, start: number): number {
+  while (start > 0 && /\s/.test(source.charAt(start - 1))) {
+    start--
+  }
+  return start
+}
+
+export default ({
+  'require-v-for-key': {
+    description: 'require a key on elements rendered with v-for',
+    severity: 'error',
+    element (el: ASTElement, context: LintContext) {
+      if (!el.for || el.tag === 'template' || el.tag === 'slot' || hasKey(el)) {
+        return
+      }
+      const range = rawRange(el, 'v-for')
+      context.report({
+        msg: `<${el.tag} v-for="${el.attrsMap['v-for']}"> should have a unique :key ` +
+          `so that its elements can be tracked when the list changes.`,
+        start: range ? range.start : el.start,
+        end: range ? range.end : el.end
+      })
+    }
+  },
+
+  'no-v-if-with-v-for': {
+    description: 'disallow v-if on the same element as v-for',
+    severity: 'warn',
+    element (el: ASTElement, context: LintContext) {
+      const exp = el.attrsMap['v-if']
+      if (!el.for || !exp) {
+        return
+      }
+      const range = rawRange(el, 'v-if')
+      const usesAlias = getAliasNames(el).some(alias => {
+        return new RegExp(`(^|[^\\w$.])${alias.replace(/\$/g, '\\$')}(?![\\w$])`).test(exp)
+      })
+      const { start, end } = el
+      let fix
+      // a condition that does not depend on the item can guard the whole list
+      if (!usesAlias && range && start != null && end != null) {
+        // the attribute is moved as written, keeping its quotes and entities
+        fix = [
+          { start, end: start, text: `<template ${context.source.slice(range.start, range.end)}>` },
+          { start: withLeadingSpace(context.source, range.start), end: range.end, text: '' },
+          { start: end, end, text: `</template>` }
+        ]
+      }
+      context.report({
+        msg: usesAlias
+          ? `v-if is evaluated for every item of v-for on <${el.tag}>. ` +
+            `Filter the list in a computed property instead.`
+          : `v-if on <${el.tag}> does not depend on the v-for item. ` +
+            `Move it to a wrapping <template>.`,
+        start: range ? range.start : start,
+        end: range ? range.end : end,
+        fix
+      })
+    }
+  },
+
+  'no-inline-handler-side-effects': {
+    description: 'disallow assignments and multiple statements in inline handlers',
+    severity: 'warn',
+    element (el: ASTElement, context: LintContext) {
+      for (const name in el.attrsMap) {
+        const value = el.attrsMap[name]
+        if (!onRE.test(name) || !value) {
+          continue
+        }
+        const exp = value.trim()
+        if (simplePathRE.test(exp) || fnExpRE.test(exp)) {
+          continue
+        }
+        const stripped = exp.replace(stripStringRE, '""')
+        if (mutationRE.test(stripped) || /;\s*\S/.test(stripped)) {
+          const range = rawRange(el, name)
+          context.report({
+            msg: `Inline handler ${name}="${value}" changes state. ` +
+              `Move the logic into a method.`,
+            start: range ? range.start : el.start,
+            end: range ? range.end : el.end
+          })
+        }
+      }
+    }
+  },
+
+  'prefer-directive-shorthand': {
+    description: 'prefer ":", "@" and "#" over v-bind:, v-on: and v-slot:',
+    severity: 'off',
+    element (el: ASTElement, context: LintContext) {
+      for (const name in el.attrsMap) {
+        const range = rawRange(el, name)
+        for (let i = 0; i < shorthands.length; i++) {
+          const { prefix, replacement } = shorthands[i]
+          if (name.indexOf(prefix) === 0) {
+            const shorthand = replacement + name.slice(prefix.length)
+            context.report({
+              msg: `Use the shorthand "${shorthand}" instead of "${name}".`,
+              start: range ? range.start : el.start,
+              end: range ? range.start + name.length : el.end,
+              fix: range
+                ? [{ start: range.start, end: range.start + prefix.length, text: replacement }]
+                : undefined
+            })
+          }
+        }
+      }
+    }
+  }
+}: { [key: string]: LintRule })
@@ -111,7 +111,7 @@ function isStatic (node: ASTNode): boolean {
   if (node.type === 2) { // expression
     return false
   }
-  if (node.type === 3) { // text
+  if (node.type === 3 || node.type === 4) { // text or error
     return true
   }
   return !!(node.pre || (
@@ -1,11 +1,64 @@
 /* @flow */
 
-let decoder
+import { hasOwn } from 'shared/util'
+import { namedEntities, legacyEntities } from './entities'
 
-export default {
-  decode (html: string): string {
-    decoder = decoder || document.createElement('div')
-    decoder.innerHTML = html
-    return decoder.textContent
+/**
+ * Decode the character references in template text the way the HTML5
+ * tokenizer does, without relying on the DOM, so that templates compile
+ * the same in browsers, workers and Node.
+ */
+
+const referenceRE = /&(?:#([xX][0-9a-fA-F]+|[0-9]+);?|([0-9A-Za-z]+)(;?))/g
+
+// numeric references in 0x80 - 0x9F are read as windows-1252, like
+// browsers do
+const windows1252 = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+]
+
+// the longest legacy entity name
+const maxLegacyLength = 6
+
+export function decode (html: string): string {
+  if (html.indexOf('&') < 0) {
+    return html
+  }
+  return html.replace(referenceRE, (match, numeric, name, semicolon) => {
+    if (numeric) {
+      return decodeNumeric(numeric)
+    }
+    if (semicolon && hasOwn(namedEntities, name)) {
+      return namedEntities[name]
+    }
+    // otherwise the longest legacy entity the name starts with is decoded,
+    // e.g. "&notit;" is "¬it;"
+    for (let i = Math.min(name.length, maxLegacyLength); i > 1; i--) {
+      const prefix = name.slice(0, i)
+      if (legacyEntities(prefix)) {
+        return namedEntities[prefix] + name.slice(i) + semicolon
+      }
+    }
+    return match
+  })
+}
+
+function decodeNumeric (digits: string): string {
+  let code = digits.charAt(0) === 'x' || digits.charAt(0) === 'X'
+    ? parseInt(digits.slice(1), 16)
+    : parseInt(digits, 10)
+  if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+    return '\uFFFD'
+  }
+  if (code >= 0x80 && code <= 0x9F) {
+    code = windows1252[code - 0x80]
+  }
+  if (code > 0xFFFF) {
+    code -= 0x10000
+    return String.fromCharCode((code >> 10) + 0xD800, (code & 0x3FF) + 0xDC00)
   }
+  return String.fromCharCode(code)
 }
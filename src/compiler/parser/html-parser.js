@@ -25,6 +25,8 @@ const doctype = /^<!DOCTYPE [^>]+>/i
 // #7298: escape - to avoid being passed as HTML comment when inlined in page
 const comment = /^<!\--/
 const conditionalComment = /^<!\[/
+// a quoted attribute value without its closing quote, see tolerant mode
+const unterminatedValue = /^\s*=\s*(["'])([^<>\r\n]*)/
 
 // Special Elements (can contain anything)
 export const isPlainTextElement = makeMap('script,style,textarea', true)
@@ -56,6 +58,7 @@ export function parseHTML (html, options) {
   const expectHTML = options.expectHTML
   const isUnaryTag = options.isUnaryTag || no
   const canBeLeftOpenTag = options.canBeLeftOpenTag || no
+  const tolerant = options.tolerant
   let index = 0
   let last, lastTag
   while (html) {
@@ -75,6 +78,14 @@ export function parseHTML (html, options) {
             advance(commentEnd + 3)
             continue
           }
+          if (tolerant) {
+            error('Unterminated comment.', index, index + html.length)
+            if (options.shouldKeepComment) {
+              options.comment(html.substring(4), index, index + html.length)
+            }
+            advance(html.length)
+            continue
+          }
         }
 
         // http://en.wikipedia.org/wiki/Conditional_comment#Downlevel-revealed_conditional_comment
@@ -147,19 +158,17 @@ export function parseHTML (html, options) {
       let endTagLength = 0
       const stackedTag = lastTag.toLowerCase()
       const reStackedTag = reCache[stackedTag] || (reCache[stackedTag] = new RegExp('([\\s\\S]*?)(</' + stackedTag + '[^>]*>)', 'i'))
+      const start = index
+      if (tolerant && !reStackedTag.test(html)) {
+        // the text of an unclosed element runs to the end of the template,
+        // and the element is reported when the remaining tags are cleaned up
+        rawText(stackedTag, html, start, start + html.length)
+        advance(html.length)
+        break
+      }
       const rest = html.replace(reStackedTag, function (all, text, endTag) {
         endTagLength = endTag.length
-        if (!isPlainTextElement(stackedTag) && stackedTag !== 'noscript') {
-          text = text
-            .replace(/<!\--([\s\S]*?)-->/g, '$1') // #7298
-            .replace(/<!\[CDATA\[([\s\S]*?)]]>/g, '$1')
-        }
-        if (shouldIgnoreFirstNewline(stackedTag, text)) {
-          text = text.slice(1)
-        }
-        if (options.chars) {
-          options.chars(text)
-        }
+        rawText(stackedTag, text, start, start + all.length - endTagLength)
         return ''
       })
       index += html.length - rest.length
@@ -168,8 +177,14 @@ export function parseHTML (html, options) {
     }
 
     if (html === last) {
-      options.chars && options.chars(html)
-      if (process.env.NODE_ENV !== 'production' && !stack.length && options.warn) {
+      options.chars && options.chars(html, index, index + html.length)
+      if (tolerant) {
+        if (!stack.length) {
+          error(`Mal-formatted tag at end of template: "${html}"`, index, index + html.length)
+        }
+        // open elements end after the text
+        advance(html.length)
+      } else if (process.env.NODE_ENV !== 'production' && !stack.length && options.warn) {
         options.warn(`Mal-formatted tag at end of template: "${html}"`, { start: index + html.length })
       }
       break
@@ -179,11 +194,35 @@ export function parseHTML (html, options) {
   // Clean up any remaining tags
   parseEndTag()
 
+  // the text content of script, style, textarea and the like
+  function rawText (tag, text, start, end) {
+    if (!isPlainTextElement(tag) && tag !== 'noscript') {
+      text = text
+        .replace(/<!\--([\s\S]*?)-->/g, '$1') // #7298
+        .replace(/<!\[CDATA\[([\s\S]*?)]]>/g, '$1')
+    }
+    if (shouldIgnoreFirstNewline(tag, text)) {
+      text = text.slice(1)
+      start++
+    }
+    if (options.chars) {
+      options.chars(text, start, end)
+    }
+  }
+
   function advance (n) {
     index += n
     html = html.substring(n)
   }
 
+  // in tolerant mode, malformed markup is reported here and recovered from
+  // instead of being warned about or dropped
+  function error (msg, start, end) {
+    if (options.error) {
+      options.error(msg, { start, end })
+    }
+  }
+
   function parseStartTag () {
     const start = html.match(startTagOpen)
     if (start) {
@@ -197,6 +236,9 @@ export function parseHTML (html, options) {
       while (!(end = html.match(startTagClose)) && (attr = html.match(dynamicArgAttribute) || html.match(attribute))) {
         attr.start = index
         advance(attr[0].length)
+        if (tolerant && !attr[2]) {
+          parseUnterminatedValue(attr)
+        }
         attr.end = index
         match.attrs.push(attr)
       }
@@ -206,6 +248,25 @@ export function parseHTML (html, options) {
         match.end = index
         return match
       }
+      if (tolerant) {
+        // e.g. a half-typed `<div class="a"` followed by another tag
+        error(`tag <${match.tagName}> is missing its closing ">".`, match.start, index)
+        match.end = index
+        return match
+      }
+    }
+  }
+
+  // `name="value` without the closing quote, the value ends at the end of
+  // the line or the next < or >
+  function parseUnterminatedValue (attr) {
+    const value = html.match(unterminatedValue)
+    if (value) {
+      advance(value[0].length)
+      error('Unterminated attribute value.', attr.start, index)
+      attr[0] += value[0]
+      attr[2] = '='
+      attr[value[1] === '"' ? 3 : 4] = value[2]
     }
   }
 
@@ -215,10 +276,10 @@ export function parseHTML (html, options) {
 
     if (expectHTML) {
       if (lastTag === 'p' && isNonPhrasingTag(tagName)) {
-        parseEndTag(lastTag)
+        parseEndTag(lastTag, match.start, match.start)
       }
       if (canBeLeftOpenTag(tagName) && lastTag === tagName) {
-        parseEndTag(tagName)
+        parseEndTag(tagName, match.start, match.start)
       }
     }
 
@@ -273,8 +334,11 @@ export function parseHTML (html, options) {
     if (pos >= 0) {
       // Close all the open elements, up the stack
       for (let i = stack.length - 1; i >= pos; i--) {
-        if (process.env.NODE_ENV !== 'production' &&
-          (i > pos || !tagName) &&
+        const unclosed = i > pos || !tagName
+        if (unclosed && tolerant) {
+          error(`tag <${stack[i].tag}> has no matching end tag.`, stack[i].start, stack[i].end)
+        } else if (process.env.NODE_ENV !== 'production' &&
+          unclosed &&
           options.warn
         ) {
           options.warn(
@@ -283,7 +347,9 @@ export function parseHTML (html, options) {
           )
         }
         if (options.end) {
-          options.end(stack[i].tag, start, end)
+          // in tolerant mode, elements left open end where the end tag that
+          // closes them starts
+          options.end(stack[i].tag, start, unclosed && tolerant ? start : end)
         }
       }
 
@@ -301,6 +367,8 @@ export function parseHTML (html, options) {
       if (options.end) {
         options.end(tagName, start, end)
       }
+    } else if (tolerant) {
+      error(`Stray end tag </${tagName}>.`, start, end)
     }
   }
 }
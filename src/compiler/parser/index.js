@@ -1,6 +1,6 @@
 /* @flow */
 
-import he from 'he'
+import { decode } from './entity-decoder'
 import { parseHTML } from './html-parser'
 import { parseText } from './text-parser'
 import { parseFilters } from './filter-parser'
@@ -42,7 +42,7 @@ const whitespaceRE = /[ \f\t\r\n]+/g
 
 const invalidAttributeRE = /[\s"'<>\/=]/
 
-const decodeHTMLCached = cached(he.decode)
+const decodeHTMLCached = cached(decode)
 
 export const emptySlotScopeToken = `_empty_`
 
@@ -81,6 +81,11 @@ export function parse (
   options: CompilerOptions
 ): ASTElement | void {
   warn = options.warn || baseWarn
+  // tooling using the tolerant mode needs the source ranges
+  if (options.tolerant && !options.outputSourceRange) {
+    options = extend({}, options)
+    options.outputSourceRange = true
+  }
 
   platformIsPreTag = options.isPreTag || no
   platformMustUseProp = options.mustUseProp || no
@@ -106,6 +111,7 @@ export function parse (
   let inVPre = false
   let inPre = false
   let warned = false
+  const rootErrors = []
 
   function warnOnce (msg, range) {
     if (!warned) {
@@ -121,16 +127,23 @@ export function parse (
     }
     // tree management
     if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
+      if (root.fragment) {
+        addFragmentChild(root, element)
+      } else if (root.if && (element.elseif || element.else)) {
+        // allow root elements with v-if, v-else-if and v-else
+        if (process.env.NODE_ENV !== 'production' && !options.fragments) {
           checkRootConstraints(element)
         }
         addIfCondition(root, {
           exp: element.elseif,
           block: element
         })
+      } else if (options.fragments) {
+        // several root elements are rendered as a fragment
+        root = createFragment(root)
+        addFragmentChild(root, element)
       } else if (process.env.NODE_ENV !== 'production') {
+        // platforms without fragments render a single root element
         warnOnce(
           `Component template should contain exactly one root element. ` +
           `If you are using v-if on multiple elements, ` +
@@ -207,6 +220,55 @@ export function parse (
     }
   }
 
+  function createFragment (el?: ASTElement) {
+    const fragment = createASTElement('template', [], undefined)
+    fragment.fragment = true
+    if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+      // a fragment spans the whole template
+      fragment.start = 0
+      fragment.end = template.length
+    }
+    if (el) {
+      fragment.children.push(el)
+      el.parent = fragment
+    }
+    return fragment
+  }
+
+  // malformed markup found in tolerant mode is kept in the AST as an error
+  // node where it was found. Errors outside of the root element are kept in
+  // the root element, so that they don't change what is rendered.
+  function addError (message: string, range: { start: number, end: number }) {
+    warn(message, range)
+    const error: ASTError = {
+      type: 4,
+      message,
+      start: range.start,
+      end: range.end
+    }
+    // errors inside of elements that are dropped, such as <script>, are
+    // kept in the closest element that is rendered
+    let parent = currentParent
+    while (parent && parent.forbidden) {
+      parent = parent.parent
+    }
+    parent = parent || root
+    if (parent) {
+      parent.children.push(error)
+    } else {
+      rootErrors.push(error)
+    }
+  }
+
+  function addFragmentChild (fragment, el) {
+    if (el.elseif || el.else) {
+      processIfConditions(el, fragment)
+    } else {
+      fragment.children.push(el)
+      el.parent = fragment
+    }
+  }
+
   // 解析 HTML 模板
   parseHTML(template, {
     warn,
@@ -217,6 +279,8 @@ export function parse (
     shouldDecodeNewlinesForHref: options.shouldDecodeNewlinesForHref,
     shouldKeepComment: options.comments,
     outputSourceRange: options.outputSourceRange,
+    tolerant: options.tolerant,
+    error: addError,
     start (tag, attrs, unary, start, end) {
       // check namespace.
       // inherit parent ns if there is one
@@ -291,7 +355,8 @@ export function parse (
 
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
+        root.children.push.apply(root.children, rootErrors)
+        if (process.env.NODE_ENV !== 'production' && !options.fragments) {
           // ast树管理 建立父子关系
           checkRootConstraints(root)
         }
@@ -411,6 +476,11 @@ export function parse (
       }
     }
   })
+  // the tolerant mode always produces an AST, even for empty templates
+  if (!root && options.tolerant) {
+    root = createFragment()
+    root.children.push.apply(root.children, rootErrors)
+  }
   return root
 }
 
@@ -582,7 +652,7 @@ function findPrevElement (children: Array<any>): ASTElement | void {
   while (i--) {
     if (children[i].type === 1) {
       return children[i]
-    } else {
+    } else if (children[i].type !== 4) {
       if (process.env.NODE_ENV !== 'production' && children[i].text !== ' ') {
         warn(
           `text "${children[i].text.trim()}" between v-if and v-else(-if) ` +
@@ -590,7 +660,8 @@ function findPrevElement (children: Array<any>): ASTElement | void {
           children[i]
         )
       }
-      children.pop()
+      // error nodes found in tolerant mode are kept
+      children.splice(i, 1)
     }
   }
 }
@@ -0,0 +1,137 @@
+/* @flow */
+
+import { hasOwn, makeMap } from 'shared/util'
+
+// the parser keeps the content of these elements as-is
+const isTextTag = makeMap('script,style')
+// leading newlines the parser drops from the content of these elements:
+// the one after the start tag, and for <textarea> another one when its
+// content is read as raw text
+const ignoredNewlines = { pre: '\n', textarea: '\n\n' }
+
+const lineBreakRE = /[\r\n]/
+const whitespaceRE = /[ \f\t\r\n]+/g
+// only escape what the parser would decode into something else
+const attrAmpRE = /&(?=(?:lt|gt|quot|amp|#39|#10|#9);)/g
+const textAmpRE = /&(?=[#\w])/g
+const textLtRE = /<(?=[^\s\d<=>])/g
+
+/**
+ * Print a template AST back to template source. Attributes are printed as
+ * written, so directives, modifiers, dynamic arguments and slot syntax are
+ * kept, and the text of the tree is printed as the parser left it. With the
+ * `whitespace` option the AST was parsed with, parsing the printed template
+ * produces the same tree, which allows parse -> transform -> print.
+ */
+export function printTemplate (ast: ?ASTElement, options?: CompilerOptions): string {
+  return ast ? genBranches(ast, options || {}, false) : ''
+}
+
+function genBranches (el: ASTElement, options: CompilerOptions, inPre: boolean): string {
+  let code = genElement(el, options, inPre)
+  if (el.ifConditions) {
+    for (let i = 1; i < el.ifConditions.length; i++) {
+      const block = el.ifConditions[i].block
+      const attrs = getAttrs(block)
+      // skip branches created by transforms, e.g. for input[v-model] with
+      // a dynamic type
+      if ('v-else' in attrs || 'v-else-if' in attrs) {
+        code += genElement(block, options, inPre)
+      }
+    }
+  }
+  return code
+}
+
+function genElement (el: ASTElement, options: CompilerOptions, inPre: boolean): string {
+  const { tag } = el
+  // the roots of a template with several root nodes
+  if (el.fragment) {
+    return genContent(el, options, inPre)
+  }
+  const code = `<${tag}${genAttrs(getAttrs(el))}>`
+  if (options.isUnaryTag && options.isUnaryTag(tag)) {
+    return code
+  }
+  inPre = inPre || !!(options.isPreTag && options.isPreTag(tag))
+  let content = genContent(el, options, inPre)
+  if (hasOwn(ignoredNewlines, tag) && content.charAt(0) === '\n') {
+    content = ignoredNewlines[tag] + content
+  }
+  return `${code}${content}</${tag}>`
+}
+
+function genContent (el: ASTElement, options: CompilerOptions, inPre: boolean): string {
+  const children = getChildren(el)
+  let content = ''
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i]
+    if (child.type === 1) {
+      content += genBranches(child, options, inPre)
+    } else if (child.type !== 4) {
+      // error nodes of the tolerant mode are not printed, the recovered
+      // structure is
+      content += genText(child, el, options, inPre)
+    }
+  }
+  return content
+}
+
+function getAttrs (el: ASTElement): Object {
+  return el.sourceAttrsMap || el.attrsMap
+}
+
+function genAttrs (attrs: Object): string {
+  let code = ''
+  for (const name in attrs) {
+    const value = String(attrs[name])
+    code += value
+      ? ` ${name}="${value.replace(attrAmpRE, '&amp;').replace(/"/g, '&quot;')}"`
+      : ` ${name}`
+  }
+  return code
+}
+
+function getChildren (el: ASTElement): Array<ASTNode> {
+  const children = el.children.slice()
+  const slots = el.scopedSlots
+  if (!slots) {
+    return children
+  }
+  // the parser moves scoped slots out of children
+  Object.keys(slots).forEach(key => {
+    const slot = slots[key]
+    if (slot.tag === 'template' && !Object.keys(slot.attrsMap).length) {
+      // the template created for v-slot on the component itself
+      children.push.apply(children, slot.children)
+    } else {
+      children.push(slot)
+    }
+  })
+  // restore the source order when source ranges have been recorded
+  if (children.every(child => child.start != null)) {
+    children.sort((a: any, b: any) => a.start - b.start)
+  }
+  return children
+}
+
+function genText (
+  node: ASTText | ASTExpression,
+  parent: ASTElement,
+  options: CompilerOptions,
+  inPre: boolean
+): string {
+  if (node.type === 3 && node.isComment) {
+    return `<!--${node.text}-->`
+  }
+  let { text } = node
+  if (!inPre && options.whitespace === 'condense') {
+    if (!text.trim() && lineBreakRE.test(text)) {
+      return ''
+    }
+    text = text.replace(whitespaceRE, ' ')
+  }
+  return isTextTag(parent.tag)
+    ? text
+    : text.replace(textAmpRE, '&amp;').replace(textLtRE, '&lt;')
+}
@@ -3,23 +3,55 @@
 import { noop, extend } from 'shared/util'
 import { warn as baseWarn, tip } from 'core/util/debug'
 import { generateCodeFrame } from './codeframe'
+import { createLRUCache, getCacheKey } from './cache'
+import { createInterpretedFunction } from './interpreter/index'
+
+let uid = 0
 
 type CompiledFunctionResult = {
   render: Function;
   staticRenderFns: Array<Function>;
 };
 
-function createFunction (code, errors) {
+function createFunction (code, errors, map, sourceURL) {
   try {
-    return new Function(code)
+    // the CSP build interprets render code instead of evaluating it
+    if (__CSP__) {
+      return createInterpretedFunction(code)
+    }
+    return new Function(map ? appendSourceMap(code, map, sourceURL) : code)
   } catch (err) {
     errors.push({ err, code })
     return noop
   }
 }
 
-export function createCompileToFunctionFn (compile: Function): Function {
-  const cache = Object.create(null)
+function appendSourceMap (code: string, map: SourceMap, sourceURL: string): string {
+  // new Function() places the body after a "function anonymous(\n) {\n"
+  // header, so generated lines are shifted by two.
+  const offsetMap = extend(extend({}, map), { mappings: ';;' + map.mappings })
+  return code +
+    `\n//# sourceURL=${sourceURL}` +
+    // split so that bundlers do not mistake this for our own source map
+    `\n//# source` + `MappingURL=data:application/json;charset=utf-8;base64,${
+      toBase64(JSON.stringify(offsetMap))
+    }`
+}
+
+function toBase64 (str: string): string {
+  /* istanbul ignore if */
+  if (typeof btoa === 'undefined') {
+    return Buffer.from(str).toString('base64')
+  }
+  // btoa only accepts latin1 characters
+  return btoa(unescape(encodeURIComponent(str)))
+}
+
+export function createCompileToFunctionFn (
+  compile: Function,
+  hasPlugins?: () => boolean
+): Function {
+  const cache = createLRUCache()
 
   return function compileToFunctions (
     template: string,
@@ -31,7 +63,7 @@ export function createCompileToFunctionFn (compile: Function): Function {
     delete options.warn
 
     /* istanbul ignore if */
-    if (process.env.NODE_ENV !== 'production') {
+    if (process.env.NODE_ENV !== 'production' && !__CSP__) {
       // detect possible CSP restriction
       try {
         new Function('return 1')
@@ -41,26 +73,41 @@ export function createCompileToFunctionFn (compile: Function): Function {
             'It seems you are using the standalone build of Vue.js in an ' +
             'environment with Content Security Policy that prohibits unsafe-eval. ' +
             'The template compiler cannot work in this environment. Consider ' +
-            'relaxing the policy to allow unsafe-eval or pre-compiling your ' +
-            'templates into render functions.'
+            'relaxing the policy to allow unsafe-eval, using the CSP build ' +
+            '(vue.csp.js) or pre-compiling your templates into render functions.'
           )
         }
       }
     }
 
     // check cache
-    // template通过分隔符转化为key
-    const key = options.delimiters
-      ? String(options.delimiters) + template
-      : template
-      // 查询是否有缓存 编译过程比较耗时 同一个模板不应该多次编译
-    if (cache[key]) {
-      return cache[key]
+    // template和编译选项转化为key
+    // custom modules, directives and plugins may change the output, so skip the cache
+    const key = options.cache !== false ? getCacheKey(template, options) : null
+    // 查询是否有缓存 编译过程比较耗时 同一个模板不应该多次编译
+    if (key) {
+      const cached = cache.get(key)
+      if (cached) {
+        return cached
+      }
+    }
+    // plugins registered with use() are not part of the key, and stored
+    // code outlives them, e.g. on disk, so the store is skipped with them
+    const store = (hasPlugins && hasPlugins()) ? undefined : options.cache || undefined
+    delete options.cache
+
+    // every template gets its own name so that devtools can tell the
+    // generated functions apart
+    if (options.sourceMap && !options.filename) {
+      options.filename = `template-${++uid}.html`
     }
 
+    // code compiled earlier, possibly by another process
+    const stored = store && key ? store.get(key) : null
+
     // compile
     // 核心的编译过程
-    const compiled = compile(template, options)
+    const compiled = stored || compile(template, options)
 
     // check compilation errors/tips
     if (process.env.NODE_ENV !== 'production') {
@@ -93,10 +140,17 @@ export function createCompileToFunctionFn (compile: Function): Function {
     // turn code into functions
     const res = {}
     const fnGenErrors = []
+    const { map, staticMaps } = compiled
+    const filename = options.filename || ''
     // compiled.render是一个字符串 通过createFunction转为真正的function
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
+    res.render = createFunction(compiled.render, fnGenErrors, map, `${filename}.render.js`)
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(
+        code,
+        fnGenErrors,
+        staticMaps && staticMaps[i],
+        `${filename}.static-${i}.js`
+      )
     })
 
     // check function generation errors.
@@ -113,6 +167,18 @@ export function createCompileToFunctionFn (compile: Function): Function {
       }
     }
 
-    return (cache[key] = res)
+    if (key) {
+      cache.set(key, res)
+      // templates with errors are compiled again so that they are reported
+      if (store && !stored && (!compiled.errors || !compiled.errors.length)) {
+        store.set(key, {
+          render: compiled.render,
+          staticRenderFns: compiled.staticRenderFns,
+          map: compiled.map,
+          staticMaps: compiled.staticMaps
+        })
+      }
+    }
+    return res
   }
 }
@@ -0,0 +1,517 @@
+/* @flow */
+
+import { makeMap, camelize, capitalize, hyphenate, isPlainObject } from 'shared/util'
+import { dirRE, onRE, bindRE, forAliasRE } from './parser/index'
+import { parseStatements, parseExpression } from './interpreter/parser'
+
+type Range = { start?: number, end?: number };
+
+type Scope = Object;
+
+type Binding = {
+  kind: 'prop' | 'data' | 'computed' | 'method' | 'inject' | 'global',
+  callable: boolean
+};
+
+type CheckState = {
+  source: string,
+  bindings: Object,
+  components: Object,
+  // false when the declarations could not all be resolved, e.g. when
+  // the data function throws, in which case unknown names are not reported
+  complete: boolean,
+  tagRE: RegExp,
+  warn: Function
+};
+
+// identifiers that are always available in template expressions
+const isBuiltIn = makeMap(
+  'true,false,null,undefined,this,typeof,instanceof,in,of,new,void,' +
+  'Infinity,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,BigInt,' +
+  'require,arguments,' +
+  // keywords of inline statements and function expressions
+  'function,return,var,let,const,if,else,for,while,do,break,continue,switch,' +
+  'case,default,throw,try,catch,finally,delete,async,await,yield,class,super,' +
+  'debugger,with'
+)
+
+// attributes handled by the runtime rather than passed as props
+const isReservedAttr = makeMap('key,ref,slot,slot-scope,is,class,style')
+
+const identifierRE = /[A-Za-z_$][\w$]*/g
+const arrowParamsRE = /(?:\(([^()]*)\)|([A-Za-z_$][\w$]*))\s*=>/g
+const functionParamsRE = /function\s*[\w$]*\s*\(([^)]*)\)/g
+const declarationRE = /\b(?:var|let|const)\s+([A-Za-z_$][\w$]*|\{[^}]*\}|\[[^\]]*\])/g
+const spreadRE = /\.\.\.\s*$/
+const regexEscapeRE = /[-.*+?^${}()|[\]\/\\]/g
+const defaultTagRE = /\{\{((?:.|\r?\n)+?)\}\}/g
+
+/**
+ * Check the expressions of a template against the declarations of its
+ * component: references to undefined properties, calls on properties that
+ * are not methods, and misspelled props on known child components.
+ * Reported ranges point at the offending identifier in the template.
+ */
+export function checkTemplateTypes (
+  ast: ?ASTNode,
+  source: string,
+  options: CompilerOptions,
+  warn: Function
+) {
+  const declarations = options.bindings
+  if (!ast || !declarations) {
+    return
+  }
+  const state: CheckState = {
+    source,
+    bindings: Object.create(null),
+    components: Object.create(null),
+    complete: true,
+    tagRE: buildTagRE(options.delimiters),
+    warn
+  }
+  collectBindings(state, declarations)
+  checkNode(ast, state, Object.create(null))
+}
+
+function collectBindings (state: CheckState, declarations: ComponentBindings) {
+  const { props, computed, methods, inject, globals, components } = declarations
+  let { data } = declarations
+  let isCallableData: (value: any) => boolean = value => typeof value === 'function'
+  if (typeof data === 'function') {
+    data = getReturnedKeys(data)
+    if (!data) {
+      state.complete = false
+    }
+    isCallableData = callable => callable
+  }
+  addBindings(state, props, 'prop', isCallableProp)
+  addBindings(state, data, 'data', isCallableData)
+  addBindings(state, computed, 'computed', () => false)
+  addBindings(state, methods, 'method', () => true)
+  addBindings(state, inject, 'inject', () => true)
+  addBindings(state, globals, 'global', () => true)
+  if (components) {
+    for (const name in components) {
+      const names = getPropNames(components[name])
+      if (names) {
+        state.components[name] = names
+      }
+    }
+  }
+}
+
+function addBindings (
+  state: CheckState,
+  decl: any,
+  kind: $PropertyType<Binding, 'kind'>,
+  isCallable: (value: any) => boolean
+) {
+  if (Array.isArray(decl)) {
+    // only names are known, so calls cannot be checked
+    decl.forEach(key => {
+      state.bindings[kind === 'prop' ? camelize(key) : key] = { kind, callable: true }
+    })
+  } else if (isPlainObject(decl)) {
+    for (const key in decl) {
+      state.bindings[kind === 'prop' ? camelize(key) : key] = {
+        kind,
+        callable: isCallable(decl[key])
+      }
+    }
+  }
+}
+
+/**
+ * The keys of the object literal returned by a data function, mapped to
+ * whether their value is a function. The function is read from its source
+ * rather than called, as it may need an instance or have side effects.
+ * Returns nothing when the keys cannot all be known.
+ */
+function getReturnedKeys (fn: Function): ?{ [key: string]: boolean } {
+  const source = Function.prototype.toString.call(fn)
+  // skip the name and parameters, of methods, functions and arrows
+  const head = /^(?:[^(=]*\([^)]*\)|[\w$]+)\s*(?:=>)?\s*/.exec(source)
+  if (!head) return
+  const body = source.slice(head[0].length)
+  let returned
+  try {
+    if (body.charAt(0) === '{') {
+      const statements = parseStatements(body.slice(1, body.lastIndexOf('}')), { loose: true })
+      statements.forEach(statement => {
+        if (statement.type === 'ReturnStatement') {
+          returned = statement.argument
+        }
+      })
+    } else {
+      returned = parseExpression(body, { loose: true })
+    }
+  } catch (e) {
+    return
+  }
+  if (!returned || returned.type !== 'ObjectExpression') {
+    return
+  }
+  const keys = {}
+  for (let i = 0; i < returned.properties.length; i++) {
+    const prop = returned.properties[i]
+    if (prop.type !== 'Property' || prop.computed) {
+      return
+    }
+    const type = prop.value.type
+    keys[prop.key.value] = type === 'FunctionExpression' || type === 'ArrowFunctionExpression'
+  }
+  return keys
+}
+
+function isCallableProp (def: any): boolean {
+  const type = isPlainObject(def) ? def.type : def
+  if (type == null) {
+    return true
+  }
+  return Array.isArray(type)
+    ? type.indexOf(Function) > -1
+    : type === Function
+}
+
+function getPropNames (def: any): ?Array<string> {
+  if (Array.isArray(def)) {
+    return def.map(camelize)
+  }
+  if (def && (Array.isArray(def.props) || isPlainObject(def.props))) {
+    return getPropNames(Array.isArray(def.props) ? def.props : Object.keys(def.props))
+  }
+}
+
+function checkNode (node: ASTNode, state: CheckState, scope: Scope) {
+  if (node.type === 1) {
+    checkElement(node, state, scope)
+  } else if (node.type === 2) {
+    checkText(node, state, scope)
+  }
+}
+
+function checkElement (node: ASTElement, state: CheckState, parentScope: Scope) {
+  let scope = parentScope
+  const slotScope = node.attrsMap['slot-scope'] || node.attrsMap.scope
+  const slotName = Object.keys(node.attrsMap).filter(name => /^v-slot(:|$)|^#/.test(name))[0]
+  if (slotScope || slotName) {
+    scope = extendScope(scope, collectIdentifiers(slotScope || node.attrsMap[slotName]))
+  }
+  const forScope = node.for
+    ? extendScope(scope, [node.alias, node.iterator1, node.iterator2])
+    : scope
+
+  for (const name in node.attrsMap) {
+    const value = node.attrsMap[name]
+    if (!value || !dirRE.test(name) || name === slotName) {
+      continue
+    }
+    const range = node.rawAttrsMap[name]
+    if (name === 'v-for') {
+      const match = value.match(forAliasRE)
+      if (match) {
+        const offset = getValueOffset(state, name, value, range, match[2])
+        checkExpression(state, match[2], scope, offset, range, false)
+      }
+    } else {
+      const offset = getValueOffset(state, name, value, range, value)
+      checkExpression(state, value, forScope, offset, range, onRE.test(name))
+    }
+  }
+
+  checkComponentProps(node, state)
+
+  for (let i = 0; i < node.children.length; i++) {
+    checkNode(node.children[i], state, forScope)
+  }
+  if (node.ifConditions) {
+    // the first condition is the node itself
+    for (let i = 1; i < node.ifConditions.length; i++) {
+      checkNode(node.ifConditions[i].block, state, parentScope)
+    }
+  }
+  if (node.scopedSlots) {
+    for (const key in node.scopedSlots) {
+      checkNode(node.scopedSlots[key], state, forScope)
+    }
+  }
+}
+
+function checkText (node: ASTExpression, state: CheckState, scope: Scope) {
+  const { start, end } = node
+  if (start == null || end == null) {
+    return
+  }
+  const text = state.source.slice(start, end)
+  const tagRE = state.tagRE
+  let match
+  tagRE.lastIndex = 0
+  while ((match = tagRE.exec(text))) {
+    const offset = start + match.index + match[0].indexOf(match[1])
+    checkExpression(state, match[1], scope, offset, node, false)
+  }
+}
+
+function checkComponentProps (el: ASTElement, state: CheckState) {
+  const tag = el.tag
+  const props = state.components[tag] ||
+    state.components[camelize(tag)] ||
+    state.components[capitalize(camelize(tag))]
+  if (!props) {
+    return
+  }
+  for (const rawName in el.attrsMap) {
+    let name = rawName
+    if (bindRE.test(name)) {
+      name = name.replace(bindRE, '').replace(/\.[^.\]]+(?=[^\]]*$)/g, '')
+    } else if (dirRE.test(name)) {
+      continue
+    }
+    // dynamic arguments cannot be checked
+    if (!name || name[0] === '[' || isReservedAttr(name)) {
+      continue
+    }
+    const key = camelize(name)
+    if (props.indexOf(key) > -1) {
+      continue
+    }
+    // other attributes fall through to the root element of the child,
+    // so only report those that look like a typo of a declared prop
+    const suggestion = suggest(key, props)
+    if (suggestion) {
+      const range = el.rawAttrsMap[rawName]
+      state.warn(
+        `Unknown prop "${name}" on <${tag}>. Did you mean "${hyphenate(suggestion)}"?`,
+        range && { start: range.start, end: range.start != null ? range.start + rawName.length : undefined }
+      )
+    }
+  }
+}
+
+function checkExpression (
+  state: CheckState,
+  exp: string,
+  scope: Scope,
+  offset: ?number,
+  fallbackRange: ?Range,
+  isHandler: boolean
+) {
+  const code = blankStrings(exp)
+  const locals = extendScope(scope, collectFunctionParams(code))
+  let match
+  identifierRE.lastIndex = 0
+  while ((match = identifierRE.exec(code))) {
+    const name = match[0]
+    const index = match.index
+    const prev = prevChar(code, index)
+    const next = nextChar(code, index + name.length)
+    if (
+      // member access, but not spread
+      (prev === '.' && !spreadRE.test(code.slice(0, index))) ||
+      // numeric literal, e.g. 1e5 or 0xff
+      /\d/.test(code.charAt(index - 1)) ||
+      // object literal key
+      (next === ':' && (prev === '{' || prev === ',')) ||
+      // filter name
+      (!isHandler && prev === '|' && prevChar(code, code.lastIndexOf('|', index)) !== '|') ||
+      name.charAt(0) === '$' ||
+      name.charAt(0) === '_' ||
+      isBuiltIn(name) ||
+      locals[name]
+    ) {
+      continue
+    }
+    const range = offset != null
+      ? { start: offset + index, end: offset + index + name.length }
+      : fallbackRange
+    const binding = state.bindings[name]
+    if (!binding) {
+      if (state.complete) {
+        const suggestion = suggest(name, Object.keys(state.bindings))
+        state.warn(
+          `Property or method "${name}" is referenced in the template ` +
+          `but not defined on the component.` +
+          (suggestion ? ` Did you mean "${suggestion}"?` : ''),
+          range
+        )
+      }
+    } else if (next === '(' && !binding.callable) {
+      state.warn(
+        `"${name}" is a ${binding.kind === 'data' ? 'data property' : binding.kind === 'computed' ? 'computed property' : binding.kind}, ` +
+        `not a method, and cannot be called.`,
+        range
+      )
+    }
+  }
+}
+
+function getValueOffset (
+  state: CheckState,
+  name: string,
+  value: string,
+  range: ?Range,
+  part: string
+): ?number {
+  if (!range || range.start == null) {
+    return
+  }
+  // the attribute value as written may differ from the decoded value,
+  // e.g. when it contains entities, in which case only the attribute
+  // range can be reported
+  const raw = state.source.slice(range.start, range.end)
+  const valueIndex = raw.indexOf(value, name.length)
+  if (valueIndex < 0) {
+    return
+  }
+  return range.start + valueIndex + value.lastIndexOf(part)
+}
+
+// blank out strings and the text of template literals, so that offsets
+// within the expression are preserved
+function blankStrings (exp: string): string {
+  let res = ''
+  // for each template literal being read, the depth of braces within its
+  // current substitution
+  const templates = []
+  let quote = ''
+  for (let i = 0; i < exp.length; i++) {
+    const c = exp.charAt(i)
+    const inTemplate = templates.length > 0 && templates[templates.length - 1] < 0
+    if (quote || inTemplate) {
+      if (c === '\\') {
+        res += ' ' + (exp.charAt(i + 1) === '\n' ? '\n' : ' ')
+        i++
+      } else if (quote ? c === quote : c === '`') {
+        if (quote) quote = ''
+        else templates.pop()
+        res += ' '
+      } else if (inTemplate && c === '$' && exp.charAt(i + 1) === '{') {
+        templates[templates.length - 1] = 0
+        res += '  '
+        i++
+      } else {
+        res += c === '\n' ? c : ' '
+      }
+    } else if (c === '"' || c === `'`) {
+      quote = c
+      res += ' '
+    } else if (c === '`') {
+      templates.push(-1)
+      res += ' '
+    } else if (c === '}' && templates.length && templates[templates.length - 1] === 0) {
+      // the end of a substitution, back to the text of the template
+      templates[templates.length - 1] = -1
+      res += ' '
+    } else {
+      if (templates.length) {
+        if (c === '{') templates[templates.length - 1]++
+        else if (c === '}') templates[templates.length - 1]--
+      }
+      res += c
+    }
+  }
+  return res
+}
+
+function collectFunctionParams (code: string): Array<string> {
+  const params = []
+  let match
+  arrowParamsRE.lastIndex = 0
+  while ((match = arrowParamsRE.exec(code))) {
+    params.push.apply(params, collectIdentifiers(match[1] != null ? match[1] : match[2]))
+  }
+  functionParamsRE.lastIndex = 0
+  while ((match = functionParamsRE.exec(code))) {
+    params.push.apply(params, collectIdentifiers(match[1]))
+  }
+  // variables declared in inline statements
+  declarationRE.lastIndex = 0
+  while ((match = declarationRE.exec(code))) {
+    params.push.apply(params, collectIdentifiers(match[1]))
+  }
+  return params
+}
+
+// collect the names bound by a parameter list, including destructuring
+function collectIdentifiers (params: string): Array<string> {
+  const names = []
+  let match
+  const re = new RegExp(identifierRE.source, 'g')
+  while ((match = re.exec(params))) {
+    if (nextChar(params, match.index + match[0].length) !== ':') {
+      names.push(match[0])
+    }
+  }
+  return names
+}
+
+function extendScope (scope: Scope, names: Array<any>): Scope {
+  const res = Object.create(scope)
+  names.forEach(name => {
+    if (name) res[name.trim()] = true
+  })
+  return res
+}
+
+function prevChar (str: string, index: number): string {
+  while (index-- > 0) {
+    const c = str.charAt(index)
+    if (c !== ' ' && c !== '\n' && c !== '\t' && c !== '\r') return c
+  }
+  return ''
+}
+
+function nextChar (str: string, index: number): string {
+  for (; index < str.length; index++) {
+    const c = str.charAt(index)
+    if (c !== ' ' && c !== '\n' && c !== '\t' && c !== '\r') return c
+  }
+  return ''
+}
+
+function buildTagRE (delimiters: ?[string, string]): RegExp {
+  if (!delimiters) {
+    return defaultTagRE
+  }
+  const open = delimiters[0].replace(regexEscapeRE, '\\$&')
+  const close = delimiters[1].replace(regexEscapeRE, '\\$&')
+  return new RegExp(open + '((?:.|\\n)+?)' + close, 'g')
+}
+
+// suggest a declared name within an edit distance of 2
+function suggest (name: string, candidates: Array<string>): ?string {
+  let best
+  let bestDistance = 3
+  const lower = name.toLowerCase()
+  for (let i = 0; i < candidates.length; i++) {
+    const distance = editDistance(lower, candidates[i].toLowerCase())
+    if (distance < bestDistance) {
+      best = candidates[i]
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+function editDistance (a: string, b: string): number {
+  if (Math.abs(a.length - b.length) > 2) {
+    return 3
+  }
+  let prev = []
+  for (let j = 0; j <= b.length; j++) prev.push(j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j++) {
+      cur.push(Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+      ))
+    }
+    prev = cur
+  }
+  return prev[b.length]
+}
@@ -6,7 +6,7 @@ import {
   identity
 } from 'shared/util'
 
-import { LIFECYCLE_HOOKS } from 'shared/constants'
+import { LIFECYCLE_HOOKS, MAX_UPDATE_COUNT } from 'shared/constants'
 
 export type Config = {
   // user
@@ -19,6 +19,8 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  maxUpdateCount: number;
+  sourceMaps: boolean;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -27,9 +29,11 @@ export type Config = {
   isUnknownElement: (x?: string) => boolean;
   getTagNamespace: (x?: string) => string | void;
   mustUseProp: (tag: string, type: ?string, name: string) => boolean;
+  supportsFragments: boolean;
 
   // private
   async: boolean;
+  proxyArrays: boolean;
 
   // legacy
   _lifecycleHooks: Array<string>;
@@ -83,6 +87,18 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How many times a watcher may run within a single flush before it
+   * is considered an infinite update loop (dev only)
+   */
+  maxUpdateCount: MAX_UPDATE_COUNT,
+
+  /**
+   * Attach source maps to the render functions of templates compiled
+   * at runtime (dev only)
+   */
+  sourceMaps: false,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -117,12 +133,25 @@ export default ({
    */
   mustUseProp: no,
 
+  /**
+   * Whether several root nodes can be rendered as a fragment.
+   * Platform-dependent.
+   */
+  supportsFragments: false,
+
   /**
    * Perform updates asynchronously. Intended to be used by Vue Test Utils
    * This will significantly reduce performance if set to false.
    */
   async: true,
 
+  /**
+   * Wrap observed arrays in a Proxy so that index assignment and
+   * length changes are detected. Has no effect in environments
+   * without Proxy support.
+   */
+  proxyArrays: false,
+
   /**
    * Exposed for legacy reasons
    */
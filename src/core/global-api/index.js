@@ -9,6 +9,24 @@ import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  markRaw,
+  isReactive,
+  isReadonly,
+  isShallow,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watch,
+  watchEffect,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../reactivity/index'
 
 import {
   warn,
@@ -48,10 +66,29 @@ export function initGlobalAPI (Vue: GlobalAPI) {
 
   // 2.6 explicit observable API
   Vue.observable = <T>(obj: T): T => {
-    observe(obj)
-    return obj
+    const ob = observe(obj)
+    // arrays are exposed through their proxy when index detection is on
+    return ob && ob.proxy ? (ob.proxy: any) : obj
   }
 
+  // standalone reactivity API, usable outside of components
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.markRaw = markRaw
+  Vue.isReactive = isReactive
+  Vue.isReadonly = isReadonly
+  Vue.isShallow = isShallow
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
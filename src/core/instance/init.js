@@ -8,6 +8,7 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { EffectScope } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
 let uid = 0
@@ -29,6 +30,12 @@ export function initMixin (Vue: Class<Component>) {
 
     // a flag to avoid this being observed
     vm._isVue = true
+    // the root effect scope owns all watchers of the instance, it is
+    // detached so that it is only stopped when the instance is destroyed
+    vm._scope = new EffectScope(true /* detached */)
+    vm._scope._vm = true
+    // all watchers of the instance, including those of nested scopes
+    vm._watchers = []
     // merge options
     if (options && options._isComponent) {
       // optimize internal component instantiation
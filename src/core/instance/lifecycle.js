@@ -8,6 +8,7 @@ import { updateComponentListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
+import { setActiveEffectScope } from '../observer/effect-scope'
 
 import {
   warn,
@@ -120,15 +121,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     if (parent && !parent._isBeingDestroyed && !vm.$options.abstract) {
       remove(parent.$children, vm)
     }
-    // teardown watchers
-    // 删除watcher
-    if (vm._watcher) {
-      vm._watcher.teardown()
-    }
-    let i = vm._watchers.length
-    while (i--) {
-      vm._watchers[i].teardown()
-    }
+    // teardown scope. this includes both the render watcher and other
+    // watchers created
+    // 停止实例的 effect scope，其中的 watcher（包括渲染 watcher）都会被销毁
+    vm._scope.stop()
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -222,13 +218,32 @@ export function mountComponent (
   // 在组件 mount 的过程中，会实例化一个渲染的 Watcher 去监听 vm 上的数据变化重新渲染
   // 实例化的过程中，在它的构造函数里会判断 isRenderWatcher，接着把当前 watcher 的实例赋值给 vm._watcher
   // 定义在 src/core/observer/watcher.js 中 观察者模式
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    // expose the render watcher's debugger events as hooks, only for
+    // instances that listen to them
+    const { renderTracked, renderTriggered } = vm.$options
+    if (renderTracked || vm._hasHookEvent) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (renderTriggered || vm._hasHookEvent) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  // the render watcher is owned by the instance even when the component
+  // is created inside a user scope.run(), so $destroy() stops it
+  const prevScope = setActiveEffectScope(vm._scope)
+  try {
+    new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
+  } finally {
+    setActiveEffectScope(prevScope)
+  }
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -373,19 +388,25 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
 
 // 生命周期的函数都是调用callhook函数
 // 该函数的功能是调用某个生命周期钩子注册的所有回调函数
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: any[]) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
-  // 获取vm.$options[hook] 对应的回调函数数组
-  const handlers = vm.$options[hook]
-  const info = `${hook} hook`
-  if (handlers) {
-    for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+  // effects created inside hooks are owned by the instance
+  const prevScope = setActiveEffectScope(vm._scope)
+  try {
+    // 获取vm.$options[hook] 对应的回调函数数组
+    const handlers = vm.$options[hook]
+    const info = `${hook} hook`
+    if (handlers) {
+      for (let i = 0, j = handlers.length; i < j; i++) {
+        invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
+      }
     }
+    if (vm._hasHookEvent) {
+      vm.$emit.apply(vm, ['hook:' + hook].concat(args || []))
+    }
+  } finally {
+    setActiveEffectScope(prevScope)
+    popTarget()
   }
-  if (vm._hasHookEvent) {
-    vm.$emit('hook:' + hook)
-  }
-  popTarget()
 }
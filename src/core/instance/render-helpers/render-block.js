@@ -0,0 +1,40 @@
+/* @flow */
+
+// dynamic nodes of the blocks being rendered, innermost last
+const blockStack: Array<Array<VNode>> = []
+
+/**
+ * Runtime helpers for block trees. A block root is an element whose
+ * descendants always have the same shape; it collects the descendants
+ * that can change, so that patching it only needs to patch those.
+ */
+export function openBlock () {
+  blockStack.push([])
+}
+
+export function closeBlock (vnode: VNode, hash: number): VNode {
+  vnode.dynamicChildren = blockStack.pop()
+  vnode.blockHash = hash
+  return vnode
+}
+
+export function trackBlockNode (vnode: VNode | Array<VNode>): VNode | Array<VNode> {
+  const nodes = blockStack[blockStack.length - 1]
+  // functional components may render several root nodes
+  if (Array.isArray(vnode)) {
+    nodes.push.apply(nodes, vnode)
+  } else {
+    nodes.push(vnode)
+  }
+  return vnode
+}
+
+// the number of blocks being rendered, to drop the blocks left open by a
+// render function that threw
+export function getBlockDepth (): number {
+  return blockStack.length
+}
+
+export function resetBlockDepth (depth: number) {
+  blockStack.length = depth
+}
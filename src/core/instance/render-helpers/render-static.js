@@ -24,6 +24,20 @@ export function renderStatic (
   return tree
 }
 
+/**
+ * Runtime helper for hoisted constants.
+ * They are evaluated once and cached on the staticRenderFns, which
+ * are shared by all instances of the same component definition.
+ */
+export function renderHoisted (index: number): any {
+  const fns: any = this.$options.staticRenderFns
+  const cached = fns._hoisted || (fns._hoisted = [])
+  if (index in cached) {
+    return cached[index]
+  }
+  return (cached[index] = fns[index].call(this._renderProxy, null, this))
+}
+
 /**
  * Runtime helper for v-once.
  * Effectively it means marking the node as static with a unique key.
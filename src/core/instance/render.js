@@ -5,14 +5,20 @@ import {
   nextTick,
   emptyObject,
   handleError,
-  defineReactive
+  defineReactive,
+  isServerRendering
 } from '../util/index'
 
+import config from '../config'
+
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
+import { getBlockDepth, resetBlockDepth } from './render-helpers/render-block'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
+import { withServerComputedCache } from '../observer/computed'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -89,6 +95,7 @@ export function renderMixin (Vue: Class<Component>) {
     vm.$vnode = _parentVnode
     // render self
     let vnode
+    const blockDepth = getBlockDepth()
     try {
       // There's no need to maintain a stack because all render fns are called
       // separately from one another. Nested component's render fns are called
@@ -98,7 +105,10 @@ export function renderMixin (Vue: Class<Component>) {
       // vm.$createElement 方法定义是在执行 initRender 方法的时候
       // vm._renderProxy 生产环境是他本身 开发环境在initProxy中初始化
       // render 函数生成的 vnode 当前组件的渲染 vnode
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // on the server, computed values are cached for the duration of the render
+      vnode = isServerRendering()
+        ? withServerComputedCache(() => render.call(vm._renderProxy, vm.$createElement))
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render`)
       // return error render result,
@@ -116,6 +126,19 @@ export function renderMixin (Vue: Class<Component>) {
       }
     } finally {
       currentRenderingInstance = null
+      resetBlockDepth(blockDepth)
+    }
+    // several root nodes are rendered as a fragment
+    if (Array.isArray(vnode) && config.supportsFragments) {
+      const children = normalizeChildren(vnode) || []
+      if (children.length > 1) {
+        vnode = createFragmentVNode(children)
+        if (process.env.NODE_ENV !== 'production' && _parentVnode) {
+          checkFragmentRootData(vm, _parentVnode)
+        }
+      } else {
+        vnode = children[0]
+      }
     }
     // if the returned array contains only a single node, allow it
     if (Array.isArray(vnode) && vnode.length === 1) {
@@ -138,3 +161,27 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+// a fragment has no root element to take over the class, style and
+// non-prop attributes of its placeholder, so they are dropped
+function checkFragmentRootData (vm: Component, parentVnode: VNode) {
+  const data = parentVnode.data
+  if (!data) {
+    return
+  }
+  const dropped = []
+  if (data.staticClass || data.class) dropped.push('class')
+  if (data.staticStyle || data.style) dropped.push('style')
+  if (vm.$options.inheritAttrs !== false && data.attrs) {
+    dropped.push.apply(dropped, Object.keys(data.attrs))
+  }
+  if (dropped.length) {
+    warn(
+      `Extraneous attributes (${dropped.join(', ')}) were passed to a ` +
+      `component that renders several root nodes. They cannot be ` +
+      `inherited by a fragment root: declare them as props or bind ` +
+      `them to one of the root nodes with v-bind="$attrs".`,
+      vm
+    )
+  }
+}
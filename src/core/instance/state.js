@@ -2,15 +2,18 @@
 
 import config from '../config'
 import Watcher from '../observer/watcher'
-import Dep, { pushTarget, popTarget } from '../observer/dep'
+import { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { setActiveEffectScope } from '../observer/effect-scope'
+import { evaluateComputed, getServerComputed } from '../observer/computed'
 
 import {
   set,
   del,
   observe,
   defineReactive,
-  toggleObserving
+  toggleObserving,
+  withArrayProxy
 } from '../observer/index'
 
 import {
@@ -18,6 +21,7 @@ import {
   bind,
   noop,
   hasOwn,
+  isPromise,
   hyphenate,
   isReserved,
   handleError,
@@ -50,19 +54,26 @@ export function proxy (target: Object, sourceKey: string, key: string) {
 }
 
 export function initState (vm: Component) {
-  vm._watchers = []
-  const opts = vm.$options
-  if (opts.props) initProps(vm, opts.r)
-  if (opts.methods) initMethods(vm, opts.methods)
-  if (opts.data) {
-    initData(vm)
-  } else {
-    observe(vm._data = {}, true /* asRootData */)
-  }
-  if (opts.computed) initComputed(vm, opts.computed)
-  // 侦听属性的初始化
-  if (opts.watch && opts.watch !== nativeWatch) {
-    initWatch(vm, opts.watch)
+  // effects created while initializing state (e.g. inside data())
+  // are owned by the instance
+  const prevScope = setActiveEffectScope(vm._scope)
+  try {
+    const opts = vm.$options
+    if (opts.props) initProps(vm, opts.props)
+    if (opts.methods) initMethods(vm, opts.methods)
+    if (opts.data) {
+      initData(vm)
+    } else {
+      observe(vm._data = {}, true /* asRootData */)
+    }
+    if (opts.computed) initComputed(vm, opts.computed)
+    if (opts.asyncComputed) initAsyncComputed(vm, opts.asyncComputed)
+    // 侦听属性的初始化
+    if (opts.watch && opts.watch !== nativeWatch) {
+      initWatch(vm, opts.watch)
+    }
+  } finally {
+    setActiveEffectScope(prevScope)
   }
 }
 
@@ -161,7 +172,7 @@ function initData (vm: Component) {
   }
   // observe data
   // 调用 observe 方法观测整个 data 的变化，把 data 也变成响应式，可以通过 vm._data.xxx 访问到定义 data 返回函数中对应的属性
-  observe(data, true /* asRootData */)
+  withArrayProxy(!!vm.$options.proxyArrays, () => observe(data, true /* asRootData */))
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -205,7 +216,13 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? {
+            lazy: true,
+            onTrack: userDef.onTrack,
+            onTrigger: userDef.onTrigger
+          }
+          : computedWatcherOptions
       )
     }
 
@@ -231,17 +248,21 @@ export function defineComputed (
   key: string,
   userDef: Object | Function
 ) {
-  const shouldCache = !isServerRendering()
+  // there are no computed watchers during SSR, values are only
+  // cached for the duration of a render
+  const isSSR = isServerRendering()
   if (typeof userDef === 'function') {
-    sharedPropertyDefinition.get = shouldCache
-      ? createComputedGetter(key)
-      : createGetterInvoker(userDef)
+    sharedPropertyDefinition.get = isSSR
+      ? createServerComputedGetter(key, userDef)
+      : createComputedGetter(key)
     sharedPropertyDefinition.set = noop
   } else {
     sharedPropertyDefinition.get = userDef.get
-      ? shouldCache && userDef.cache !== false
-        ? createComputedGetter(key)
-        : createGetterInvoker(userDef.get)
+      ? userDef.cache === false
+        ? createGetterInvoker(userDef.get)
+        : isSSR
+          ? createServerComputedGetter(key, userDef.get)
+          : createComputedGetter(key)
       : noop
     sharedPropertyDefinition.set = userDef.set || noop
   }
@@ -261,27 +282,163 @@ function createComputedGetter (key) {
   return function computedGetter () {
     const watcher = this._computedWatchers && this._computedWatchers[key]
     if (watcher) {
-      // 将计算watcher放在数据的dep.subs中
-      if (watcher.dirty) {
-        watcher.evaluate()
-      }
-      // 将渲染watcher放在数据的dep.subs中
+      // 将计算watcher放在数据的dep.subs中，并将渲染watcher放在数据的dep.subs中
       // 因为computer没有自己的dep，更新的时候不能通知渲染watcher更新
       // 需要依赖的数据通知渲染watcher
-      if (Dep.target) {
-        watcher.depend()
-      }
-      return watcher.value
+      return evaluateComputed(watcher)
     }
   }
 }
 
+function createServerComputedGetter (key, fn) {
+  return function computedGetter () {
+    return getServerComputed(this, key, () => fn.call(this, this))
+  }
+}
+
 function createGetterInvoker(fn) {
   return function computedGetter () {
     return fn.call(this, this)
   }
 }
 
+function initAsyncComputed (vm: Component, asyncComputed: Object) {
+  const states = vm._asyncComputed = {}
+  const getters = {}
+  for (const key in asyncComputed) {
+    const userDef = asyncComputed[key]
+    const getter = typeof userDef === 'function' ? userDef : userDef.get
+    if (typeof getter !== 'function') {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Getter is missing for async computed property "${key}".`,
+        vm
+      )
+      continue
+    }
+    if (key in vm) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(`The async computed property "${key}" is already defined on the instance.`, vm)
+      }
+      continue
+    }
+    states[key] = {
+      value: typeof userDef === 'function' ? undefined : userDef.default,
+      pending: false,
+      error: null
+    }
+    getters[key] = getter
+    defineAsyncComputed(vm, key)
+  }
+  // the state of each key is reactive so that templates can
+  // render loading and error states
+  observe(states)
+
+  if (isServerRendering()) {
+    // resolve everything before the component is rendered
+    const prefetch = function () {
+      return Promise.all(Object.keys(getters).map(key => {
+        return prefetchAsyncComputed(vm, key, getters[key])
+      }))
+    }
+    const options: Object = vm.$options
+    options.serverPrefetch = [prefetch].concat(options.serverPrefetch || [])
+  } else {
+    for (const key in getters) {
+      watchAsyncComputed(vm, key, getters[key])
+    }
+  }
+}
+
+function defineAsyncComputed (vm: Component, key: string) {
+  sharedPropertyDefinition.get = function asyncComputedGetter () {
+    return this._asyncComputed[key].value
+  }
+  sharedPropertyDefinition.set = process.env.NODE_ENV !== 'production'
+    ? function () {
+      warn(`Async computed property "${key}" is readonly.`, this)
+    }
+    : noop
+  Object.defineProperty(vm, key, sharedPropertyDefinition)
+}
+
+/**
+ * Re-run an async computed getter whenever its dependencies change.
+ * Only the latest result is kept: results of stale runs are ignored,
+ * and the getter can register a function through its second argument
+ * to abort a run when it is superseded or the instance is destroyed.
+ */
+function watchAsyncComputed (vm: Component, key: string, getter: Function) {
+  const state = vm._asyncComputed[key]
+  let runId = 0
+  let cancel: ?Function = null
+  const onCancel = (fn: Function) => {
+    cancel = fn
+  }
+  const invalidate = () => {
+    runId++
+    if (cancel) {
+      const fn = cancel
+      cancel = null
+      fn()
+    }
+  }
+  const settle = (result: any) => {
+    const id = runId
+    if (isPromise(result)) {
+      state.pending = true
+      result.then(value => {
+        if (id === runId) {
+          cancel = null
+          state.value = value
+          state.error = null
+          state.pending = false
+        }
+      }, err => {
+        if (id === runId) {
+          cancel = null
+          state.error = err
+          state.pending = false
+          handleError(err, vm, `asyncComputed "${key}"`)
+        }
+      })
+    } else {
+      cancel = null
+      state.value = result
+      state.error = null
+      state.pending = false
+    }
+  }
+  const watcher = new Watcher(vm, () => {
+    invalidate()
+    try {
+      return getter.call(vm, vm, onCancel)
+    } catch (e) {
+      // synchronous errors are exposed the same way as rejections
+      return Promise.reject(e)
+    }
+  }, settle)
+  watcher.onStop = invalidate
+  settle(watcher.value)
+}
+
+function prefetchAsyncComputed (vm: Component, key: string, getter: Function): Promise<void> {
+  const state = vm._asyncComputed[key]
+  return new Promise(resolve => {
+    resolve(getter.call(vm, vm, noop))
+  }).then(value => {
+    state.value = value
+  }, err => {
+    // errors are exposed through the state so that the component
+    // can still be rendered
+    state.error = err
+    // without an errorHandler the server rethrows what it reports, which
+    // would fail the render; the dev warning has been logged by then
+    try {
+      handleError(err, vm, `asyncComputed "${key}"`)
+    } catch (e) {}
+  })
+}
+
 function initMethods (vm: Component, methods: Object) {
   const props = vm.$options.props
   for (const key in methods) {
@@ -347,6 +504,8 @@ export function stateMixin (Vue: Class<Component>) {
   dataDef.get = function () { return this._data }
   const propsDef = {}
   propsDef.get = function () { return this._props }
+  const asyncComputedDef = {}
+  asyncComputedDef.get = function () { return this._asyncComputed }
   if (process.env.NODE_ENV !== 'production') {
     dataDef.set = function () {
       warn(
@@ -358,9 +517,13 @@ export function stateMixin (Vue: Class<Component>) {
     propsDef.set = function () {
       warn(`$props is readonly.`, this)
     }
+    asyncComputedDef.set = function () {
+      warn(`$asyncComputed is readonly.`, this)
+    }
   }
   Object.defineProperty(Vue.prototype, '$data', dataDef)
   Object.defineProperty(Vue.prototype, '$props', propsDef)
+  Object.defineProperty(Vue.prototype, '$asyncComputed', asyncComputedDef)
 
   Vue.prototype.$set = set
   Vue.prototype.$delete = del
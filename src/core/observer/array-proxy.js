@@ -0,0 +1,107 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import { hasChanged, isValidArrayIndex } from '../util/index'
+import { TrackOpTypes, TriggerOpTypes, warnReadonly } from './operations'
+
+function isIndexKey (key) {
+  return typeof key === 'string' && isValidArrayIndex(key)
+}
+
+/**
+ * Get the raw array behind an array proxy. Other values are
+ * returned as-is.
+ */
+export function unwrapArrayProxy (value) {
+  const ob = value && value.__ob__
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+/**
+ * Wrap an observed array in a Proxy that detects index assignment,
+ * index deletion and length changes, which cannot be intercepted by
+ * patching the array's mutation methods.
+ */
+export function createArrayProxy (ob) {
+  return new Proxy(ob.value, {
+    get (target, key) {
+      const value = target[key]
+      if (isIndexKey(key)) {
+        if (process.env.NODE_ENV !== 'production') {
+          ob.dep.depend({ target, type: TrackOpTypes.GET, key })
+        } else {
+          ob.dep.depend()
+        }
+        // nested arrays are exposed through their own proxy
+        const childOb = value && value.__ob__
+        if (childOb && childOb.proxy) {
+          return childOb.proxy
+        }
+      }
+      return value
+    },
+
+    set (target, key, value) {
+      if (ob.readonly && (key === 'length' || isIndexKey(key))) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.SET, key)
+        return true
+      }
+      if (key === 'length') {
+        const oldLength = target.length
+        target.length = value
+        if (target.length !== oldLength) {
+          if (process.env.NODE_ENV !== 'production') {
+            ob.dep.notify({
+              target,
+              type: TriggerOpTypes.SET,
+              key,
+              newValue: target.length,
+              oldValue: oldLength
+            })
+          } else {
+            ob.dep.notify()
+          }
+        }
+      } else if (isIndexKey(key)) {
+        const hadKey = key < target.length
+        const oldValue = target[key]
+        value = unwrapArrayProxy(value)
+        target[key] = value
+        if (!hadKey || hasChanged(value, oldValue)) {
+          ob.observeArray([value])
+          if (process.env.NODE_ENV !== 'production') {
+            ob.dep.notify({
+              target,
+              type: hadKey ? TriggerOpTypes.SET : TriggerOpTypes.ADD,
+              key,
+              newValue: value,
+              oldValue
+            })
+          } else {
+            ob.dep.notify()
+          }
+        }
+      } else {
+        target[key] = value
+      }
+      return true
+    },
+
+    deleteProperty (target, key) {
+      if (ob.readonly && isIndexKey(key)) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.DELETE, key)
+        return true
+      }
+      const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+      const oldValue = target[key]
+      delete target[key]
+      if (hadKey && isIndexKey(key)) {
+        if (process.env.NODE_ENV !== 'production') {
+          ob.dep.notify({ target, type: TriggerOpTypes.DELETE, key, oldValue })
+        } else {
+          ob.dep.notify()
+        }
+      }
+      return true
+    }
+  })
+}
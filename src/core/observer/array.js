@@ -4,6 +4,7 @@
  */
 
 import { def } from '../util/index'
+import { TriggerOpTypes, warnReadonly } from './operations'
 
 const arrayProto = Array.prototype
 // 继承了 Array
@@ -28,8 +29,25 @@ methodsToPatch.forEach(function (method) {
   // 原始 原型上面的方法
   const original = arrayProto[method]
   def(arrayMethods, method, function mutator (...args) {
-    const result = original.apply(this, args)
     const ob = this.__ob__
+    if (ob.readonly) {
+      process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.ARRAY_MUTATION, method)
+      // keep the return value of the native method on an unchanged array
+      switch (method) {
+        case 'push':
+        case 'unshift':
+          return ob.value.length
+        case 'splice':
+          return []
+        case 'sort':
+        case 'reverse':
+          return this
+      }
+      return
+    }
+    // mutate the raw array so that an array proxy does not
+    // report the same change again through its traps
+    const result = original.apply(ob.value, args)
     let inserted
     // 对能增加数组长度的 3 个方法 push、unshift、splice 方法做了判断，获取到插入的值，然后把新添加的值变成一个响应式对象
     switch (method) {
@@ -44,7 +62,15 @@ methodsToPatch.forEach(function (method) {
     if (inserted) ob.observeArray(inserted)
     // notify change
     // 手动触发依赖通知
-    ob.dep.notify()
-    return result
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({
+        target: this,
+        type: TriggerOpTypes.ARRAY_MUTATION,
+        key: method
+      })
+    } else {
+      ob.dep.notify()
+    }
+    return result === ob.value ? this : result
   })
 })
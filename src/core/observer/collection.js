@@ -0,0 +1,162 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on built-in collection prototypes
+ */
+
+import { def, hasSymbol, hasChanged, toRawType } from '../util/index'
+import { TrackOpTypes, TriggerOpTypes, warnReadonly } from './operations'
+
+/**
+ * Instrumented prototypes for native keyed collections, indexed by
+ * raw type. Only collections available in the current environment
+ * are registered.
+ */
+export const collectionMethods = Object.create(null)
+
+/**
+ * Check if a value is a native collection that can be observed.
+ * Subclasses are left unobserved: swapping their prototype for the
+ * instrumented one would drop the methods they define themselves.
+ */
+export function isCollection (value) {
+  const methods = collectionMethods[toRawType(value)]
+  if (!methods) return false
+  // already observed collections carry the instrumented prototype
+  const proto = Object.getPrototypeOf(value)
+  return proto === methods || proto === Object.getPrototypeOf(methods)
+}
+
+/**
+ * Intercept reading methods and collect the collection's dep,
+ * so that watchers re-run when it is mutated.
+ */
+function instrumentReaders (methods, proto, readers) {
+  readers.forEach(function (method) {
+    const original = proto[method]
+    def(methods, method, function reader (...args) {
+      const ob = this.__ob__
+      if (process.env.NODE_ENV !== 'production') {
+        ob.dep.depend(method === 'get' || method === 'has'
+          ? {
+            target: this,
+            type: method === 'get' ? TrackOpTypes.GET : TrackOpTypes.HAS,
+            key: args[0]
+          }
+          : { target: this, type: TrackOpTypes.ITERATE })
+      } else {
+        ob.dep.depend()
+      }
+      const result = original.apply(this, args)
+      // values read through get() may be observed objects themselves,
+      // same as a reactive property returning a child observer
+      if (method === 'get' && result && result.__ob__) {
+        result.__ob__.dep.depend()
+      }
+      return result
+    })
+  })
+}
+
+/**
+ * Intercept mutating methods and emit events, but only when
+ * the mutation actually changed the collection.
+ */
+function instrumentMutators (methods, proto, mutators) {
+  const has = proto.has
+  const get = proto.get
+  mutators.forEach(function (method) {
+    const original = proto[method]
+    def(methods, method, function mutator (...args) {
+      const ob = this.__ob__
+      const key = args[0]
+      if (ob.readonly) {
+        process.env.NODE_ENV !== 'production' &&
+          warnReadonly(method, method === 'clear' ? undefined : key)
+        // keep the return value shape of the native method
+        return method === 'delete' ? false : method === 'clear' ? undefined : this
+      }
+      const hadKey = has.call(this, key)
+      let changed, inserted, type, newValue, oldValue
+      switch (method) {
+        case 'set': {
+          oldValue = hadKey ? get.call(this, key) : undefined
+          newValue = args[1]
+          changed = !hadKey || hasChanged(newValue, oldValue)
+          inserted = [newValue]
+          type = hadKey ? TriggerOpTypes.SET : TriggerOpTypes.ADD
+          break
+        }
+        case 'add':
+          changed = !hadKey
+          newValue = key
+          inserted = [key]
+          type = TriggerOpTypes.ADD
+          break
+        case 'delete':
+          changed = hadKey
+          type = TriggerOpTypes.DELETE
+          break
+        case 'clear':
+          changed = this.size > 0
+          type = TriggerOpTypes.CLEAR
+          break
+      }
+      const result = original.apply(this, args)
+      if (changed) {
+        if (inserted) ob.observeArray(inserted)
+        if (process.env.NODE_ENV !== 'production') {
+          ob.dep.notify(method === 'clear'
+            ? { target: this, type }
+            : { target: this, type, key, newValue, oldValue })
+        } else {
+          ob.dep.notify()
+        }
+      }
+      return result
+    })
+  })
+}
+
+function instrument (type, Ctor, readers, mutators, iterable) {
+  const proto = Ctor.prototype
+  const methods = Object.create(proto)
+  if (iterable) {
+    readers = readers.concat(['forEach', 'keys', 'values', 'entries'])
+    if (hasSymbol) {
+      readers.push(Symbol.iterator)
+    }
+    const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+    Object.defineProperty(methods, 'size', {
+      get () {
+        if (process.env.NODE_ENV !== 'production') {
+          this.__ob__.dep.depend({ target: this, type: TrackOpTypes.ITERATE })
+        } else {
+          this.__ob__.dep.depend()
+        }
+        return sizeGetter.call(this)
+      },
+      enumerable: false,
+      configurable: true
+    })
+  }
+  instrumentReaders(methods, proto, readers)
+  instrumentMutators(methods, proto, mutators)
+  collectionMethods[type] = methods
+}
+
+/* istanbul ignore else */
+if (typeof Map !== 'undefined') {
+  instrument('Map', Map, ['get', 'has'], ['set', 'delete', 'clear'], true)
+}
+/* istanbul ignore else */
+if (typeof Set !== 'undefined') {
+  instrument('Set', Set, ['has'], ['add', 'delete', 'clear'], true)
+}
+/* istanbul ignore else */
+if (typeof WeakMap !== 'undefined') {
+  instrument('WeakMap', WeakMap, ['get', 'has'], ['set', 'delete'], false)
+}
+/* istanbul ignore else */
+if (typeof WeakSet !== 'undefined') {
+  instrument('WeakSet', WeakSet, ['has'], ['add', 'delete'], false)
+}
@@ -0,0 +1,72 @@
+/* @flow */
+
+import Dep from './dep'
+import type Watcher from './watcher'
+import { def } from '../util/index'
+
+/**
+ * Get the value of a lazy watcher backing a computed value. The getter
+ * is only re-evaluated when one of its dependencies changed, and the
+ * current target is made to depend on the same dependencies, since
+ * computed values have no dep of their own.
+ */
+export function evaluateComputed (watcher: Watcher): any {
+  if (watcher.dirty) {
+    watcher.evaluate()
+  }
+  if (Dep.target) {
+    watcher.depend()
+  }
+  return watcher.value
+}
+
+// id of the server render in progress, 0 when none
+let serverRenderId = 0
+let uid = 0
+
+/**
+ * Run a render function on the server, caching computed values
+ * for its duration.
+ *
+ * Data is not reactive during server rendering, so computed values
+ * cannot be invalidated when their dependencies change. State is not
+ * expected to change while a render function runs though, so it is
+ * safe to cache them within a single render.
+ */
+export function withServerComputedCache<T> (fn: () => T): T {
+  const prev = serverRenderId
+  serverRenderId = ++uid
+  try {
+    return fn()
+  } finally {
+    serverRenderId = prev
+  }
+}
+
+/**
+ * Get a computed value during server rendering, evaluating it at
+ * most once per render. The cache is kept on the owner so that
+ * getters shared through a component prototype don't mix up
+ * instances.
+ */
+export function getServerComputed (
+  owner: Object,
+  key: string,
+  evaluate: () => any
+): any {
+  if (!serverRenderId) {
+    return evaluate()
+  }
+  let cache = owner._ssrComputedCache
+  if (!cache) {
+    cache = Object.create(null)
+    def(owner, '_ssrComputedCache', cache)
+  }
+  const cached = cache[key]
+  if (cached && cached.id === serverRenderId) {
+    return cached.value
+  }
+  const value = evaluate()
+  cache[key] = { id: serverRenderId, value }
+  return value
+}
@@ -1,11 +1,27 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Information about a reactive read or mutation, passed to
+ * onTrack / onTrigger debugger hooks in development.
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo;
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -29,14 +45,19 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
-    if (Dep.target) {
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
       // addDep 在watcher中定义
-      Dep.target.addDep(this)
+      target.addDep(this)
+      const onTrack = target.onTrack
+      if (process.env.NODE_ENV !== 'production' && info && onTrack) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -48,7 +69,12 @@ export default class Dep {
     // 通知所有的订阅者
     // 遍历所有的 subs，也就是 Watcher 的实例数组，然后调用每一个 watcher 的 update 方法
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      const onTrigger = sub.onTrigger
+      if (process.env.NODE_ENV !== 'production' && info && onTrigger) {
+        onTrigger(extend({ effect: sub }, info))
+      }
+      sub.update(info)
     }
   }
 }
@@ -0,0 +1,106 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+/**
+ * The effect scope currently collecting watchers, if any.
+ */
+export let activeEffectScope: ?EffectScope = null
+
+/**
+ * Set the active effect scope and return the previous one,
+ * so that the caller can restore it afterwards.
+ */
+export function setActiveEffectScope (scope: ?EffectScope): ?EffectScope {
+  const prev = activeEffectScope
+  activeEffectScope = scope
+  return prev
+}
+
+/**
+ * An effect scope collects the watchers created while it is running,
+ * so that they can all be torn down at once when it is stopped.
+ * Scopes created inside another scope are stopped along with it,
+ * unless they are detached.
+ */
+export class EffectScope {
+  active: boolean;
+  detached: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: ?EffectScope;
+  scopes: ?Array<EffectScope>; // child scopes
+  index: ?number; // position in the parent's scopes, for fast removal
+  _vm: boolean; // whether this is the root scope of a component
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.detached = !!detached
+    this.effects = []
+    this.cleanups = []
+    this.parent = activeEffectScope
+    this.scopes = null
+    this.index = null
+    this._vm = false
+    if (!detached && activeEffectScope) {
+      const parent = activeEffectScope
+      this.index = (parent.scopes || (parent.scopes = [])).push(this) - 1
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = setActiveEffectScope(this)
+      try {
+        return fn()
+      } finally {
+        setActiveEffectScope(currentEffectScope)
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('Cannot run an inactive effect scope.')
+    }
+  }
+
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      const scopes = this.parent && this.parent.scopes
+      if (!this.detached && scopes && !fromParent) {
+        // optimized O(1) removal
+        const last = scopes.pop()
+        if (last && last !== this && this.index != null) {
+          scopes[this.index] = last
+          last.index = this.index
+        }
+      }
+      this.parent = null
+      this.active = false
+    }
+  }
+}
+
+/**
+ * Register a watcher on an effect scope, defaulting to
+ * the active one.
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
@@ -1,23 +1,37 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { createArrayProxy, unwrapArrayProxy } from './array-proxy'
+import { collectionMethods, isCollection } from './collection'
+import { TrackOpTypes, TriggerOpTypes, warnReadonly } from './operations'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
   isUndef,
   isValidArrayIndex,
-  isServerRendering
+  isServerRendering,
+  toRawType
 } from '../util/index'
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+/**
+ * Objects marked with this flag are never observed.
+ */
+export const RawFlag = '__v_skip'
+
+// passed to defineReactive() to read the initial value from the object
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -28,6 +42,29 @@ export function toggleObserving (value: boolean) {
   shouldObserve = value
 }
 
+/**
+ * Whether arrays observed right now should be wrapped in a Proxy
+ * to detect index assignment and length changes. Turned on while
+ * observing the data of components that opt in.
+ */
+export let shouldProxyArrays: boolean = false
+
+/**
+ * Run a function with array proxying set to the given mode, so that
+ * values observed inside it behave like their owner.
+ */
+export function withArrayProxy<T> (proxyArrays: boolean, fn: () => T): T {
+  const prev = shouldProxyArrays
+  shouldProxyArrays = proxyArrays
+  try {
+    return fn()
+  } finally {
+    shouldProxyArrays = prev
+  }
+}
+
+let warnedProxyFallback = false
+
 /**
  * Observer class that is attached to each observed
  * object. Once attached, the observer converts the target
@@ -39,11 +76,19 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  proxyArrays: boolean; // whether nested arrays are wrapped in a Proxy
+  proxy: ?Array<any>; // Proxy exposing the observed array, if any
+  shallow: boolean; // only the value's own keys are tracked
+  readonly: boolean; // mutations are refused, nested values are readonly too
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean, readonly?: boolean) {
     this.value = value
     this.dep = new Dep()
     this.vmCount = 0
+    this.proxyArrays = shouldProxyArrays || config.proxyArrays
+    this.proxy = null
+    this.shallow = !!shallow
+    this.readonly = !!readonly
     // 通过执行 def 函数把自身实例添加到数据对象 value 的 __ob__ 属性上
     def(value, '__ob__', this)
     if (Array.isArray(value)) {
@@ -53,11 +98,30 @@ export class Observer {
       } else {
         copyAugment(value, arrayMethods, arrayKeys)
       }
+      if (this.proxyArrays) {
+        if (hasProxy) {
+          this.proxy = createArrayProxy(this)
+        } else if (process.env.NODE_ENV !== 'production' && !warnedProxyFallback) {
+          warnedProxyFallback = true
+          warn(
+            'Array index assignment and length changes cannot be detected ' +
+            'because Proxy is not supported in this environment. ' +
+            'Use Vue.set() or splice() to update arrays instead.'
+          )
+        }
+      }
       // 对于数组会调用 observeArray 方法
       this.observeArray(value)
+    } else if (isCollection(value)) {
+      // observe existing values before the reading methods are
+      // instrumented, so walking them doesn't collect the dep.
+      // every engine with native collections supports __proto__.
+      this.observeCollection(value)
+      protoAugment(value, collectionMethods[toRawType(value)])
     } else {
       // 对纯对象调用 walk 方法
-      this.walk(value)
+      // nested arrays are observed in the same mode as their owner
+      withArrayProxy(this.proxyArrays, () => this.walk(value))
     }
   }
 
@@ -69,7 +133,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, null, this.shallow, this.readonly)
     }
   }
 
@@ -77,8 +141,28 @@ export class Observer {
    * Observe a list of Array items.
    */
   observeArray (items: Array<any>) {
-    for (let i = 0, l = items.length; i < l; i++) {
-      observe(items[i])
+    if (this.shallow) {
+      return
+    }
+    withArrayProxy(this.proxyArrays, () => {
+      for (let i = 0, l = items.length; i < l; i++) {
+        observe(items[i], false, false, this.readonly)
+      }
+    })
+  }
+
+  /**
+   * Observe the values of a Map or Set. Weak collections
+   * cannot be enumerated, so only values added after
+   * observation are converted.
+   */
+  observeCollection (collection: any) {
+    if (!this.shallow && typeof collection.forEach === 'function') {
+      withArrayProxy(this.proxyArrays, () => {
+        collection.forEach(value => {
+          observe(value, false, false, this.readonly)
+        })
+      })
     }
   }
 }
@@ -113,8 +197,13 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * or the existing observer if the value already has one.
  */
 // 给非 VNode 的对象类型数据添加一个 Observer，如果已经添加过则直接返回，否则在满足一定条件下去实例化一个 Observer 对象实例
-export function observe (value: any, asRootData: ?boolean): Observer | void {
-  if (!isObject(value) || value instanceof VNode) {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean,
+  readonly?: boolean
+): Observer | void {
+  if (!isObject(value) || value instanceof VNode || value[RawFlag]) {
     return
   }
   // Observer 是一个类，它的作用是给对象的属性添加 getter 和 setter，用于依赖收集和派发更新
@@ -124,11 +213,11 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
-    ob = new Observer(value)
+    ob = new Observer(value, shallow, readonly)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -145,7 +234,8 @@ export function defineReactive (
   key: string,
   val: any,
   customSetter?: ?Function,
-  shallow?: boolean
+  shallow?: boolean,
+  readonly?: boolean
 ) {
 
   // 实例化一个 Dep 的实例 dep是getter依赖收集的核心 它的定义在 src/core/observer/dep.js 中
@@ -160,13 +250,17 @@ export function defineReactive (
   // cater for pre-defined getter/setters
   const getter = property && property.get
   const setter = property && property.set
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) && (val === NO_INITIAL_VALUE || arguments.length === 2)) {
     val = obj[key]
+  } else if (val === NO_INITIAL_VALUE) {
+    val = undefined
   }
 
+  // arrays assigned later are observed in the same mode as the initial value
+  const proxyArrays = shouldProxyArrays
   // 对子对象递归调用 observe 方法，这样就保证了无论 obj 的结构多复杂，它的所有子属性也能变成响应式的对象，
   // 这样我们访问或修改 obj 中一个嵌套较深的属性，也能触发 getter 和 setter。
-  let childOb = !shallow && observe(val)
+  let childOb = !shallow && observe(val, false, false, readonly)
   // 给 obj 的属性 key 添加 getter 和 setter
   Object.defineProperty(obj, key, {
     enumerable: true,
@@ -177,7 +271,15 @@ export function defineReactive (
         // 依赖收集
         // 当前watcher会收集所依赖的dep
         // 数据的dep也会收集变更时需要通知的watcher
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({
+            target: obj,
+            type: TrackOpTypes.GET,
+            key
+          })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           childOb.dep.depend()
           if (Array.isArray(value)) {
@@ -185,9 +287,17 @@ export function defineReactive (
           }
         }
       }
+      if (childOb && childOb.proxy && value === childOb.value) {
+        return childOb.proxy
+      }
       return value
     },
     set: function reactiveSetter (newVal) {
+      if (readonly) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.SET, key)
+        return
+      }
+      newVal = unwrapArrayProxy(newVal)
       const value = getter ? getter.call(obj) : val
       /* eslint-disable no-self-compare */
       if (newVal === value || (newVal !== newVal && value !== value)) {
@@ -205,9 +315,19 @@ export function defineReactive (
         val = newVal
       }
       // 如果 shallow 为 false 的情况，会对新设置的值变成一个响应式对象
-      childOb = !shallow && observe(newVal)
+      childOb = !shallow && withArrayProxy(proxyArrays, () => observe(newVal))
       // 通知所有的订阅者
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({
+          target: obj,
+          type: TriggerOpTypes.SET,
+          key,
+          newValue: newVal,
+          oldValue: value
+        })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -223,6 +343,10 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.SET, key)
+    return val
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
@@ -249,9 +373,19 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     return val
   }
   //  把新添加的属性变成响应式对象
-  defineReactive(ob.value, key, val)
+  withArrayProxy(ob.proxyArrays, () => defineReactive(ob.value, key, val, null, ob.shallow))
   // 手动的触发依赖通知
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      target,
+      type: TriggerOpTypes.ADD,
+      key,
+      newValue: val,
+      oldValue: undefined
+    })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -264,6 +398,10 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warnReadonly(TriggerOpTypes.DELETE, key)
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -283,7 +421,29 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      target,
+      type: TriggerOpTypes.DELETE,
+      key
+    })
+  } else {
+    ob.dep.notify()
+  }
+}
+
+/**
+ * Check if a value has been observed in readonly mode.
+ */
+export function isReadonly (value: any): boolean {
+  return !!(value && value.__ob__ && value.__ob__.readonly)
+}
+
+/**
+ * Check if a value has been observed in shallow mode.
+ */
+export function isShallow (value: any): boolean {
+  return !!(value && value.__ob__ && value.__ob__.shallow)
 }
 
 /**
@@ -0,0 +1,34 @@
+/* @flow */
+
+import { warn, capitalize } from '../util/index'
+
+/**
+ * Kinds of reads reported to onTrack debugger hooks.
+ */
+export const TrackOpTypes = {
+  GET: 'get',
+  HAS: 'has',
+  ITERATE: 'iterate'
+}
+
+/**
+ * Kinds of mutations reported to onTrigger debugger hooks.
+ */
+export const TriggerOpTypes = {
+  SET: 'set',
+  ADD: 'add',
+  DELETE: 'delete',
+  CLEAR: 'clear',
+  ARRAY_MUTATION: 'array mutation'
+}
+
+/**
+ * Warn about an attempt to mutate a value observed in readonly mode.
+ */
+export function warnReadonly (type: string, key?: any) {
+  warn(
+    `${capitalize(type)} operation` +
+    (key !== undefined ? ` on key "${String(key)}"` : '') +
+    ` failed: target is readonly.`
+  )
+}
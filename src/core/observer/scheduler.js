@@ -1,7 +1,9 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
+import { MAX_UPDATE_COUNT } from 'shared/constants'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
@@ -9,15 +11,30 @@ import {
   nextTick,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  formatComponentName
 } from '../util/index'
 
-export const MAX_UPDATE_COUNT = 100
+export { MAX_UPDATE_COUNT }
+
+type UpdateTrigger = {
+  by: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
 
 const queue: Array<Watcher> = []
+const postQueue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
+let postHas: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+// dev only: runs of each post watcher, kept across the flushes that
+// post watchers schedule by re-queuing watchers
+let postCircular: { [key: number]: number } = {}
+let postFlushing = false
+let postChained = false
+// dev only: what last re-queued each watcher during the current flush
+let triggers: { [key: number]: UpdateTrigger } = {}
 let waiting = false
 let flushing = false
 let index = 0
@@ -32,6 +49,7 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
   }
   waiting = flushing = false
 }
@@ -75,6 +93,15 @@ function flushSchedulerQueue () {
   flushing = true
   let watcher, id
 
+  // a flush that was not scheduled from post watchers starts a new
+  // count for them
+  if (process.env.NODE_ENV !== 'production') {
+    if (!postChained) {
+      postCircular = {}
+    }
+    postChained = false
+  }
+
   // Sort queue before flush.
   // This ensures that:
   // 1. Components are updated from parent to child. (because parent is always
@@ -100,21 +127,11 @@ function flushSchedulerQueue () {
     // 在 watcher.run() 的时候，很可能用户会再次添加新的 watcher，这样会再次执行到 queueWatcher
     // 这时候 flushing 为 true
     watcher.run()
-    // in dev build, check and stop circular updates.
+    // in dev build, check and stop circular updates. watchers re-queuing
+    // each other are caught as well, since every run is counted.
     // 判断无限循环的时候报错
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
+    if (process.env.NODE_ENV !== 'production' && isInfiniteLoop(circular, watcher, 'in one flush')) {
+      break
     }
   }
 
@@ -133,6 +150,9 @@ function flushSchedulerQueue () {
   // 这里有调用updated钩子函数
   callUpdatedHooks(updatedQueue)
 
+  // run watchers with flush: 'post' now that the DOM is patched
+  flushPostQueue()
+
   // devtool hook
   /* istanbul ignore if */
   if (devtools && config.devtools) {
@@ -140,12 +160,119 @@ function flushSchedulerQueue () {
   }
 }
 
+/**
+ * Run the watchers that asked to be flushed after the DOM has been
+ * patched. Watchers queued while running them are deferred to the
+ * next flush.
+ */
+function flushPostQueue () {
+  if (!postQueue.length) {
+    return
+  }
+  const watchers = postQueue.slice()
+  postQueue.length = 0
+  postHas = {}
+  watchers.sort((a, b) => a.id - b.id)
+  const prevPostFlushing = postFlushing
+  postFlushing = true
+  try {
+    for (let i = 0; i < watchers.length; i++) {
+      const watcher = watchers[i]
+      watcher.run()
+      // the runs are counted across flushes, as a post watcher
+      // re-queued by its own run is deferred to the next one
+      if (process.env.NODE_ENV !== 'production' && isInfiniteLoop(postCircular, watcher, 'in consecutive flushes')) {
+        // drop what the loop has queued so that it ends here
+        postQueue.length = queue.length = 0
+        postHas = {}
+        has = {}
+        postChained = false
+        break
+      }
+    }
+  } finally {
+    postFlushing = prevPostFlushing
+  }
+}
+
+/**
+ * Count a run of the watcher and warn when it has run more than
+ * config.maxUpdateCount times, in which case the caller stops.
+ */
+function isInfiniteLoop (
+  counts: { [key: number]: number },
+  watcher: Watcher,
+  span: string
+): boolean {
+  const id = watcher.id
+  counts[id] = (counts[id] || 0) + 1
+  if (counts[id] > config.maxUpdateCount) {
+    warn(
+      'You may have an infinite update loop ' + (
+        watcher.user
+          ? `in watcher with expression "${watcher.expression}"`
+          : `in a component render function`
+      ) +
+      `. It ran more than ${config.maxUpdateCount} times ${span} ` +
+      `(see Vue.config.maxUpdateCount).` +
+      formatUpdateChain(watcher),
+      watcher.vm
+    )
+    return true
+  }
+  return false
+}
+
+function describeWatcher (watcher: Watcher): string {
+  const vm = watcher.vm
+  const name = watcher.user
+    ? `watcher "${watcher.expression}"`
+    : vm && vm._watcher === watcher
+      ? 'render function'
+      : 'watcher'
+  return vm ? `${name} of ${formatComponentName(vm, false)}` : name
+}
+
+function describeTrigger (info: ?DebuggerEventExtraInfo): string {
+  if (!info) {
+    return 'a forced update'
+  }
+  return info.key !== undefined
+    ? `${info.type} "${String(info.key)}"`
+    : info.type
+}
+
+/**
+ * Follow what re-queued each watcher back from the looping one,
+ * until the chain closes on itself.
+ */
+function formatUpdateChain (watcher: Watcher): string {
+  const lines = []
+  const seen = {}
+  let cur = watcher
+  while (cur && !seen[cur.id]) {
+    seen[cur.id] = true
+    const trigger = triggers[cur.id]
+    if (!trigger) {
+      break
+    }
+    lines.push(
+      `${describeWatcher(cur)} was re-queued by ${describeTrigger(trigger.info)}` +
+      (trigger.by ? ` in ${describeWatcher(trigger.by)}` : '')
+    )
+    cur = trigger.by
+  }
+  return lines.length
+    ? `\n\nUpdate chain:\n${lines.map(line => `  ${line}`).join('\n')}`
+    : ''
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
@@ -176,11 +303,24 @@ function callActivatedHooks (queue) {
  * pushed when the queue is being flushed.
  */
 // 它并不会每次数据改变都触发 watcher 的回调，而是把这些 watcher 先添加到一个队列里，然后在 nextTick 后执行 flushSchedulerQueue
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
+  if (watcher.post) {
+    // post watchers are run after the whole tree has been patched
+    if (postHas[id] == null) {
+      postHas[id] = true
+      postQueue.push(watcher)
+      scheduleFlush()
+    }
+    return
+  }
   // 用 has 对象保证同一个 Watcher 只添加一次
-  if (has[id] == null) {        
+  if (has[id] == null) {
     has[id] = true
+    if (process.env.NODE_ENV !== 'production' && flushing) {
+      // remember what re-queued the watcher, to explain update loops
+      triggers[id] = { by: queue[index], info }
+    }
     if (!flushing) {
       queue.push(watcher)
     } else {
@@ -193,17 +333,25 @@ export function queueWatcher (watcher: Watcher) {
       }
       queue.splice(i + 1, 0, watcher)
     }
-    // queue the flush
-    // 通过 waiting 保证对 nextTick(flushSchedulerQueue) 的调用逻辑只有一次
-    if (!waiting) {
-      waiting = true
-
-      if (process.env.NODE_ENV !== 'production' && !config.async) {
-        flushSchedulerQueue()
-        return
-      }
-      // nextTick是在下一个 tick，也就是异步的去执行 flushSchedulerQueue
-      nextTick(flushSchedulerQueue)
+    scheduleFlush()
+  }
+}
+
+// queue the flush
+function scheduleFlush () {
+  // 通过 waiting 保证对 nextTick(flushSchedulerQueue) 的调用逻辑只有一次
+  if (!waiting) {
+    waiting = true
+
+    if (process.env.NODE_ENV !== 'production' && postFlushing) {
+      // keep counting the runs of post watchers in the next flush
+      postChained = true
+    }
+    if (process.env.NODE_ENV !== 'production' && !config.async) {
+      flushSchedulerQueue()
+      return
     }
+    // nextTick是在下一个 tick，也就是异步的去执行 flushSchedulerQueue
+    nextTick(flushSchedulerQueue)
   }
 }
@@ -3,6 +3,8 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
+import { RawFlag } from './index'
 
 const seenObjects = new Set()
 
@@ -19,7 +21,12 @@ export function traverse (val: any) {
 function _traverse (val: any, seen: SimpleSet) {
   let i, keys
   const isA = Array.isArray(val)
-  if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
+  if (
+    (!isA && !isObject(val)) ||
+    val[RawFlag] ||
+    Object.isFrozen(val) ||
+    val instanceof VNode
+  ) {
     return
   }
   if (val.__ob__) {
@@ -33,6 +40,12 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // iterating an observed Map/Set collects its dep as well.
+    // weak collections cannot be iterated, so their values are skipped.
+    if (typeof val.forEach === 'function') {
+      val.forEach(value => _traverse(value, seen))
+    }
   } else {
     keys = Object.keys(val)
     i = keys.length
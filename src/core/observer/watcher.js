@@ -14,9 +14,10 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { activeEffectScope, recordEffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
-import { set } from '.'
+import type { DebuggerEvent, DebuggerEventExtraInfo } from './dep'
 
 let uid = 0
 
@@ -26,7 +27,7 @@ let uid = 0
  * This is used for both the $watch() api and directives.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -34,6 +35,7 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>; //  Watcher 实例持有的 Dep 实例的数组
@@ -41,34 +43,56 @@ export default class Watcher {
   depIds: SimpleSet; // this.deps  的 id
   newDepIds: SimpleSet; // this.newDeps 的 id
   before: ?Function;
+  onStop: ?Function;
+  onTrack: ?(event: DebuggerEvent) => void;
+  onTrigger: ?(event: DebuggerEvent) => void;
   getter: Function;
   value: any;
 
   constructor (
-    vm: Component,
+    vm: ?Component,
     expOrFn: string | Function,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
+    // standalone watchers (e.g. created by watch() or computed()
+    // outside of components) have no owning instance
     this.vm = vm
-    if (isRenderWatcher) {
-      // 把当前 watcher 的实例赋值给 vm._watcher
-      // vm._watcher 是专门用来监听 vm 上数据变化然后重新渲染的，所以它是一个渲染相关的 watcher
-      // 因此在 callUpdatedHooks 函数中，只有 vm._watcher 的回调执行完毕后，才会执行 updated 钩子函数
-      vm._watcher = this
+    if (vm) {
+      if (isRenderWatcher) {
+        // 把当前 watcher 的实例赋值给 vm._watcher
+        // vm._watcher 是专门用来监听 vm 上数据变化然后重新渲染的，所以它是一个渲染相关的 watcher
+        // 因此在 callUpdatedHooks 函数中，只有 vm._watcher 的回调执行完毕后，才会执行 updated 钩子函数
+        vm._watcher = this
+      }
+      // 把当前 wathcer 实例 push 到 vm._watchers 中
+      vm._watchers.push(this)
     }
-    // 把当前 wathcer 实例 push 到 vm._watchers 中
-    vm._watchers.push(this)
+    // watchers of an instance belong to its root scope, unless they are
+    // created while a user-defined scope is running
+    recordEffectScope(
+      this,
+      vm && (!activeEffectScope || activeEffectScope._vm)
+        ? vm._scope
+        : activeEffectScope
+    )
     // options
     if (options) {
       this.deep = !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      // flush: 'pre' (default) runs before the owner re-renders,
+      // 'post' after the DOM is patched and 'sync' right away
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.post = options.flush === 'post'
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = false
     }
     this.cb = cb
     this.id = ++uid // uid for batching
@@ -170,17 +194,21 @@ export default class Watcher {
     }
     // 然后把 newDepIds 和 depIds 交换，newDeps 和 deps 交换，并把 newDepIds 和 newDeps 清空。
     // 为啥不先把newDepIds赋值给depIds，再清空newDepIds？ 为啥要交换？
+    let tmp = this.depIds
     this.depIds = this.newDepIds
-    this.newDepIds = new set([])
+    this.newDepIds = tmp
+    this.newDepIds.clear()
+    tmp = this.deps
     this.deps = this.newDeps
-    this.newDeps = new Array()
+    this.newDeps = tmp
+    this.newDeps.length = 0
   }
 
   /**
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       this.dirty = true
@@ -188,7 +216,7 @@ export default class Watcher {
       // 同步watcher
       this.run()
     } else {
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -255,17 +283,22 @@ export default class Watcher {
    */
   teardown () {
     if (this.active) {
-      // remove self from vm's watcher list
+      // remove self from vm's watcher list and scope
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
+        remove(vm._scope.effects, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
       this.active = false
+      if (this.onStop) {
+        this.onStop()
+      }
     }
   }
 }
@@ -0,0 +1,66 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import { evaluateComputed, getServerComputed } from '../observer/computed'
+import type { DebuggerEvent } from '../observer/dep'
+import { RefFlag } from './ref'
+import { def, noop, warn, isServerRendering } from '../util/index'
+
+type ComputedOptions = {
+  get: () => any;
+  set?: (value: any) => void;
+};
+
+type DebuggerOptions = {
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+};
+
+/**
+ * Create a ref whose value is derived from reactive state. The getter
+ * is evaluated lazily and cached until one of its dependencies changes.
+ * onTrack / onTrigger debugger hooks can be passed in development.
+ */
+export function computed (
+  getterOrOptions: Function | ComputedOptions,
+  debugOptions?: DebuggerOptions
+): Object {
+  let getter: () => any
+  let setter: (value: any) => void
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => {
+        warn('Write operation failed: computed value is readonly.')
+      }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set || noop
+  }
+
+  // there is no reactivity during SSR, values are only cached
+  // for the duration of a render
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, { lazy: true })
+
+  if (process.env.NODE_ENV !== 'production' && watcher && debugOptions) {
+    watcher.onTrack = debugOptions.onTrack
+    watcher.onTrigger = debugOptions.onTrigger
+  }
+
+  const ref = {
+    effect: watcher,
+    get value () {
+      return watcher
+        ? evaluateComputed(watcher)
+        : getServerComputed(ref, 'value', getter)
+    },
+    set value (newVal) {
+      setter(newVal)
+    }
+  }
+  def(ref, RefFlag, true)
+  return ref
+}
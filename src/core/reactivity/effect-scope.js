@@ -0,0 +1,36 @@
+/* @flow */
+
+import { warn } from '../util/index'
+import { EffectScope, activeEffectScope } from '../observer/effect-scope'
+
+/**
+ * Create an effect scope. Watchers and computed values created while
+ * running a function with scope.run() are stopped by scope.stop().
+ * A scope created inside another one is stopped along with it,
+ * unless it is detached.
+ */
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Get the effect scope that is currently running, if any.
+ */
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be invoked when the current effect scope
+ * is stopped.
+ */
+export function onScopeDispose (fn: () => void) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`
+    )
+  }
+}
@@ -0,0 +1,15 @@
+/* @flow */
+
+export {
+  reactive,
+  shallowReactive,
+  readonly,
+  markRaw,
+  isReactive,
+  isReadonly,
+  isShallow
+} from './reactive'
+export { ref, isRef, unref } from './ref'
+export { computed } from './computed'
+export { watch, watchEffect } from './watch'
+export { effectScope, getCurrentScope, onScopeDispose } from './effect-scope'
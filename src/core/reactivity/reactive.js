@@ -0,0 +1,83 @@
+/* @flow */
+
+import { observe, isReadonly, isShallow, RawFlag } from '../observer/index'
+import { def, warn, isObject, hasOwn } from '../util/index'
+
+export { isReadonly, isShallow }
+
+/**
+ * Make an object deeply reactive in place and return it. Unlike
+ * data(), this works anywhere, including outside of components.
+ */
+export function reactive<T: Object> (target: T): T {
+  return makeReactive(target, false, false, 'reactive')
+}
+
+/**
+ * Make only the own keys of an object reactive. Nested values are
+ * left untouched, which avoids walking large payloads.
+ */
+export function shallowReactive<T: Object> (target: T): T {
+  return makeReactive(target, true, false, 'shallowReactive')
+}
+
+/**
+ * Make an object deeply readonly in place. Reads are still tracked,
+ * mutations are refused and warned about in development, and dropped
+ * silently in production.
+ *
+ * Unlike a readonly view, the target itself becomes readonly, so code
+ * holding a reference to it cannot mutate it either. Pass a copy if the
+ * original has to stay writable.
+ */
+export function readonly<T: Object> (target: T): T {
+  return makeReactive(target, false, true, 'readonly')
+}
+
+/**
+ * Mark an object so that it is never made reactive, e.g. when it is
+ * nested in data or passed to reactive().
+ */
+export function markRaw<T> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def((value: any), RawFlag, true)
+  }
+  return value
+}
+
+/**
+ * Check if a value has been made reactive.
+ */
+export function isReactive (value: any): boolean {
+  return isObject(value) && hasOwn(value, '__ob__') && !value.__ob__.readonly
+}
+
+function describeMode (shallow: boolean, readonly: boolean): string {
+  return readonly ? 'readonly' : shallow ? 'shallow reactive' : 'reactive'
+}
+
+function makeReactive (
+  target: any,
+  shallow: boolean,
+  readonly: boolean,
+  api: string
+): any {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `${api}() cannot be called on a primitive value: ${String(target)}`
+    )
+    return target
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    const existingOb = hasOwn(target, '__ob__') && target.__ob__
+    if (existingOb && (existingOb.shallow !== shallow || existingOb.readonly !== readonly)) {
+      warn(
+        `Target is already a ${describeMode(existingOb.shallow, existingOb.readonly)} ` +
+        `object, and cannot be converted to ${describeMode(shallow, readonly)}.`
+      )
+    }
+  }
+  const ob = observe(target, false, shallow, readonly)
+  // arrays are exposed through their proxy when index detection is on
+  return ob && ob.proxy ? (ob.proxy: any) : target
+}
@@ -0,0 +1,34 @@
+/* @flow */
+
+import { defineReactive } from '../observer/index'
+import { def } from '../util/index'
+
+export const RefFlag = '__v_isRef'
+
+/**
+ * Create a reactive, mutable container for a single value,
+ * read and written through its `value` property.
+ */
+export function ref (value: any): Object {
+  if (isRef(value)) {
+    return value
+  }
+  const r = {}
+  def(r, RefFlag, true)
+  defineReactive(r, 'value', value)
+  return r
+}
+
+/**
+ * Check if a value is a ref created by ref() or computed().
+ */
+export function isRef (r: any): boolean {
+  return !!(r && r[RefFlag] === true)
+}
+
+/**
+ * Return the inner value of a ref, or the value itself.
+ */
+export function unref (r: any): any {
+  return isRef(r) ? r.value : r
+}
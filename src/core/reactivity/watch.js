@@ -0,0 +1,191 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import type { DebuggerEvent } from '../observer/dep'
+import { traverse } from '../observer/traverse'
+import { isRef } from './ref'
+import { isReactive } from './reactive'
+import {
+  warn,
+  noop,
+  hasChanged,
+  isServerRendering,
+  invokeWithErrorHandling
+} from '../util/index'
+
+type WatchOptions = {
+  immediate?: boolean;
+  deep?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+};
+
+type OnCleanup = (fn: Function) => void;
+
+/**
+ * Watch one or more reactive sources and invoke the callback when
+ * they change. A source can be a ref, a reactive object, a getter
+ * function, or an array of those. Returns a function that stops
+ * the watcher.
+ */
+export function watch (
+  source: any,
+  cb: Function,
+  options?: WatchOptions
+): Function {
+  if (process.env.NODE_ENV !== 'production' && typeof cb !== 'function') {
+    warn(
+      `\`watch(fn, options?)\` signature has been moved to a separate API. ` +
+      `Use \`watchEffect(fn, options?)\` instead. \`watch\` now only ` +
+      `supports \`watch(source, cb, options?)\` signature.`
+    )
+  }
+  return doWatch(source, cb, options)
+}
+
+/**
+ * Run a function immediately while tracking its dependencies, and
+ * re-run it whenever they change. Returns a function that stops it.
+ */
+export function watchEffect (
+  effect: (onCleanup: OnCleanup) => any,
+  options?: WatchOptions
+): Function {
+  return doWatch(effect, null, options)
+}
+
+function doWatch (
+  source: any,
+  cb: ?Function,
+  { immediate, deep, flush, onTrack, onTrigger }: WatchOptions = {}
+): Function {
+  if (process.env.NODE_ENV !== 'production' && !cb) {
+    if (immediate !== undefined) {
+      warn(
+        `watch() "immediate" option is only respected when using the ` +
+        `watch(source, callback, options?) signature.`
+      )
+    }
+    if (deep !== undefined) {
+      warn(
+        `watch() "deep" option is only respected when using the ` +
+        `watch(source, callback, options?) signature.`
+      )
+    }
+  }
+
+  const warnInvalidSource = (s: any) => {
+    warn(
+      `Invalid watch source: ${String(s)}. A watch source can only be a ` +
+      `getter/effect function, a ref, a reactive object, or an array of ` +
+      `these types.`
+    )
+  }
+
+  const call = (fn: Function, type: string, args?: any[]) =>
+    invokeWithErrorHandling(fn, null, args || null, null, type)
+
+  let getter: Function
+  let isMultiSource = false
+
+  if (isRef(source)) {
+    getter = () => source.value
+  } else if (isReactive(source)) {
+    getter = () => {
+      // also track properties added to / deleted from the root object
+      source.__ob__.dep.depend()
+      return source
+    }
+    deep = true
+  } else if (Array.isArray(source)) {
+    isMultiSource = true
+    getter = () => source.map(s => {
+      if (isRef(s)) {
+        return s.value
+      } else if (isReactive(s)) {
+        s.__ob__.dep.depend()
+        traverse(s)
+        return s
+      } else if (typeof s === 'function') {
+        return call(s, 'watcher getter')
+      } else {
+        process.env.NODE_ENV !== 'production' && warnInvalidSource(s)
+      }
+    })
+  } else if (typeof source === 'function') {
+    if (cb) {
+      // getter with cb
+      getter = () => call(source, 'watcher getter')
+    } else {
+      // no cb -> simple effect
+      getter = () => {
+        if (cleanup) {
+          cleanup()
+        }
+        return call(source, 'watcher', [onCleanup])
+      }
+    }
+  } else {
+    getter = noop
+    process.env.NODE_ENV !== 'production' && warnInvalidSource(source)
+  }
+
+  let cleanup: ?Function
+  const onCleanup: OnCleanup = (fn: Function) => {
+    cleanup = () => {
+      cleanup = null
+      call(fn, 'watcher cleanup')
+    }
+  }
+
+  // in SSR there is no need to setup an actual effect, and it should be
+  // noop unless it's eager
+  if (isServerRendering()) {
+    if (!cb) {
+      getter()
+    } else if (immediate) {
+      call(cb, 'watcher callback', [getter(), isMultiSource ? [] : undefined, onCleanup])
+    }
+    return noop
+  }
+
+  const watcher = new Watcher(null, getter, cb ? (value, oldValue) => {
+    if (
+      isMultiSource &&
+      !deep &&
+      !value.some((v, i) => hasChanged(v, oldValue[i]))
+    ) {
+      return
+    }
+    // cleanup before running cb again
+    if (cleanup) {
+      cleanup()
+    }
+    call((cb: any), 'watcher callback', [value, oldValue, onCleanup])
+  } : noop, {
+    user: true,
+    deep,
+    flush,
+    onTrack,
+    onTrigger
+  })
+  // run the pending cleanup when the watcher is stopped
+  watcher.onStop = () => {
+    if (cleanup) {
+      cleanup()
+    }
+  }
+
+  if (cb && immediate) {
+    call(cb, 'watcher callback', [
+      watcher.value,
+      isMultiSource ? [] : undefined,
+      onCleanup
+    ])
+  }
+
+  return () => {
+    watcher.teardown()
+  }
+}
@@ -241,7 +241,8 @@ strats.watch = function (
 strats.props =
 strats.methods =
 strats.inject =
-strats.computed = function (
+strats.computed =
+strats.asyncComputed = function (
   parentVal: ?Object,
   childVal: ?Object,
   vm?: Component,
@@ -12,7 +12,7 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, PATCH_TEXT } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
@@ -35,11 +35,15 @@ const hooks = ['create', 'activate', 'update', 'remove', 'destroy']
 function sameVnode (a, b) {
   return (
     a.key === b.key &&
-    a.asyncFactory === b.asyncFactory && (
+    a.asyncFactory === b.asyncFactory &&
+    // blocks from different templates are never patched against each other,
+    // as the static nodes of a patched block have no element
+    a.blockHash === b.blockHash && (
       // 对于同步组件，则判断 isComment、data、input 类型等是否相同
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -59,6 +63,21 @@ function sameInputType (a, b) {
   return typeA === typeB || isTextInputType(typeA) && isTextInputType(typeB)
 }
 
+// the flags the compiler set on a native element's data, if the old vnode
+// shares its constant data. Component roots are patched in full, as their
+// class and style also depend on the parent placeholder.
+function getPatchFlag (oldVnode, vnode) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    isDef(data) && isDef(data.patchFlag) &&
+    isDef(oldData) && oldData.patchHash === data.patchHash &&
+    isUndef(vnode.parent)
+  ) {
+    return data.patchFlag
+  }
+}
+
 function createKeyToOldIdx (children, beginIdx, endIdx) {
   let i, key
   const map = {}
@@ -83,15 +102,22 @@ export function createPatchFunction (backend) {
       }
     }
   }
+  // the patch flag guarding each update hook, see shared/constants
+  const updateFlags = []
+  for (j = 0; j < modules.length; ++j) {
+    if (isDef(modules[j].update)) {
+      updateFlags.push(modules[j].patchFlag)
+    }
+  }
 
   function emptyNodeAt (elm) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (childElms, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        childElms.forEach(removeNode)
       }
     }
     remove.listeners = listeners
@@ -106,6 +132,36 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the last DOM node of a vnode. Fragments, including fragments rendered
+  // as the root of a component, end with their end anchor.
+  function lastElmOf (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode.anchor : vnode.elm
+  }
+
+  // all DOM nodes of a vnode in document order. They are collected from the
+  // vnode tree, since the nodes of a removed fragment are no longer siblings.
+  function elmsOf (vnode, elms) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    if (isTrue(vnode.isFragment)) {
+      elms.push(vnode.elm)
+      vnode.children.forEach(child => elmsOf(child, elms))
+      elms.push(vnode.anchor)
+    } else {
+      elms.push(vnode.elm)
+    }
+    return elms
+  }
+
+  // move all DOM nodes of a vnode before refElm
+  function moveVnode (parentElm, vnode, refElm) {
+    elmsOf(vnode, []).forEach(elm => nodeOps.insertBefore(parentElm, elm, refElm))
+  }
+
   function isUnknownElement (vnode, inVPre) {
     return (
       !inVPre &&
@@ -207,6 +263,8 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm)
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -216,6 +274,28 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the children of a fragment are created between two empty text nodes,
+  // so that the fragment can be moved and removed as a whole. the leading
+  // one is the fragment's elm, and so the $el of a component rendering it
+  function createFragment (vnode, insertedVnodeQueue, parentElm, refElm) {
+    // a fragment created without a parent, e.g. as the root of a component,
+    // is kept in a document fragment until it is inserted
+    if (isUndef(parentElm)) {
+      parentElm = nodeOps.createDocumentFragment()
+    }
+    vnode.elm = nodeOps.createTextNode('')
+    vnode.anchor = nodeOps.createTextNode('')
+    insert(parentElm, vnode.elm, refElm)
+    insert(parentElm, vnode.anchor, refElm)
+    const children = vnode.children
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, parentElm, vnode.anchor, !vnode.isRootInsert, children, i)
+    }
+  }
+
   function createComponent (vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data
     if (isDef(i)) {
@@ -230,7 +310,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -278,7 +358,7 @@ export function createPatchFunction (backend) {
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
     // 把缓存的 DOM 对象直接插入到目标元素中
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   // 调用一些 nodeOps 把子节点插入到父节点中，insertBefore appendChild这些辅助方法定义在 src/platforms/web/runtime/node-ops.js 
@@ -294,6 +374,12 @@ export function createPatchFunction (backend) {
     }
   }
   
+  // insert the DOM nodes of a component, which are several nodes if its
+  // root is a fragment
+  function insertVnode (parent, vnode, ref) {
+    elmsOf(vnode, []).forEach(elm => insert(parent, elm, ref))
+  }
+
   // 创建子元素
   function createChildren (vnode, children, insertedVnodeQueue) {
     if (Array.isArray(children)) {
@@ -381,6 +467,10 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeNode(ch.elm)
+          removeNode(ch.anchor)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -399,7 +489,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(elmsOf(vnode, []), listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -419,7 +509,7 @@ export function createPatchFunction (backend) {
   }
 
   // 在整个 pathVnode 过程中，最复杂的就是 updateChildren 方法了
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -454,12 +544,12 @@ export function createPatchFunction (backend) {
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(lastElmOf(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -474,7 +564,7 @@ export function createPatchFunction (backend) {
           if (sameVnode(vnodeToMove, newStartVnode)) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -484,7 +574,8 @@ export function createPatchFunction (backend) {
       }
     }
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // the children of a fragment end at its end anchor
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm || null : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       removeVnodes(oldCh, oldStartIdx, oldEndIdx)
@@ -518,13 +609,80 @@ export function createPatchFunction (backend) {
 
   // 有一种组件 vnode 的更新情况是新旧节点相同，它会调用 patchVNode 方法
   // patchVnode 的作用就是把新的 vnode patch 到旧的 vnode 上
+  // the only child is a dynamic text node on both sides
+  function patchText (oldVnode, vnode) {
+    const elm = vnode.elm = oldVnode.elm
+    if (oldVnode.text !== vnode.text) {
+      nodeOps.setTextContent(elm, vnode.text)
+    }
+  }
+
+  // patch the dynamic nodes of two renders of the same block
+  // the dynamic nodes of a block only line up while nothing rendered by
+  // components, e.g. the roots of functional components, changes shape
+  function isSameBlock (oldNodes, nodes) {
+    if (oldNodes.length !== nodes.length) {
+      return false
+    }
+    for (let i = 0; i < nodes.length; i++) {
+      if (!sameVnode(oldNodes[i], nodes[i])) {
+        return false
+      }
+    }
+    return true
+  }
+
+  function patchBlock (oldNodes, nodes, insertedVnodeQueue) {
+    for (let i = 0; i < nodes.length; i++) {
+      // the children of the roots of functional components are not part of
+      // the block, so they are patched in full
+      patchVnode(
+        oldNodes[i],
+        nodes[i],
+        insertedVnodeQueue,
+        null,
+        null,
+        false,
+        isUndef(nodes[i].fnContext)
+      )
+    }
+  }
+
+  // the other nodes of a block are not patched, but they take over the
+  // elements of the previous render, so that the block can still be
+  // patched in full once it changes shape
+  function adoptBlockElms (oldCh, ch) {
+    for (let i = 0; i < ch.length; i++) {
+      const oldVnode = oldCh[i]
+      const vnode = ch[i]
+      if (isUndef(oldVnode) || oldVnode === vnode) {
+        continue
+      }
+      if (isUndef(vnode.elm)) {
+        vnode.elm = oldVnode.elm
+      }
+      // components, static trees and the roots of functional components
+      // do not render in the shape of the block
+      if (
+        isDef(vnode.children) &&
+        isDef(oldVnode.children) &&
+        isUndef(vnode.componentOptions) &&
+        isUndef(vnode.fnContext) &&
+        !isTrue(vnode.isStatic)
+      ) {
+        adoptBlockElms(oldVnode.children, vnode.children)
+      }
+    }
+  }
+
   function patchVnode (
     oldVnode,
     vnode,
     insertedVnodeQueue,
     ownerArray,
     index,
-    removeOnly
+    removeOnly,
+    inBlock
   ) {
     if (oldVnode === vnode) {
       return
@@ -559,6 +717,21 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      if (oldVnode.children !== vnode.children) {
+        updateChildren(
+          nodeOps.parentNode(elm),
+          oldVnode.children,
+          vnode.children,
+          insertedVnodeQueue,
+          removeOnly,
+          vnode.anchor
+        )
+      }
+      return
+    }
+
     // 执行 prepatch 钩子函数
     // 当更新的 vnode 是一个组件 vnode 的时候，会执行 prepatch 的方法，它的定义在 src/core/vdom/create-component.js 中
     let i
@@ -570,15 +743,36 @@ export function createPatchFunction (backend) {
     // 完成 patch 过程
     const oldCh = oldVnode.children
     const ch = vnode.children
+    const patchFlag = getPatchFlag(oldVnode, vnode)
     if (isDef(data) && isPatchable(vnode)) {
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      for (i = 0; i < cbs.update.length; ++i) {
+        // skip modules whose part of the data cannot have changed
+        if (isUndef(patchFlag) || isUndef(updateFlags[i]) || (patchFlag & updateFlags[i])) {
+          cbs.update[i](oldVnode, vnode)
+        }
+      }
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
     // 如果不是文本节点，则判断它们的子节点，
     if (isUndef(vnode.text)) {
-      // oldCh 与 ch 都存在且不相同时，使用 updateChildren 函数来更新子节点, 最复杂的更新
-      if (isDef(oldCh) && isDef(ch)) {
-        if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+      if (
+        isDef(vnode.dynamicChildren) &&
+        isDef(oldVnode.dynamicChildren) &&
+        isSameBlock(oldVnode.dynamicChildren, vnode.dynamicChildren)
+      ) {
+        patchBlock(oldVnode.dynamicChildren, vnode.dynamicChildren, insertedVnodeQueue)
+        if (isDef(oldCh) && isDef(ch) && oldCh !== ch) {
+          adoptBlockElms(oldCh, ch)
+        }
+      } else if (isTrue(inBlock)) {
+        // the dynamic descendants are patched by the block
+      } else if (isDef(oldCh) && isDef(ch)) {
+        // oldCh 与 ch 都存在且不相同时，使用 updateChildren 函数来更新子节点, 最复杂的更新
+        if (isDef(patchFlag) && (patchFlag & PATCH_TEXT)) {
+          patchText(oldCh[0], ch[0])
+        } else if (oldCh !== ch) {
+          updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+        }
         // 如果只有 ch 存在，表示旧节点不需要了。
         // 如果旧的节点是文本节点则先将节点的文本清除，然后通过 addVnodes 将 ch 批量插入到新节点 elm 下
       } else if (isDef(ch)) {
@@ -650,6 +844,9 @@ export function createPatchFunction (backend) {
         return true
       }
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     if (isDef(tag)) {
       if (isDef(children)) {
         // empty element, allow client to pick up and populate children
@@ -680,7 +877,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = nodeOps.nextSibling(lastElmOf(children[i]))
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -719,8 +916,27 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // server rendered fragments are wrapped in <!--[--> and <!--]--> comments
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    const children = vnode.children
+    let childNode = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      childNode = nodeOps.nextSibling(lastElmOf(children[i]))
+    }
+    if (!childNode || childNode.nodeType !== 8 || childNode.data !== ']') {
+      return false
+    }
+    vnode.anchor = childNode
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
-    if (isDef(vnode.tag)) {
+    if (isTrue(vnode.isFragment)) {
+      return node.nodeType === 8 && node.data === '['
+    } else if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
         !isUnknownElement(vnode, inVPre) &&
         vnode.tag.toLowerCase() === (node.tagName && node.tagName.toLowerCase())
@@ -796,7 +1012,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(lastElmOf(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -18,6 +18,8 @@ export default class VNode {
   isStatic: boolean; // hoisted static node
   isRootInsert: boolean; // necessary for enter transition check
   isComment: boolean; // empty comment placeholder?
+  isFragment: boolean; // several nodes rendered between two anchors?
+  anchor: Node | void; // end anchor of a fragment
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
   asyncFactory: Function | void; // async component factory function
@@ -28,6 +30,8 @@ export default class VNode {
   fnOptions: ?ComponentOptions; // for SSR caching
   devtoolsMeta: ?Object; // used to store functional render context for devtools
   fnScopeId: ?string; // functional scope id support
+  dynamicChildren: Array<VNode> | void; // dynamic descendants of a block root
+  blockHash: number | void; // identifies the template of a block root
 
   constructor (
     tag?: string,
@@ -57,11 +61,15 @@ export default class VNode {
     this.isStatic = false
     this.isRootInsert = true
     this.isComment = false
+    this.isFragment = false
+    this.anchor = undefined
     this.isCloned = false
     this.isOnce = false
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.dynamicChildren = undefined
+    this.blockHash = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -78,6 +86,15 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// a component rendering several root nodes. The nodes are placed between
+// two empty text nodes, the first of which is the fragment's elm and thus
+// the component's $el.
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -104,10 +121,13 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.dynamicChildren = vnode.dynamicChildren
+  cloned.blockHash = vnode.blockHash
   cloned.isCloned = true
   return cloned
 }
@@ -0,0 +1,153 @@
+/* @flow */
+
+import { compileToModule } from './index'
+import type { AOTOptions, AOTResult } from './index'
+
+const fs = require('fs')
+const path = require('path')
+
+export type CompileFilesOptions = AOTOptions & {
+  src: string; // a template file or a directory searched recursively
+  outDir?: string; // defaults to writing next to each template
+};
+
+export type FileResult = AOTResult & {
+  filename: string;
+  outFile: string;
+};
+
+const templateRE = /\.(?:html|vue)$/
+
+/**
+ * Compile every `.html` and `.vue` template under `src`. Each template
+ * `foo.vue` is written to `foo.vue.js`, keeping the directory structure of
+ * `src` under `outDir`. Files with errors are reported and not written.
+ */
+export function compileFiles (options: CompileFilesOptions): Array<FileResult> {
+  return findTemplates(options.src).map(filename => compileFile(filename, options))
+}
+
+/**
+ * Compile the templates under `src`, then recompile each template when it
+ * changes. `onResult` is called with the result of every compilation.
+ */
+export function watchFiles (
+  options: CompileFilesOptions,
+  onResult: (result: FileResult) => void
+): { close: () => void } {
+  compileFiles(options).forEach(onResult)
+
+  const timers = Object.create(null)
+  const onChange = filename => {
+    clearTimeout(timers[filename])
+    // editors often write a file in several steps
+    timers[filename] = setTimeout(() => {
+      delete timers[filename]
+      if (fs.existsSync(filename)) {
+        onResult(compileFile(filename, options))
+      }
+    }, 50)
+  }
+
+  const watchers = Object.create(null)
+  const watchDir = dir => {
+    if (watchers[dir]) return
+    watchers[dir] = fs.watch(dir, (event, name) => {
+      if (!name) return
+      const file = path.join(dir, name)
+      if (templateRE.test(name)) {
+        onChange(file)
+      } else if (isDirectory(file) && !isOutDir(file, options)) {
+        // templates added in a new directory
+        watchDir(file)
+        findTemplates(file).forEach(onChange)
+      }
+    })
+  }
+  if (isDirectory(options.src)) {
+    findDirectories(options.src, options).forEach(watchDir)
+  } else {
+    watchers[options.src] = fs.watch(options.src, () => onChange(options.src))
+  }
+
+  return {
+    close () {
+      Object.keys(watchers).forEach(key => watchers[key].close())
+      Object.keys(timers).forEach(key => clearTimeout(timers[key]))
+    }
+  }
+}
+
+function compileFile (filename: string, options: CompileFilesOptions): FileResult {
+  const root = isDirectory(options.src) ? options.src : path.dirname(options.src)
+  const outFile = path.join(
+    options.outDir || root,
+    path.relative(root, filename)
+  ) + '.js'
+  const result = compileToModule(fs.readFileSync(filename, 'utf-8'), {
+    filename: path.relative(process.cwd(), filename),
+    ssr: options.ssr,
+    compilerOptions: options.compilerOptions
+  })
+  const code = result.code
+  if (code != null) {
+    mkdirp(path.dirname(outFile))
+    fs.writeFileSync(outFile, code)
+  }
+  return {
+    filename,
+    outFile,
+    code,
+    errors: result.errors,
+    tips: result.tips
+  }
+}
+
+function findTemplates (src: string): Array<string> {
+  if (!isDirectory(src)) {
+    return [src]
+  }
+  const res = []
+  fs.readdirSync(src).forEach(name => {
+    const file = path.join(src, name)
+    if (isDirectory(file)) {
+      if (name !== 'node_modules') {
+        res.push.apply(res, findTemplates(file))
+      }
+    } else if (templateRE.test(name)) {
+      res.push(file)
+    }
+  })
+  return res
+}
+
+function findDirectories (dir: string, options: CompileFilesOptions): Array<string> {
+  const res = [dir]
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name)
+    if (name !== 'node_modules' && isDirectory(file) && !isOutDir(file, options)) {
+      res.push.apply(res, findDirectories(file, options))
+    }
+  })
+  return res
+}
+
+function isOutDir (dir: string, options: CompileFilesOptions): boolean {
+  const outDir = options.outDir
+  return !!outDir && path.resolve(dir) === path.resolve(outDir)
+}
+
+function isDirectory (file: string): boolean {
+  try {
+    return fs.statSync(file).isDirectory()
+  } catch (e) {
+    return false
+  }
+}
+
+function mkdirp (dir: string) {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir))
+    fs.mkdirSync(dir)
+  }
+}
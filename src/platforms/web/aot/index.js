@@ -0,0 +1,109 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import { parseComponent } from 'sfc/parser'
+import { generateCodeFrame } from 'compiler/codeframe'
+import { compile } from '../compiler/index'
+import { ssrCompile } from '../server/compiler'
+import { stripWith } from './strip-with'
+
+export type AOTOptions = {
+  filename?: string; // used in error reports, `.vue` files are parsed as SFCs
+  ssr?: boolean; // compile with the SSR optimizing compiler
+  compilerOptions?: CompilerOptions;
+};
+
+export type AOTResult = {
+  code: ?string; // null when the template has errors
+  errors: Array<string>;
+  tips: Array<string>;
+};
+
+/**
+ * Compile a template, or the <template> block of a single-file component,
+ * into the source of an ES module exporting `render` and `staticRenderFns`.
+ * Errors and tips are formatted with the file position and a code frame.
+ */
+export function compileToModule (
+  source: string,
+  options?: AOTOptions = {}
+): AOTResult {
+  const filename = options.filename || 'anonymous.html'
+  const errors = []
+  const tips = []
+  const report = (list, msg, offset = 0) => {
+    list.push(formatMessage(source, filename, msg, offset))
+  }
+
+  let template = source
+  let offset = 0
+  if (/\.vue$/.test(filename)) {
+    const descriptor = parseComponent(source, {
+      deindent: false,
+      outputSourceRange: true
+    })
+    descriptor.errors.forEach(msg => report(errors, msg))
+    const block = descriptor.template
+    if (!block) {
+      errors.push(`${filename}: no <template> block found.`)
+    } else if (block.src) {
+      errors.push(`${filename}: <template src="${block.src}"> is not supported.`)
+    } else if (block.lang && block.lang !== 'html') {
+      errors.push(`${filename}: <template lang="${block.lang}"> is not supported.`)
+    } else {
+      template = block.content
+      offset = block.start || 0
+    }
+    if (errors.length) {
+      return { code: null, errors, tips }
+    }
+  }
+
+  const compileFn = options.ssr ? ssrCompile : compile
+  const compiled = compileFn(template, extend(extend({}, options.compilerOptions), {
+    outputSourceRange: true
+  }))
+  compiled.errors.forEach(msg => report(errors, msg, offset))
+  compiled.tips.forEach(msg => report(tips, msg, offset))
+  if (errors.length) {
+    return { code: null, errors, tips }
+  }
+
+  let render, staticRenderFns
+  try {
+    render = stripWith(compiled.render)
+    staticRenderFns = compiled.staticRenderFns.map(stripWith)
+  } catch (e) {
+    errors.push(`${filename}: failed to generate render code: ${e.message}`)
+    return { code: null, errors, tips }
+  }
+  const code =
+    `export var render = function () {${render}}\n` +
+    `export var staticRenderFns = [${
+      staticRenderFns.map(code => `\n  function () {${code}}`).join(',')
+    }${staticRenderFns.length ? '\n' : ''}]\n` +
+    // identifiers are accessed on _vm, tells the dev proxy to check gets
+    `render._withStripped = true\n`
+  return { code, errors, tips }
+}
+
+function formatMessage (
+  source: string,
+  filename: string,
+  msg: string | WarningMessage,
+  offset: number
+): string {
+  if (typeof msg === 'string') {
+    return `${filename}: ${msg}`
+  }
+  if (msg.start == null) {
+    return `${filename}: ${msg.msg}`
+  }
+  const start = msg.start + offset
+  const end = msg.end != null ? msg.end + offset : start + 1
+  const lines = source.slice(0, start).split(/\r?\n/)
+  const line = lines.length
+  const column = lines[lines.length - 1].length + 1
+  return `${filename}:${line}:${column}: ${msg.msg}\n\n` +
+    generateCodeFrame(source, start, end)
+}
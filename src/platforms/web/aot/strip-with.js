@@ -0,0 +1,115 @@
+/* @flow */
+
+import { makeMap, extend } from 'shared/util'
+import { downlevel } from 'compiler/codegen/downlevel'
+
+// $flow-disable-line
+const acorn = require('acorn')
+// $flow-disable-line
+const walk = require('acorn/dist/walk')
+
+// globals that template expressions may use, see core/instance/proxy.js
+const isAllowedGlobal = makeMap(
+  'Infinity,undefined,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,BigInt,' +
+  'require,arguments'
+)
+
+// assignment targets are walked as patterns, i.e. declarations, by default
+const visitors = extend(extend({}, walk.base), {
+  AssignmentExpression (node, state, c) {
+    c(node.left, state, node.left.type === 'Identifier' ? 'Expression' : 'Pattern')
+    c(node.right, state, 'Expression')
+  }
+})
+
+/**
+ * Render code is generated as `with(this){...}`, which is not allowed in
+ * the strict mode code of ES modules. Rewrite it into a plain function body
+ * where every free identifier is read from `_vm` instead, e.g.
+ * `with(this){return _c('p',[_v(_s(msg))])}` becomes
+ * `var _vm=this;return _vm._c('p',[_vm._v(_vm._s(_vm.msg))])`.
+ * Syntax newer than ES2018, e.g. optional chaining, is down-leveled first.
+ * Throws a SyntaxError when the code cannot be parsed.
+ */
+export function stripWith (code: string): string {
+  const prefix = 'function render(){'
+  let source = `${prefix}${code}}`
+  let ast
+  try {
+    ast = acorn.parse(source, { ecmaVersion: 9 })
+  } catch (e) {
+    source = `${prefix}${downlevel(code)}}`
+    ast = acorn.parse(source, { ecmaVersion: 9 })
+  }
+  const withStatement = ast.body[0].body.body[0]
+  if (!withStatement || withStatement.type !== 'WithStatement') {
+    return code
+  }
+  const body = withStatement.body
+  const edits = []
+  walk.fullAncestor(body, (node, state, ancestors) => {
+    if (node.type !== 'Identifier' || isAllowedGlobal(node.name)) {
+      return
+    }
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+      if (isDeclaredIn(node.name, ancestors[i])) return
+    }
+    const parent = ancestors[ancestors.length - 2]
+    edits.push({
+      start: node.start,
+      end: node.end,
+      code: parent.type === 'Property' && parent.shorthand
+        ? `${node.name}:_vm.${node.name}`
+        : `_vm.${node.name}`
+    })
+  }, visitors)
+  let res = ''
+  let last = body.start + 1
+  edits.sort((a, b) => a.start - b.start).forEach(edit => {
+    res += source.slice(last, edit.start) + edit.code
+    last = edit.end
+  })
+  res += source.slice(last, body.end - 1)
+  return `var _vm=this;${res}`
+}
+
+function isDeclaredIn (name: string, node: Object): boolean {
+  // e.g. the temporary variables of down-leveled code
+  if (node.type === 'BlockStatement') {
+    return node.body.some(statement => {
+      return statement.type === 'VariableDeclaration' &&
+        statement.declarations.some(decl => getPatternNames(decl.id).indexOf(name) > -1)
+    })
+  }
+  if (
+    node.type !== 'FunctionExpression' &&
+    node.type !== 'ArrowFunctionExpression'
+  ) {
+    return false
+  }
+  if (node.id && node.id.name === name) {
+    return true
+  }
+  return node.params.some(param => getPatternNames(param).indexOf(name) > -1)
+}
+
+function getPatternNames (node: Object): Array<string> {
+  switch (node.type) {
+    case 'Identifier':
+      return [node.name]
+    case 'AssignmentPattern':
+      return getPatternNames(node.left)
+    case 'RestElement':
+      return getPatternNames(node.argument)
+    case 'ArrayPattern':
+      return [].concat.apply([], node.elements.filter(Boolean).map(getPatternNames))
+    case 'ObjectPattern':
+      return [].concat.apply([], node.properties.map(prop => getPatternNames(
+        prop.type === 'RestElement' ? prop : prop.value
+      )))
+    default:
+      return []
+  }
+}
@@ -1,8 +1,26 @@
 /* @flow */
 
+import { extend } from 'shared/util'
 import { baseOptions } from './options'
-import { createCompiler } from 'compiler/index'
+import { createCompiler as createBaseCompiler } from 'compiler/index'
+import { printTemplate as basePrintTemplate } from 'compiler/printer'
 
-const { compile, compileToFunctions } = createCompiler(baseOptions)
+const { compile, compileToFunctions } = createBaseCompiler(baseOptions)
 
 export { compile, compileToFunctions }
+
+/**
+ * Create a web compiler with its own set of plugins, so that plugins
+ * registered by one tool do not leak into other users of the package.
+ */
+export function createCompiler (plugins?: Array<CompilerPlugin>): Object {
+  const compiler = createBaseCompiler(baseOptions)
+  if (plugins) {
+    plugins.forEach(plugin => compiler.use(plugin))
+  }
+  return compiler
+}
+
+export function printTemplate (ast: ?ASTElement, options?: CompilerOptions): string {
+  return basePrintTemplate(ast, extend(extend({}, baseOptions), options))
+}
@@ -6,6 +6,8 @@ import {
   getBindingAttr,
   baseWarn
 } from 'compiler/helpers'
+import { isConstant, genConstant } from 'compiler/codegen/hoist'
+import { PATCH_CLASS } from 'shared/constants'
 
 function transformNode (el: ASTElement, options: CompilerOptions) {
   const warn = options.warn || baseWarn
@@ -31,19 +33,24 @@ function transformNode (el: ASTElement, options: CompilerOptions) {
   }
 }
 
-function genData (el: ASTElement): string {
+function genData (el: ASTElement, state?: Object): string {
   let data = ''
   if (el.staticClass) {
     data += `staticClass:${el.staticClass},`
   }
   if (el.classBinding) {
-    data += `class:${el.classBinding},`
+    data += `class:${genConstant(el.classBinding, state)},`
   }
   return data
 }
 
+function genPatchFlag (el: ASTElement): number {
+  return el.classBinding && !isConstant(el.classBinding) ? PATCH_CLASS : 0
+}
+
 export default {
   staticKeys: ['staticClass'],
   transformNode,
-  genData
+  genData,
+  genPatchFlag
 }
@@ -10,6 +10,8 @@
  *   <input v-else :type="type" v-model="data[type]">
  */
 
+import { extend } from 'shared/util'
+
 import {
   addRawAttr,
   getBindingAttr,
@@ -39,12 +41,18 @@ function preTransformNode (el: ASTElement, options: CompilerOptions) {
     }
 
     if (typeBinding) {
+      // keep the attributes as written for tools that print the template
+      const sourceAttrsMap = extend({}, map)
       const ifCondition = getAndRemoveAttr(el, 'v-if', true)
       const ifConditionExtra = ifCondition ? `&&(${ifCondition})` : ``
       const hasElse = getAndRemoveAttr(el, 'v-else', true) != null
       const elseIfCondition = getAndRemoveAttr(el, 'v-else-if', true)
       // 1. checkbox
       const branch0 = cloneASTElement(el)
+      branch0.sourceAttrsMap = sourceAttrsMap
+      branch0.rawAttrsMap = el.rawAttrsMap
+      branch0.start = el.start
+      branch0.end = el.end
       // process for on the main node
       processFor(branch0)
       addRawAttr(branch0, 'type', 'checkbox')
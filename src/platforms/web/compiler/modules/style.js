@@ -7,6 +7,8 @@ import {
   getBindingAttr,
   baseWarn
 } from 'compiler/helpers'
+import { genConstant } from 'compiler/codegen/hoist'
+import { PATCH_STYLE } from 'shared/constants'
 
 function transformNode (el: ASTElement, options: CompilerOptions) {
   const warn = options.warn || baseWarn
@@ -34,19 +36,26 @@ function transformNode (el: ASTElement, options: CompilerOptions) {
   }
 }
 
-function genData (el: ASTElement): string {
+function genData (el: ASTElement, state?: Object): string {
   let data = ''
   if (el.staticStyle) {
     data += `staticStyle:${el.staticStyle},`
   }
   if (el.styleBinding) {
-    data += `style:(${el.styleBinding}),`
+    data += `style:(${genConstant(el.styleBinding, state)}),`
   }
   return data
 }
 
+// the runtime merges the binding into the static style and normalizes it
+// for the next patch, so any binding has to be patched
+function genPatchFlag (el: ASTElement): number {
+  return el.styleBinding ? PATCH_STYLE : 0
+}
+
 export default {
   staticKeys: ['staticStyle'],
   transformNode,
-  genData
+  genData,
+  genPatchFlag
 }
@@ -15,6 +15,7 @@ import { isUnaryTag, canBeLeftOpenTag } from './util'
 // web相关的配置
 export const baseOptions: CompilerOptions = {
   expectHTML: true,
+  fragments: true,
   modules,
   directives,
   isPreTag,
@@ -0,0 +1,4 @@
+/* @flow */
+
+export { compileToModule } from './aot/index'
+export { compileFiles, watchFiles } from './aot/files'
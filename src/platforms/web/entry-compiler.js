@@ -1,6 +1,7 @@
 /* @flow */
 
 export { parseComponent } from 'sfc/parser'
-export { compile, compileToFunctions } from './compiler/index'
+export { compile, compileToFunctions, createCompiler, printTemplate } from './compiler/index'
+export { AST_VERSION } from 'compiler/create-compiler'
 export { ssrCompile, ssrCompileToFunctions } from './server/compiler'
 export { generateCodeFrame } from 'compiler/codeframe'
@@ -73,6 +73,7 @@ Vue.prototype.$mount = function (
       // 真实定义是在src/compiler/to-function.js 中的compileToFunctions
       const { render, staticRenderFns } = compileToFunctions(template, {
         outputSourceRange: process.env.NODE_ENV !== 'production',
+        sourceMap: process.env.NODE_ENV !== 'production' && config.sourceMaps,
         shouldDecodeNewlines,
         shouldDecodeNewlinesForHref,
         delimiters: options.delimiters,
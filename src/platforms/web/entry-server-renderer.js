@@ -25,3 +25,5 @@ export function createRenderer (options?: Object = {}): {
 }
 
 export const createBundleRenderer = createBundleRendererCreator(createRenderer)
+
+export { createDiskCompileCache } from 'server/compile-cache'
@@ -27,6 +27,7 @@ Vue.config.isReservedTag = isReservedTag
 Vue.config.isReservedAttr = isReservedAttr
 Vue.config.getTagNamespace = getTagNamespace
 Vue.config.isUnknownElement = isUnknownElement
+Vue.config.supportsFragments = true
 
 // install platform runtime directives & components
 extend(Vue.options.directives, platformDirectives)
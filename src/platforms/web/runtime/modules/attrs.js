@@ -7,6 +7,7 @@ import {
   isDef,
   isUndef
 } from 'shared/util'
+import { PATCH_ATTRS } from 'shared/constants'
 
 import {
   isXlink,
@@ -114,6 +115,7 @@ function baseSetAttr (el, key, value) {
 }
 
 export default {
+  patchFlag: PATCH_ATTRS,
   create: updateAttrs,
   update: updateAttrs
 }
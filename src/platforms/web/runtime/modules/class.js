@@ -4,6 +4,7 @@ import {
   isDef,
   isUndef
 } from 'shared/util'
+import { PATCH_CLASS } from 'shared/constants'
 
 import {
   concat,
@@ -43,6 +44,7 @@ function updateClass (oldVnode: any, vnode: any) {
 }
 
 export default {
+  patchFlag: PATCH_CLASS,
   create: updateClass,
   update: updateClass
 }
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
+import { PATCH_PROPS } from 'shared/constants'
 import { isSVG } from 'web/util/index'
 
 let svgContainer
@@ -111,6 +112,7 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 }
 
 export default {
+  patchFlag: PATCH_PROPS,
   create: updateDOMProps,
   update: updateDOMProps
 }
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { isDef, isUndef } from 'shared/util'
+import { PATCH_EVENTS } from 'shared/constants'
 import { updateListeners } from 'core/vdom/helpers/index'
 import { isIE, isFF, supportsPassive, isUsingMicroTask } from 'core/util/index'
 import { RANGE_TOKEN, CHECKBOX_RADIO_TOKEN } from 'web/compiler/directives/model'
@@ -121,6 +122,7 @@ function updateDOMListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 }
 
 export default {
+  patchFlag: PATCH_EVENTS,
   create: updateDOMListeners,
   update: updateDOMListeners,
   destroy: (vnode: VNodeWithData) => updateDOMListeners(vnode, emptyNode)
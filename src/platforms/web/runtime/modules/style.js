@@ -2,6 +2,7 @@
 
 import { getStyle, normalizeStyleBinding } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util'
+import { PATCH_STYLE } from 'shared/constants'
 
 const cssVarRE = /^--/
 const importantRE = /\s*!important$/
@@ -88,6 +89,7 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 }
 
 export default {
+  patchFlag: PATCH_STYLE,
   create: updateStyle,
   update: updateStyle
 }
@@ -26,6 +26,10 @@ export function createComment (text: string): Comment {
   return document.createComment(text)
 }
 
+export function createDocumentFragment (): DocumentFragment {
+  return document.createDocumentFragment()
+}
+
 export function insertBefore (parentNode: Node, newNode: Node, referenceNode: Node) {
   parentNode.insertBefore(newNode, referenceNode)
 }
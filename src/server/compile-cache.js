@@ -0,0 +1,50 @@
+/* @flow */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * Create a compile cache that stores compiled templates as JSON files in
+ * `dir`, so that they survive restarts and can be shared between worker
+ * processes. Files are named by a hash of the Vue version, the compiler
+ * options and the template. Entries are written to a temporary file first,
+ * so readers never see a partial entry.
+ */
+export function createDiskCompileCache (dir: string): CompileCache {
+  const getFile = key => path.join(dir, crypto
+    .createHash('sha256')
+    .update(`__VERSION__\n${key}`)
+    .digest('hex') + '.json'
+  )
+  let uid = 0
+
+  return {
+    get (key: string): ?CompiledCode {
+      try {
+        return JSON.parse(fs.readFileSync(getFile(key), 'utf-8'))
+      } catch (e) {
+        // a missing or unreadable entry is a cache miss
+      }
+    },
+    set (key: string, code: CompiledCode) {
+      const file = getFile(key)
+      const tmp = `${file}.${process.pid}.${uid++}.tmp`
+      try {
+        mkdirp(dir)
+        fs.writeFileSync(tmp, JSON.stringify(code))
+        fs.renameSync(tmp, file)
+      } catch (e) {
+        // the cache is an optimization, failing to write it is not an error
+        try { fs.unlinkSync(tmp) } catch (e) {}
+      }
+    }
+  }
+}
+
+function mkdirp (dir: string) {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir))
+    fs.mkdirSync(dir)
+  }
+}
@@ -8,9 +8,10 @@ export function createBasicRenderer ({
   modules = [],
   directives = {},
   isUnaryTag = (() => false),
-  cache
+  cache,
+  compileCache
 }: RenderOptions = {}) {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, compileCache)
 
   return function renderToString (
     component: Component,
@@ -23,6 +23,7 @@ export type RenderOptions = {
   directives?: Object;
   isUnaryTag?: Function;
   cache?: RenderCache;
+  compileCache?: CompileCache;
   template?: string | (content: string, context: any) => string;
   inject?: boolean;
   basedir?: string;
@@ -40,12 +41,13 @@ export function createRenderer ({
   template,
   inject,
   cache,
+  compileCache,
   shouldPreload,
   shouldPrefetch,
   clientManifest,
   serializer
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, compileCache)
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
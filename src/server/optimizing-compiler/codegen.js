@@ -23,6 +23,7 @@ import {
 } from './modules'
 
 import { escape } from 'web/server/util'
+import { downlevel } from 'compiler/codegen/downlevel'
 import { optimizability } from './optimizer'
 import type { CodegenResult } from 'compiler/codegen/index'
 
@@ -42,10 +43,10 @@ export function generate (
 ): CodegenResult {
   const state = new CodegenState(options)
   const code = ast ? genSSRElement(ast, state) : '_c("div")'
-  return {
-    render: `with(this){return ${code}}`,
-    staticRenderFns: state.staticRenderFns
-  }
+  const render = `with(this){return ${code}}`
+  return options.downlevel
+    ? { render: downlevel(render), staticRenderFns: state.staticRenderFns.map(downlevel) }
+    : { render, staticRenderFns: state.staticRenderFns }
 }
 
 function genSSRElement (el: ASTElement, state: CodegenState): string {
@@ -53,6 +54,10 @@ function genSSRElement (el: ASTElement, state: CodegenState): string {
     return genFor(el, state, genSSRElement)
   } else if (el.if && !el.ifProcessed) {
     return genIf(el, state, genSSRElement)
+  } else if (el.fragment) {
+    // each root of a fragment is a node of its own, so that it is rendered
+    // as a fragment just like on the client
+    return genSSRChildren(el, state) || 'void 0'
   } else if (el.tag === 'template' && !el.slotTarget) {
     return el.ssrOptimizability === optimizability.FULL
       ? genChildrenAsStringNode(el, state)
@@ -63,7 +63,7 @@ function walk (node: ASTNode, isRoot?: boolean) {
       (!isRoot && (node.attrsMap['v-html'] || node.attrsMap['v-text']))
     ) {
       node.ssrOptimizability = optimizability.FULL
-    } else {
+    } else if (!node.fragment) {
       node.children = optimizeSiblings(node)
     }
   } else {
@@ -108,7 +108,7 @@ function optimizeSiblings (el) {
 }
 
 function isUnOptimizableTree (node: ASTNode): boolean {
-  if (node.type === 2 || node.type === 3) { // text or expression
+  if (node.type !== 1) { // text, expression or error
     return false
   }
   return (
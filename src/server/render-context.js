@@ -41,6 +41,8 @@ export class RenderContext {
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
 
+  compileCache: ?CompileCache;
+
   constructor (options: Object) {
     this.userContext = options.userContext
     this.activeInstance = options.activeInstance
@@ -62,6 +64,12 @@ export class RenderContext {
     this.get = cache && normalizeAsync(cache, 'get')
     this.has = cache && normalizeAsync(cache, 'has')
 
+    const compileCache = options.compileCache
+    if (compileCache && (!compileCache.get || !compileCache.set)) {
+      throw new Error('renderer compileCache must implement get & set.')
+    }
+    this.compileCache = compileCache
+
     this.next = this.next.bind(this)
   }
 
@@ -29,13 +29,14 @@ const onCompilationError = (err, vm) => {
   throw new Error(`\n\u001b[31m${err}${trace}\u001b[39m\n`)
 }
 
-const normalizeRender = vm => {
+const normalizeRender = (vm, context) => {
   const { render, template, _scopeId } = vm.$options
   if (isUndef(render)) {
     if (template) {
       const compiled = ssrCompileToFunctions(template, {
         scopeId: _scopeId,
-        warn: onCompilationError
+        warn: onCompilationError,
+        cache: context.compileCache
       }, vm)
 
       vm.$options.render = compiled.render
@@ -78,6 +79,8 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -192,7 +195,7 @@ function renderComponentInner (node, isRoot, context) {
     node,
     context.activeInstance
   )
-  normalizeRender(child)
+  normalizeRender(child, context)
 
   const resolve = () => {
     const childNode = child._render()
@@ -291,6 +294,21 @@ function renderStringNode (el, context) {
   }
 }
 
+// fragments are wrapped in comments so that the client can find their
+// boundaries when hydrating
+function renderFragment (node, context) {
+  const { write, next } = context
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  write('<!--[-->', next)
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
@@ -410,7 +428,8 @@ export function createRenderFunction (
   modules: Array<(node: VNode) => ?string>,
   directives: Object,
   isUnaryTag: Function,
-  cache: any
+  cache: any,
+  compileCache: ?CompileCache
 ) {
   return function render (
     component: Component,
@@ -424,10 +443,10 @@ export function createRenderFunction (
       userContext,
       write, done, renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache, compileCache
     })
     installSSRHelpers(component)
-    normalizeRender(component)
+    normalizeRender(component, context)
 
     const resolve = () => {
       renderNode(component._render(), true, context)
@@ -1,5 +1,19 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+// default number of times a watcher may re-run within a single flush
+// before it is reported as an infinite update loop
+export const MAX_UPDATE_COUNT = 100
+
+// patch flags emitted by the compiler (with the `patchFlags` option) in the
+// data of native elements. Each flag marks a part of the data that may differ
+// between renders; the patcher skips the modules whose part is not flagged.
+export const PATCH_TEXT = 1 // the only child is a dynamic text node
+export const PATCH_CLASS = 1 << 1
+export const PATCH_STYLE = 1 << 2
+export const PATCH_ATTRS = 1 << 3
+export const PATCH_PROPS = 1 << 4 // DOM props
+export const PATCH_EVENTS = 1 << 5
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -18,5 +32,7 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
@@ -341,3 +341,15 @@ export function once (fn: Function): Function {
     }
   }
 }
+
+/**
+ * Check if a value has changed, treating NaN as equal to itself.
+ */
+export function hasChanged (x: mixed, y: mixed): boolean {
+  if (x === y) {
+    return false
+  }
+  /* eslint-disable no-self-compare */
+  return x === x || y === y
+  /* eslint-enable no-self-compare */
+}
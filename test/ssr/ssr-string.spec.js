@@ -1,6 +1,9 @@
 import Vue from '../../dist/vue.runtime.common.js'
 import VM from 'vm'
-import { createRenderer } from '../../packages/vue-server-renderer'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createRenderer, createDiskCompileCache } from '../../packages/vue-server-renderer'
 const { renderToString } = createRenderer()
 
 describe('SSR: renderToString', () => {
@@ -445,6 +448,29 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('fragment components', done => {
+    renderVmWithOptions({
+      template: '<div><child :msg="msg"></child><span>after</span></div>',
+      data: {
+        msg: 'hello'
+      },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p><p v-for="i in 2">{{ i }}</p>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><p>hello</p><p>1</p><p>2</p><!--]-->' +
+          '<span>after</span>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
   it('has correct lifecycle during render', done => {
     let lifecycleCount = 1
     renderVmWithOptions({
@@ -1155,6 +1181,50 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should cache computed properties within a render', done => {
+    const spy = jasmine.createSpy('foo')
+    renderVmWithOptions({
+      template: `<div>{{ foo }} {{ foo }} <child></child></div>`,
+      data: () => ({ bar: 1 }),
+      computed: {
+        foo () {
+          spy()
+          return this.bar + 1
+        }
+      },
+      components: {
+        child: {
+          template: `<span>{{ $parent.foo }}</span>`
+        }
+      }
+    }, res => {
+      expect(res).toBe(`<div data-server-rendered="true">2 2 <span>2</span></div>`)
+      // once for the parent render, once for the child render
+      expect(spy.calls.count()).toBe(2)
+      done()
+    })
+  })
+
+  it('should not cache computed properties with cache: false', done => {
+    const spy = jasmine.createSpy('foo')
+    renderVmWithOptions({
+      template: `<div>{{ foo }} {{ foo }}</div>`,
+      computed: {
+        foo: {
+          get () {
+            spy()
+            return 1
+          },
+          cache: false
+        }
+      }
+    }, res => {
+      expect(res).toBe(`<div data-server-rendered="true">1 1</div>`)
+      expect(spy.calls.count()).toBe(2)
+      done()
+    })
+  })
+
   // #8977
   it('should call computed properties with vm as first argument', done => {
     renderToString(new Vue({
@@ -1198,9 +1268,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div :title="a b"></div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
@@ -1397,6 +1467,31 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should resolve asyncComputed before rendering', done => {
+    renderVmWithOptions({
+      template: `
+        <div>{{ user }} {{ $asyncComputed.user.pending }} {{ $asyncComputed.failed.error.message }}</div>
+      `,
+      data: {
+        id: 1
+      },
+      asyncComputed: {
+        user () {
+          return new Promise(resolve => {
+            setTimeout(() => resolve(`user ${this.id}`), 1)
+          })
+        },
+        failed () {
+          return Promise.reject(new Error('oops'))
+        }
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">user 1 false oops</div>')
+      expect('Error in asyncComputed "failed": "Error: oops"').toHaveBeenWarned()
+      done()
+    })
+  })
+
   it('should support serverPrefetch option (nested)', done => {
     renderVmWithOptions({
       template: `
@@ -1666,6 +1761,75 @@ describe('SSR: renderToString', () => {
       done()
     })
   })
+
+  it('should cache standalone computed within a single render', done => {
+    const state = { count: 1 }
+    const spy = jasmine.createSpy('double')
+    const double = Vue.computed(() => {
+      spy()
+      return state.count * 2
+    })
+    const options = {
+      render: h => h('div', `${double.value} ${double.value}`)
+    }
+    renderVmWithOptions(options, result => {
+      expect(result).toContain('<div data-server-rendered="true">2 2</div>')
+      expect(spy.calls.count()).toBe(1)
+      state.count++
+      renderVmWithOptions(options, result => {
+        expect(result).toContain('<div data-server-rendered="true">4 4</div>')
+        expect(spy.calls.count()).toBe(2)
+        done()
+      })
+    })
+  })
+
+  it('standalone reactivity API', done => {
+    const state = Vue.reactive({ count: 1 })
+    const double = Vue.computed(() => state.count * 2)
+    const effect = jasmine.createSpy('effect')
+    Vue.watchEffect(effect)
+    expect(effect).toHaveBeenCalled()
+    renderVmWithOptions({
+      render: h => h('div', `${state.count} ${double.value}`)
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">1 2</div>')
+      done()
+    })
+  })
+})
+
+describe('SSR: compile cache', () => {
+  it('compiles templates through the compile cache', done => {
+    const entries = {}
+    const compileCache = {
+      get: key => entries[key],
+      set: (key, code) => { entries[key] = code }
+    }
+    const template = '<div class="cached">{{ msg }}</div>'
+    createRenderer({ compileCache }).renderToString(new Vue({
+      template,
+      data: { msg: 'foo' }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true" class="cached">foo</div>')
+      const keys = Object.keys(entries)
+      expect(keys.length).toBe(1)
+      expect(entries[keys[0]].render).toContain('_ssrNode')
+      done()
+    })
+  })
+
+  it('stores compiled templates on disk', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vue-compile-cache-'))
+    const cache = createDiskCompileCache(path.join(dir, 'templates'))
+    const code = { render: 'with(this){return _c("div")}', staticRenderFns: [] }
+    expect(cache.get('foo')).toBeUndefined()
+    cache.set('foo', code)
+    expect(createDiskCompileCache(path.join(dir, 'templates')).get('foo')).toEqual(code)
+    expect(cache.get('bar')).toBeUndefined()
+    expect(fs.readdirSync(path.join(dir, 'templates')).length).toBe(1)
+  })
 })
 
 function renderVmWithOptions (options, cb) {
@@ -0,0 +1,174 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  it('should render multiple root nodes', () => {
+    const vm = new Vue({
+      template: '<div><test></test><span>after</span></div>',
+      components: {
+        test: {
+          template: '<p>a</p><p>b</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p><span>after</span>')
+    // $el is the empty text node in front of the fragment
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.data).toBe('')
+    expect(child.$el.nextSibling.outerHTML).toBe('<p>a</p>')
+    expect(child._vnode.anchor.previousSibling.outerHTML).toBe('<p>b</p>')
+  })
+
+  it('should render arrays returned from render functions', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          render (h) {
+            return [h('b', 'a'), 'text', [h('i', 'c')]]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>a</b>text<i>c</i>')
+  })
+
+  it('should insert new children before the end of the fragment', done => {
+    const vm = new Vue({
+      template: '<div><test :list="list"></test><span>after</span></div>',
+      data: { list: [1, 2] },
+      components: {
+        test: {
+          props: ['list'],
+          template: '<p v-for="i in list" :key="i">{{ i }}</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p><span>after</span>')
+    vm.list.push(3)
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p><p>3</p><span>after</span>')
+      vm.list.reverse()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>3</p><p>2</p><p>1</p><span>after</span>')
+      vm.list = []
+    }).then(() => {
+      // an empty list renders an empty comment like any other root
+      expect(vm.$el.innerHTML).toBe('<!----><span>after</span>')
+    }).then(done)
+  })
+
+  it('should move and remove fragment components as a whole', done => {
+    const vm = new Vue({
+      template: '<div><test v-for="n in list" :key="n" :n="n"></test><span v-if="ok">after</span></div>',
+      data: { list: ['a', 'b', 'c'], ok: true },
+      components: {
+        test: {
+          props: ['n'],
+          template: '<b>{{ n }}</b><i>{{ n }}</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>a</b><i>a</i><b>b</b><i>b</i><b>c</b><i>c</i><span>after</span>')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>c</b><i>c</i><b>a</b><i>a</i><b>b</b><i>b</i><span>after</span>')
+      vm.list = ['b', 'c']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>b</b><i>b</i><b>c</b><i>c</i><span>after</span>')
+      vm.list = ['c', 'b']
+      vm.ok = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>c</b><i>c</i><b>b</b><i>b</i><!---->')
+      // the anchors are removed with the fragment
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.childNodes.length).toBe(1)
+    }).then(done)
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      template: '<div><test :one="one"></test><span>after</span></div>',
+      data: { one: true },
+      components: {
+        test: {
+          props: ['one'],
+          template: '<div v-if="one">a</div><template v-else><p>b</p><p>c</p></template>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<div>a</div><span>after</span>')
+    expect(child.$el.tagName).toBe('DIV')
+    vm.one = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>b</p><p>c</p><span>after</span>')
+      expect(child.$el.nodeType).toBe(3)
+      expect(child.$vnode.elm).toBe(child.$el)
+      vm.one = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div>a</div><span>after</span>')
+      expect(child.$el.tagName).toBe('DIV')
+    }).then(done)
+  })
+
+  it('should mount a root instance with a fragment', () => {
+    const el = document.createElement('div')
+    const container = document.createElement('section')
+    container.appendChild(el)
+    const vm = new Vue({
+      el,
+      render: h => [h('p', 'a'), h('p', 'b')]
+    })
+    expect(container.innerHTML).toBe('<p>a</p><p>b</p>')
+    expect(vm.$el.parentNode).toBe(container)
+  })
+
+  it('should reactivate kept-alive fragment components', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive><test v-if="ok"></test></keep-alive>
+          <span>after</span>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<p>a</p><p>b</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p> <span>after</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----> <span>after</span>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p> <span>after</span>')
+    }).then(done)
+  })
+
+  it('should warn about placeholder attributes it cannot inherit', () => {
+    const vm = new Vue({
+      template: '<div><test class="x" style="color: red" id="a" msg="hi"></test><quiet id="b"></quiet></div>',
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p><p>b</p>'
+        },
+        quiet: {
+          inheritAttrs: false,
+          template: '<p>a</p><p>b</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>hi</p><p>b</p><p>a</p><p>b</p>')
+    expect(
+      'Extraneous attributes (class, style, id) were passed to a component ' +
+      'that renders several root nodes.'
+    ).toHaveBeenWarned()
+    expect('Extraneous attributes (id)').not.toHaveBeenWarned()
+  })
+})
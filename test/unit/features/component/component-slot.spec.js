@@ -366,9 +366,9 @@ describe('Component slot', () => {
     expect(vm.$el.textContent).toBe('C')
   })
 
-  it('warn if user directly returns array', () => {
-    new Vue({
-      template: '<test><div slot="foo"></div><div slot="foo"></div></test>',
+  it('render a fragment if user directly returns array', () => {
+    const vm = new Vue({
+      template: '<div><test><div slot="foo">1</div><div slot="foo">2</div></test></div>',
       components: {
         test: {
           render () {
@@ -377,7 +377,7 @@ describe('Component slot', () => {
         }
       }
     }).$mount()
-    expect('Render function should return a single root node').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<div>1</div><div>2</div>')
   })
 
   // #3254
@@ -12,4 +12,47 @@ describe('Global API: compile', () => {
     }).$mount()
     expect(vm.$el.innerHTML).toContain('<span>hello</span>')
   })
+  it('should attach source maps to render functions', () => {
+    const res = Vue.compile('<div><p>{{ msg }}</p><b><i>static</i></b></div>', {
+      sourceMap: true,
+      filename: 'foo.html'
+    })
+    const render = res.render.toString()
+    expect(render).toContain('//# sourceURL=foo.html.render.js')
+    const data = render.match(/sourceMappingURL=data:application\/json;charset=utf-8;base64,(\S+)/)[1]
+    const map = JSON.parse(atob(data))
+    expect(map.sources).toEqual(['foo.html'])
+    // offset by the new Function() header
+    expect(map.mappings.slice(0, 2)).toBe(';;')
+    expect(res.staticRenderFns[0].toString()).toContain('//# sourceURL=foo.html.static-0.js')
+
+    const vm = new Vue({
+      data: { msg: 'hello' },
+      render: res.render,
+      staticRenderFns: res.staticRenderFns
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>hello</p><b><i>static</i></b>')
+  })
+
+  it('should share hoisted constants between instances', done => {
+    const res = Vue.compile('<div id="app" :class="[\'a\']">{{ msg }}</div>', {
+      hoistStatic: true
+    })
+    const Comp = Vue.extend({
+      data: () => ({ msg: 'foo' }),
+      render: res.render,
+      staticRenderFns: res.staticRenderFns
+    })
+    const vm1 = new Comp().$mount()
+    const vm2 = new Comp().$mount()
+    expect(vm1.$el.outerHTML).toBe('<div id="app" class="a">foo</div>')
+    expect(vm2._vnode.data.attrs).toBe(vm1._vnode.data.attrs)
+    expect(vm2._vnode.data.class).toBe(vm1._vnode.data.class)
+    const attrs = vm1._vnode.data.attrs
+    vm1.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm1.$el.outerHTML).toBe('<div id="app" class="a">bar</div>')
+      expect(vm1._vnode.data.attrs).toBe(attrs)
+    }).then(done)
+  })
 })
@@ -56,6 +56,21 @@ describe('Global config', () => {
     })
   })
 
+  describe('sourceMaps', () => {
+    it('should not attach source maps to compiled templates by default', () => {
+      const vm = new Vue({ template: '<div>{{ a }}</div>', data: { a: 1 }}).$mount()
+      expect(vm.$options.render.toString()).not.toContain('sourceMappingURL')
+    })
+
+    it('should attach source maps to compiled templates when true', () => {
+      Vue.config.sourceMaps = true
+      const vm = new Vue({ template: '<div>{{ b }}</div>', data: { b: 1 }}).$mount()
+      Vue.config.sourceMaps = false
+      expect(vm.$options.render.toString()).toContain('sourceMappingURL')
+      expect(vm.$el.textContent).toBe('1')
+    })
+  })
+
   describe('async', () => {
     it('does not update synchronously when true', () => {
       const spy = jasmine.createSpy()
@@ -122,4 +137,36 @@ describe('Global config', () => {
       Vue.config.async = true
     })
   })
+
+  if (typeof Proxy !== 'undefined') {
+    describe('proxyArrays', () => {
+      it('should detect index assignment and length changes', done => {
+        Vue.config.proxyArrays = true
+        const vm = new Vue({
+          data: {
+            list: [1, 2, 3]
+          },
+          template: '<div>{{ list.join(",") }}</div>'
+        }).$mount()
+        Vue.config.proxyArrays = false
+        vm.list[0] = 0
+        waitForUpdate(() => {
+          expect(vm.$el.textContent).toBe('0,2,3')
+          vm.list.length = 1
+        }).then(() => {
+          expect(vm.$el.textContent).toBe('0')
+        }).then(done)
+      })
+
+      it('should apply to Vue.observable', () => {
+        Vue.config.proxyArrays = true
+        const list = Vue.observable([1])
+        Vue.config.proxyArrays = false
+        const spy = jasmine.createSpy()
+        list.__ob__.dep.addSub({ update: spy })
+        list[0] = 2
+        expect(spy).toHaveBeenCalled()
+      })
+    })
+  }
 })
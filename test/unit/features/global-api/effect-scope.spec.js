@@ -0,0 +1,146 @@
+import Vue from 'vue'
+
+describe('Global API: effectScope', () => {
+  it('should collect watchers and computed created while running', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('watcher')
+    const scope = Vue.effectScope()
+    let double
+    scope.run(() => {
+      double = Vue.computed(() => count.value * 2)
+      Vue.watch(count, spy)
+    })
+    expect(scope.effects.length).toBe(2)
+    expect(double.value).toBe(0)
+    scope.stop()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(scope.active).toBe(false)
+    }).then(done)
+  })
+
+  it('should return the value of run()', () => {
+    const scope = Vue.effectScope()
+    expect(scope.run(() => 1)).toBe(1)
+  })
+
+  it('should warn when running an inactive scope', () => {
+    const scope = Vue.effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('Cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('should stop nested scopes along with the parent', () => {
+    const parent = Vue.effectScope()
+    let child, detached
+    parent.run(() => {
+      child = Vue.effectScope()
+      detached = Vue.effectScope(true)
+    })
+    expect(parent.scopes.length).toBe(1)
+    parent.stop()
+    expect(child.active).toBe(false)
+    expect(detached.active).toBe(true)
+  })
+
+  it('should remove a stopped child scope from its parent', () => {
+    const parent = Vue.effectScope()
+    let a, b
+    parent.run(() => {
+      a = Vue.effectScope()
+      b = Vue.effectScope()
+    })
+    a.stop()
+    expect(parent.scopes).toEqual([b])
+    parent.stop()
+    expect(b.active).toBe(false)
+  })
+
+  it('should expose the running scope', () => {
+    const scope = Vue.effectScope()
+    expect(Vue.getCurrentScope()).toBeNull()
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+    })
+  })
+
+  it('should call onScopeDispose callbacks when stopped', () => {
+    const spy = jasmine.createSpy('dispose')
+    const scope = Vue.effectScope()
+    scope.run(() => {
+      Vue.onScopeDispose(spy)
+    })
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy.calls.count()).toBe(1)
+    scope.stop()
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should warn when onScopeDispose is called outside a scope', () => {
+    Vue.onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+
+  it('should give components a root scope stopped on destroy', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('watcher')
+    const dispose = jasmine.createSpy('dispose')
+    let nested
+    const vm = new Vue({
+      data () {
+        Vue.watch(count, spy)
+        return {}
+      },
+      created () {
+        Vue.onScopeDispose(dispose)
+        nested = Vue.effectScope()
+      },
+      render: h => h('div', count.value)
+    }).$mount()
+    expect(vm._scope.effects.length).toBe(2)
+    expect(vm._watchers).toEqual([vm._watcher])
+    expect(vm._scope.scopes).toEqual([nested])
+    vm.$destroy()
+    expect(dispose).toHaveBeenCalled()
+    expect(nested.active).toBe(false)
+    expect(vm._scope.effects.every(w => !w.active)).toBe(true)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should keep watchers of a user scope out of the component scope', () => {
+    const vm = new Vue({ data: { a: 1 }})
+    const scope = Vue.effectScope()
+    scope.run(() => {
+      vm.$watch('a', () => {})
+    })
+    expect(vm._scope.effects.length).toBe(0)
+    expect(scope.effects.length).toBe(1)
+    expect(vm._watchers).toEqual(scope.effects)
+    scope.stop()
+    expect(scope.effects[0].active).toBe(false)
+    expect(vm._watchers.length).toBe(0)
+  })
+
+  it('should stop the render watcher of a component created inside a user scope', done => {
+    const count = Vue.ref(0)
+    const render = jasmine.createSpy('render').and.callFake(h => h('div', count.value))
+    const scope = Vue.effectScope()
+    const vm = scope.run(() => new Vue({ render }).$mount())
+    expect(vm._scope.effects).toEqual([vm._watcher])
+    expect(scope.effects.length).toBe(0)
+    expect(render.calls.count()).toBe(1)
+    vm.$destroy()
+    expect(vm._watcher.active).toBe(false)
+    count.value++
+    waitForUpdate(() => {
+      expect(render.calls.count()).toBe(1)
+      expect(scope.active).toBe(true)
+    }).then(done)
+  })
+})
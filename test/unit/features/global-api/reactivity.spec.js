@@ -0,0 +1,179 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  describe('reactive', () => {
+    it('should make an object reactive in place', done => {
+      const state = Vue.reactive({ count: 0, nested: { msg: 'foo' } })
+      expect(Vue.isReactive(state)).toBe(true)
+      expect(Vue.isReactive(state.nested)).toBe(true)
+      const vm = new Vue({
+        render: h => h('div', `${state.count} ${state.nested.msg}`)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('0 foo')
+      state.count++
+      state.nested.msg = 'bar'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1 bar')
+      }).then(done)
+    })
+
+    it('should warn on primitive values', () => {
+      expect(Vue.reactive(1)).toBe(1)
+      expect('reactive() cannot be called on a primitive value: 1').toHaveBeenWarned()
+    })
+  })
+
+  describe('shallowReactive', () => {
+    it('should only track own keys', done => {
+      const state = Vue.shallowReactive({ nested: { count: 0 }, list: [{ a: 1 }] })
+      const spy = jasmine.createSpy('watcher')
+      Vue.watchEffect(() => {
+        spy(state.nested.count, state.list.length)
+      })
+      expect(Vue.isShallow(state)).toBe(true)
+      expect(Vue.isReactive(state.nested)).toBe(false)
+      expect(Vue.isReactive(state.list[0])).toBe(false)
+      state.nested.count++
+      state.list.push({ a: 2 })
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(Vue.isReactive(state.list)).toBe(false)
+        state.nested = { count: 2 }
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith(2, 2)
+        expect(Vue.isReactive(state.nested)).toBe(false)
+        Vue.set(state, 'added', { b: 1 })
+        expect(Vue.isReactive(state.added)).toBe(false)
+      }).then(done)
+    })
+
+    it('should warn when converting a reactive object', () => {
+      const state = Vue.reactive({ a: 1 })
+      Vue.shallowReactive(state)
+      expect('Target is already a reactive object, and cannot be converted to shallow reactive.').toHaveBeenWarned()
+    })
+  })
+
+  describe('readonly', () => {
+    it('should refuse and warn on mutations', () => {
+      const state = Vue.readonly({ a: 1, nested: { b: 1 }, list: [1], map: new Map([['k', 1]]) })
+      expect(Vue.isReadonly(state)).toBe(true)
+      expect(Vue.isReadonly(state.nested)).toBe(true)
+      expect(Vue.isReactive(state)).toBe(false)
+
+      state.a = 2
+      expect(state.a).toBe(1)
+      expect('Set operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+
+      state.nested.b = 2
+      expect(state.nested.b).toBe(1)
+      expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+
+      Vue.set(state, 'c', 1)
+      expect(state.c).toBeUndefined()
+      expect('Set operation on key "c" failed: target is readonly.').toHaveBeenWarned()
+      Vue.delete(state, 'a')
+      expect(state.a).toBe(1)
+      expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+
+      expect(state.list.push(2)).toBe(1)
+      expect(state.list).toEqual([1])
+      expect('Array mutation operation on key "push" failed: target is readonly.').toHaveBeenWarned()
+      expect(state.list.splice(0, 1)).toEqual([])
+      expect(state.list.reverse()).toBe(state.list)
+      expect(state.list.pop()).toBeUndefined()
+      expect(state.list).toEqual([1])
+      ;['splice', 'reverse', 'pop'].forEach(method => {
+        expect(`Array mutation operation on key "${method}" failed: target is readonly.`).toHaveBeenWarned()
+      })
+
+      state.map.set('k', 2)
+      expect(state.map.get('k')).toBe(1)
+      expect('Set operation on key "k" failed: target is readonly.').toHaveBeenWarned()
+    })
+  })
+
+  describe('markRaw', () => {
+    it('should never be made reactive', () => {
+      const raw = Vue.markRaw({ a: { b: 1 }})
+      const state = Vue.reactive({ raw })
+      expect(Vue.isReactive(state)).toBe(true)
+      expect(Vue.isReactive(state.raw)).toBe(false)
+      expect(Vue.isReactive(Vue.reactive(raw))).toBe(false)
+      expect(Vue.isReactive(raw.a)).toBe(false)
+    })
+  })
+
+  describe('ref', () => {
+    it('should hold a reactive value', done => {
+      const count = Vue.ref(0)
+      expect(Vue.isRef(count)).toBe(true)
+      expect(Vue.isRef({ value: 0 })).toBe(false)
+      expect(Vue.unref(count)).toBe(0)
+      expect(Vue.unref(1)).toBe(1)
+      const vm = new Vue({
+        render: h => h('div', count.value)
+      }).$mount()
+      count.value++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1')
+      }).then(done)
+    })
+
+    it('should make nested objects reactive', () => {
+      const r = Vue.ref({ a: 1 })
+      expect(Vue.isReactive(r.value)).toBe(true)
+      // ref() of a ref returns the same ref
+      expect(Vue.ref(r)).toBe(r)
+    })
+  })
+
+  describe('computed', () => {
+    it('should be lazy and cached', () => {
+      const count = Vue.ref(1)
+      const getter = jasmine.createSpy('getter').and.callFake(() => count.value * 2)
+      const double = Vue.computed(getter)
+      expect(Vue.isRef(double)).toBe(true)
+      expect(getter).not.toHaveBeenCalled()
+      expect(double.value).toBe(2)
+      expect(double.value).toBe(2)
+      expect(getter.calls.count()).toBe(1)
+      count.value++
+      expect(getter.calls.count()).toBe(1)
+      expect(double.value).toBe(4)
+      expect(getter.calls.count()).toBe(2)
+    })
+
+    it('should be tracked by components', done => {
+      const state = Vue.reactive({ first: 'a', last: 'b' })
+      const full = Vue.computed(() => state.first + state.last)
+      const vm = new Vue({
+        render: h => h('div', full.value)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('ab')
+      state.last = 'c'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('ac')
+      }).then(done)
+    })
+
+    it('should support setter', () => {
+      const count = Vue.ref(1)
+      const plusOne = Vue.computed({
+        get: () => count.value + 1,
+        set: val => { count.value = val - 1 }
+      })
+      plusOne.value = 10
+      expect(count.value).toBe(9)
+      expect(plusOne.value).toBe(10)
+    })
+
+    it('should warn when writing to a readonly computed', () => {
+      const c = Vue.computed(() => 1)
+      c.value = 2
+      expect('Write operation failed: computed value is readonly').toHaveBeenWarned()
+      expect(c.value).toBe(1)
+    })
+  })
+})
@@ -0,0 +1,217 @@
+import Vue from 'vue'
+
+describe('Global API: watch', () => {
+  it('should watch a ref', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('watcher')
+    Vue.watch(count, spy)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([1, 0])
+    }).then(done)
+  })
+
+  it('should watch a getter', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('watcher')
+    Vue.watch(() => state.count, spy)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([1, 0])
+    }).then(done)
+  })
+
+  it('should watch a reactive object deeply', done => {
+    const state = Vue.reactive({ nested: { count: 0 } })
+    const spy = jasmine.createSpy('watcher')
+    Vue.watch(state, spy)
+    state.nested.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+      expect(spy.calls.argsFor(0)[0]).toBe(state)
+    }).then(done)
+  })
+
+  it('should watch multiple sources', done => {
+    const a = Vue.ref(1)
+    const state = Vue.reactive({ b: 2 })
+    const spy = jasmine.createSpy('watcher')
+    Vue.watch([a, () => state.b], spy)
+    a.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([[2, 2], [1, 2]])
+      // no change in any source
+      a.value = 2
+      state.b = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('immediate', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('watcher')
+    Vue.watch(count, spy, { immediate: true })
+    expect(spy.calls.count()).toBe(1)
+    expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([0, undefined])
+  })
+
+  it('should stop watching', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('watcher')
+    const stop = Vue.watch(count, spy)
+    stop()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should call cleanup before re-running and on stop', done => {
+    const count = Vue.ref(0)
+    const cleanup = jasmine.createSpy('cleanup')
+    const stop = Vue.watch(count, (val, oldVal, onCleanup) => {
+      onCleanup(cleanup)
+    })
+    count.value++
+    waitForUpdate(() => {
+      expect(cleanup).not.toHaveBeenCalled()
+      count.value++
+    }).then(() => {
+      expect(cleanup.calls.count()).toBe(1)
+      stop()
+      expect(cleanup.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('should warn invalid sources', () => {
+    Vue.watch(1, () => {})
+    expect('Invalid watch source: 1').toHaveBeenWarned()
+  })
+
+  it('should handle errors in callbacks', done => {
+    const count = Vue.ref(0)
+    const err = new Error('watch')
+    Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    Vue.watch(count, () => { throw err })
+    count.value++
+    waitForUpdate(() => {
+      expect(Vue.config.errorHandler).toHaveBeenCalledWith(err, null, 'watcher callback')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  describe('watchEffect', () => {
+    it('should run immediately and on changes', done => {
+      const state = Vue.reactive({ count: 0 })
+      const values = []
+      Vue.watchEffect(() => {
+        values.push(state.count)
+      })
+      expect(values).toEqual([0])
+      state.count++
+      waitForUpdate(() => {
+        expect(values).toEqual([0, 1])
+      }).then(done)
+    })
+
+    it('should support flush: sync', () => {
+      const count = Vue.ref(0)
+      const values = []
+      Vue.watchEffect(() => {
+        values.push(count.value)
+      }, { flush: 'sync' })
+      count.value++
+      expect(values).toEqual([0, 1])
+    })
+
+    it('should call cleanup', done => {
+      const count = Vue.ref(0)
+      const cleanup = jasmine.createSpy('cleanup')
+      const stop = Vue.watchEffect(onCleanup => {
+        count.value
+        onCleanup(cleanup)
+      })
+      count.value++
+      waitForUpdate(() => {
+        expect(cleanup.calls.count()).toBe(1)
+        stop()
+        expect(cleanup.calls.count()).toBe(2)
+      }).then(done)
+    })
+  })
+
+  describe('debugger hooks', () => {
+    it('should call onTrack with the tracked reads', () => {
+      const state = Vue.reactive({ a: 1, map: new Map() })
+      const events = []
+      Vue.watchEffect(() => {
+        state.a
+        state.map.get('k')
+        state.map.size
+      }, {
+        onTrack: e => events.push(e)
+      })
+      expect(events.map(e => [e.target, e.type, e.key])).toEqual([
+        [state, 'get', 'a'],
+        [state, 'get', 'map'],
+        [state.map, 'get', 'k'],
+        [state, 'get', 'map'],
+        [state.map, 'iterate', undefined]
+      ])
+      expect(events.every(e => e.effect === events[0].effect)).toBe(true)
+    })
+
+    it('should call onTrigger with the mutation', done => {
+      const state = Vue.reactive({ a: 1, list: [1], map: new Map() })
+      const events = []
+      Vue.watch(state, () => {}, {
+        onTrigger: e => events.push(e)
+      })
+      state.a = 2
+      Vue.set(state, 'b', 1)
+      Vue.delete(state, 'b')
+      state.list.push(2)
+      state.map.set('k', 1)
+      state.map.set('k', 2)
+      state.map.clear()
+      expect(events.map(({ target, type, key, newValue, oldValue }) => {
+        return { target, type, key, newValue, oldValue }
+      })).toEqual([
+        { target: state, type: 'set', key: 'a', newValue: 2, oldValue: 1 },
+        { target: state, type: 'add', key: 'b', newValue: 1, oldValue: undefined },
+        { target: state, type: 'delete', key: 'b', newValue: undefined, oldValue: undefined },
+        { target: state.list, type: 'array mutation', key: 'push', newValue: undefined, oldValue: undefined },
+        { target: state.map, type: 'add', key: 'k', newValue: 1, oldValue: undefined },
+        { target: state.map, type: 'set', key: 'k', newValue: 2, oldValue: 1 },
+        { target: state.map, type: 'clear', key: undefined, newValue: undefined, oldValue: undefined }
+      ])
+      waitForUpdate().then(done)
+    })
+
+    it('should be supported by computed', () => {
+      const count = Vue.ref(0)
+      const onTrack = jasmine.createSpy('onTrack')
+      const onTrigger = jasmine.createSpy('onTrigger')
+      const double = Vue.computed(() => count.value * 2, { onTrack, onTrigger })
+      expect(double.value).toBe(0)
+      expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: double.effect,
+        target: count,
+        type: 'get',
+        key: 'value'
+      }))
+      count.value++
+      expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: double.effect,
+        target: count,
+        type: 'set',
+        key: 'value',
+        newValue: 1,
+        oldValue: 0
+      }))
+    })
+  })
+})
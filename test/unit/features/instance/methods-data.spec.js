@@ -56,6 +56,25 @@ describe('Instance methods data', () => {
       expect(spy).toHaveBeenCalledWith(1)
     })
 
+    it('flush: sync', () => {
+      vm.$watch('a.b', spy, { flush: 'sync' })
+      vm.a.b = 2
+      expect(spy).toHaveBeenCalledWith(2, 1)
+      vm.a.b = 3
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(3, 2)
+    })
+
+    it('flush: post', done => {
+      vm.$watch('a.b', spy, { flush: 'post' })
+      vm.a.b = 2
+      expect(spy).not.toHaveBeenCalled()
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith(2, 1)
+      }).then(done)
+    })
+
     it('unwatch', done => {
       const unwatch = vm.$watch('a.b', spy)
       unwatch()
@@ -0,0 +1,198 @@
+import Vue from 'vue'
+import testObjectOption from '../../../helpers/test-object-option'
+
+describe('Options asyncComputed', () => {
+  testObjectOption('asyncComputed')
+
+  function deferred () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  it('basic usage', done => {
+    const runs = []
+    const vm = new Vue({
+      template: '<div>{{ $asyncComputed.b.pending ? "loading" : b }}</div>',
+      data: { a: 1 },
+      asyncComputed: {
+        b () {
+          const run = deferred()
+          run.a = this.a
+          runs.push(run)
+          return run.promise
+        }
+      }
+    }).$mount()
+    expect(vm.b).toBeUndefined()
+    expect(vm.$asyncComputed.b.pending).toBe(true)
+    expect(vm.$el.textContent).toBe('loading')
+    runs[0].resolve(runs[0].a + 1)
+    // one tick for the promise to settle, one for the re-render
+    waitForUpdate(() => {}).then(() => {
+      expect(vm.b).toBe(2)
+      expect(vm.$asyncComputed.b.pending).toBe(false)
+      expect(vm.$el.textContent).toBe('2')
+      vm.a = 2
+    }).then(() => {
+      expect(vm.$asyncComputed.b.pending).toBe(true)
+      expect(vm.$el.textContent).toBe('loading')
+      runs[1].resolve(runs[1].a + 1)
+    }).then(() => {}).then(() => {
+      expect(vm.b).toBe(3)
+      expect(vm.$el.textContent).toBe('3')
+    }).then(done)
+  })
+
+  it('default value', () => {
+    const d = deferred()
+    const vm = new Vue({
+      asyncComputed: {
+        list: {
+          get: () => d.promise,
+          default: []
+        }
+      }
+    })
+    expect(vm.list).toEqual([])
+    expect(vm.$asyncComputed.list.pending).toBe(true)
+  })
+
+  it('synchronous values', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      asyncComputed: {
+        b () { return this.a * 2 }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(vm.$asyncComputed.b.pending).toBe(false)
+  })
+
+  it('error state', done => {
+    const err = new Error('failed')
+    const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { fail: true },
+      asyncComputed: {
+        b () {
+          return this.fail ? Promise.reject(err) : Promise.resolve('ok')
+        },
+        c () {
+          throw err
+        }
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$asyncComputed.b.error).toBe(err)
+      expect(vm.$asyncComputed.b.pending).toBe(false)
+      expect(vm.$asyncComputed.c.error).toBe(err)
+      // failures are reported like any other component error
+      expect(handler).toHaveBeenCalledWith(err, vm, 'asyncComputed "b"')
+      expect(handler).toHaveBeenCalledWith(err, vm, 'asyncComputed "c"')
+      vm.fail = false
+    }).then(() => {}).then(() => {
+      expect(vm.b).toBe('ok')
+      expect(vm.$asyncComputed.b.error).toBe(null)
+      expect(handler.calls.count()).toBe(2)
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  it('ignores stale results and cancels superseded runs', done => {
+    const runs = []
+    const cancelSpy = jasmine.createSpy('cancel')
+    const vm = new Vue({
+      data: { id: 1 },
+      asyncComputed: {
+        user (vm, onCancel) {
+          const run = deferred()
+          run.id = this.id
+          runs.push(run)
+          onCancel(() => cancelSpy(run.id))
+          return run.promise
+        }
+      }
+    })
+    vm.id = 2
+    waitForUpdate(() => {
+      expect(runs.length).toBe(2)
+      expect(cancelSpy).toHaveBeenCalledWith(1)
+      runs[1].resolve('second')
+      runs[0].resolve('first')
+    }).then(() => {}).then(() => {
+      expect(vm.user).toBe('second')
+      expect(vm.$asyncComputed.user.pending).toBe(false)
+      expect(cancelSpy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('cancels pending runs on destroy', done => {
+    const cancelSpy = jasmine.createSpy('cancel')
+    const d = deferred()
+    const vm = new Vue({
+      asyncComputed: {
+        b (vm, onCancel) {
+          onCancel(cancelSpy)
+          return d.promise
+        }
+      }
+    })
+    vm.$destroy()
+    expect(cancelSpy).toHaveBeenCalled()
+    d.resolve(1)
+    waitForUpdate(() => {
+      expect(vm.b).toBeUndefined()
+    }).then(done)
+  })
+
+  it('warn missing getter', () => {
+    new Vue({
+      asyncComputed: {
+        b: {}
+      }
+    })
+    expect('Getter is missing for async computed property "b".').toHaveBeenWarned()
+  })
+
+  it('warn conflicts with data', () => {
+    new Vue({
+      data: { a: 1 },
+      asyncComputed: {
+        a: () => Promise.resolve(2)
+      }
+    })
+    expect('The async computed property "a" is already defined on the instance.').toHaveBeenWarned()
+  })
+
+  it('warn assigning to async computed property', () => {
+    const vm = new Vue({
+      asyncComputed: {
+        b: () => 1
+      }
+    })
+    vm.b = 2
+    expect('Async computed property "b" is readonly.').toHaveBeenWarned()
+    expect(vm.b).toBe(1)
+    vm.$asyncComputed = {}
+    expect('$asyncComputed is readonly.').toHaveBeenWarned()
+  })
+
+  it('merges with mixins', () => {
+    const vm = new Vue({
+      mixins: [{
+        asyncComputed: {
+          a: () => 1
+        }
+      }],
+      asyncComputed: {
+        b: () => 2
+      }
+    })
+    expect(vm.a).toBe(1)
+    expect(vm.b).toBe(2)
+  })
+})
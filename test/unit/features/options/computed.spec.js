@@ -51,6 +51,41 @@ describe('Options computed', () => {
     }).then(done)
   })
 
+  it('with debugger hooks', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        a: 1
+      },
+      computed: {
+        b: {
+          get () {
+            return this.a + 1
+          },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      effect: vm._computedWatchers.b,
+      target: vm.$data,
+      type: 'get',
+      key: 'a'
+    }))
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      effect: vm._computedWatchers.b,
+      target: vm.$data,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+  })
+
   it('warn with setter and no getter', () => {
     const vm = new Vue({
       template: `
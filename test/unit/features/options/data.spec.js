@@ -183,4 +183,52 @@ describe('Options data', () => {
     }).$mount()
     expect(vm.$el.innerHTML).toBe('<span>foo:1-ext:1-m1:1-m2:1</span>')
   })
+
+  it('should make Map and Set reactive', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', 1]]),
+        set: new Set()
+      },
+      computed: {
+        total () {
+          let total = 0
+          this.map.forEach(value => { total += value })
+          return total
+        }
+      },
+      template: '<div>{{ map.get("a") }}-{{ total }}-{{ set.size }}</div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1-1-0')
+    vm.map.set('a', 2)
+    vm.map.set('b', 3)
+    vm.set.add('x')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2-5-1')
+      vm.map.clear()
+      vm.set.delete('x')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('-0-0')
+    }).then(done)
+  })
+
+  it('should not observe raw, shallow or readonly nested values as deep reactive', () => {
+    const payload = Vue.markRaw({ items: [{ id: 1 }] })
+    const vm = new Vue({
+      data: () => ({
+        payload,
+        shallow: Vue.shallowReactive({ nested: { a: 1 }}),
+        locked: Vue.readonly({ nested: { a: 1 }})
+      })
+    })
+    expect(vm.payload.__ob__).toBeUndefined()
+    expect(vm.payload.items[0].__ob__).toBeUndefined()
+    expect(vm.shallow.nested.__ob__).toBeUndefined()
+    expect(Vue.isReadonly(vm.locked.nested)).toBe(true)
+    vm.locked.nested.a = 2
+    expect('Set operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+    // the property holding the value itself stays reactive
+    vm.locked = { nested: { a: 3 }}
+    expect(Vue.isReactive(vm.locked)).toBe(true)
+  })
 })
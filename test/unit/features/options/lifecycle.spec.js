@@ -311,6 +311,68 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked / renderTriggered', () => {
+    it('should be called with debugger events of the render watcher', done => {
+      const tracked = []
+      const triggered = []
+      const vm = new Vue({
+        data: { a: 1 },
+        render (h) {
+          return h('div', this.a)
+        },
+        renderTracked (e) {
+          tracked.push(e)
+        },
+        renderTriggered (e) {
+          triggered.push(e)
+        }
+      }).$mount()
+      expect(tracked.length).toBe(1)
+      expect(tracked[0].effect).toBe(vm._watcher)
+      expect(tracked[0].target).toBe(vm.$data)
+      expect(tracked[0].type).toBe('get')
+      expect(tracked[0].key).toBe('a')
+      vm.a = 2
+      expect(triggered.length).toBe(1)
+      expect(triggered[0].effect).toBe(vm._watcher)
+      expect(triggered[0].target).toBe(vm.$data)
+      expect(triggered[0].type).toBe('set')
+      expect(triggered[0].key).toBe('a')
+      expect(triggered[0].newValue).toBe(2)
+      expect(triggered[0].oldValue).toBe(1)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+
+    it('should only be installed on instances that listen to them', () => {
+      const vm = new Vue({
+        data: { a: 1 },
+        render (h) {
+          return h('div', this.a)
+        }
+      }).$mount()
+      expect(vm._watcher.onTrack).toBeUndefined()
+      expect(vm._watcher.onTrigger).toBeUndefined()
+    })
+
+    it('should emit hook events with the debugger events', () => {
+      const tracked = jasmine.createSpy('tracked')
+      const vm = new Vue({
+        data: { a: 1 },
+        render (h) {
+          return h('div', this.a)
+        },
+        beforeCreate () {
+          this.$on('hook:renderTracked', tracked)
+        }
+      }).$mount()
+      expect(tracked).toHaveBeenCalledTimes(1)
+      expect(tracked.calls.argsFor(0)[0].effect).toBe(vm._watcher)
+      expect(tracked.calls.argsFor(0)[0].key).toBe('a')
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
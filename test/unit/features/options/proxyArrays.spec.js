@@ -0,0 +1,101 @@
+import Vue from 'vue'
+
+if (typeof Proxy !== 'undefined') {
+  describe('Options proxyArrays', () => {
+    it('should detect index assignment', done => {
+      const vm = new Vue({
+        proxyArrays: true,
+        data: {
+          list: ['a', 'b', { msg: 'c' }]
+        },
+        template: '<div>{{ list.join(",") }}-{{ list[2].msg }}</div>'
+      }).$mount()
+      expect(vm.$el.textContent).toBe('a,b,[object Object]-c')
+      vm.list[0] = 'x'
+      vm.list[2] = { msg: 'y' }
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('x,b,[object Object]-y')
+        // newly assigned items should be reactive
+        vm.list[2].msg = 'z'
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('x,b,[object Object]-z')
+      }).then(done)
+    })
+
+    it('should detect length changes', done => {
+      const vm = new Vue({
+        proxyArrays: true,
+        data: {
+          list: [1, 2, 3]
+        },
+        template: '<div>{{ list.length }}</div>'
+      }).$mount()
+      vm.list.length = 1
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1')
+        vm.list[3] = 4
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('4')
+        vm.list.length = 0
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('0')
+      }).then(done)
+    })
+
+    it('should keep mutation methods working', done => {
+      const spy = jasmine.createSpy('watcher')
+      const vm = new Vue({
+        proxyArrays: true,
+        data: {
+          list: [3, 1, 2]
+        },
+        watch: {
+          list: {
+            handler: spy,
+            sync: true
+          }
+        }
+      })
+      vm.list.push(4)
+      expect(spy.calls.count()).toBe(1)
+      expect(vm.list.sort()).toBe(vm.list)
+      expect(vm.list.join()).toBe('1,2,3,4')
+      expect(spy.calls.count()).toBe(2)
+      done()
+    })
+
+    it('should wrap nested and newly assigned arrays', done => {
+      const vm = new Vue({
+        proxyArrays: true,
+        data: {
+          matrix: [[1]],
+          list: null
+        },
+        template: '<div>{{ matrix[0][0] }}-{{ list && list[0] }}</div>'
+      }).$mount()
+      vm.matrix[0][0] = 2
+      vm.list = ['a']
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('2-a')
+        vm.list[0] = 'b'
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('2-b')
+        // assigning the proxy back should store the raw array
+        const list = vm.list
+        vm.list = list
+        expect(vm.list).toBe(list)
+        expect(vm._data.list.__ob__.value).not.toBe(list)
+      }).then(done)
+    })
+
+    it('should not affect components that do not opt in', () => {
+      const vm = new Vue({
+        data: {
+          list: [1]
+        }
+      })
+      expect(vm.list.__ob__.proxy).toBe(null)
+      expect(vm.list.__ob__.value).toBe(vm.list)
+    })
+  })
+}
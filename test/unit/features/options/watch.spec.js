@@ -84,6 +84,31 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with debugger hooks', done => {
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: { b: 1 }},
+      watch: {
+        a: {
+          handler: spy,
+          deep: true,
+          onTrigger
+        }
+      }
+    })
+    vm.a.b = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.a,
+      type: 'set',
+      key: 'b',
+      newValue: 2,
+      oldValue: 1
+    }))
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+    }).then(done)
+  })
+
   it('with option: deep', done => {
     const vm = new Vue({
       data: { a: { b: 1 }},
@@ -175,4 +200,126 @@ describe('Options watch', () => {
     })
     expect(`Failed watching path`).not.toHaveBeenWarned()
   })
+
+  describe('with option: flush', () => {
+    function mountWithFlush (flush, calls) {
+      return new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              calls.push(`watcher: ${this.$el.textContent}`)
+            },
+            flush
+          }
+        },
+        beforeUpdate () {
+          calls.push('beforeUpdate')
+        },
+        updated () {
+          calls.push('updated')
+        }
+      }).$mount()
+    }
+
+    it('pre (default) runs before the component re-renders', done => {
+      const calls = []
+      const vm = mountWithFlush(undefined, calls)
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['watcher: 1', 'beforeUpdate', 'updated'])
+      }).then(done)
+    })
+
+    it('post runs after the DOM is patched and updated hooks', done => {
+      const calls = []
+      const vm = mountWithFlush('post', calls)
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['beforeUpdate', 'updated', 'watcher: 2'])
+      }).then(done)
+    })
+
+    it('post runs after child components are patched', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div><child :a="a" ref="child"></child></div>',
+        components: {
+          child: {
+            props: ['a'],
+            template: '<span>{{ a }}</span>'
+          }
+        },
+        watch: {
+          a: {
+            handler () {
+              calls.push(this.$refs.child.$el.textContent)
+            },
+            flush: 'post'
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['2'])
+      }).then(done)
+    })
+
+    it('sync runs right away', () => {
+      const calls = []
+      const vm = mountWithFlush('sync', calls)
+      vm.a = 2
+      expect(calls).toEqual(['watcher: 1'])
+    })
+
+    it('post watchers queued while flushing run in the next flush', done => {
+      const vm = new Vue({
+        data: { a: 1, b: 1 },
+        watch: {
+          a: {
+            handler (val) {
+              this.b = val
+            },
+            flush: 'post'
+          },
+          b: {
+            handler: spy,
+            flush: 'post'
+          }
+        }
+      })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(vm.b).toBe(2)
+        expect(spy).not.toHaveBeenCalled()
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith(2, 1)
+      }).then(done)
+    })
+
+    it('warn against post watchers that keep re-queuing themselves', done => {
+      const vm = new Vue({
+        data: { a: 0 },
+        watch: {
+          a: {
+            handler () {
+              this.a++
+            },
+            flush: 'post'
+          }
+        }
+      })
+      vm.a++
+      setTimeout(() => {
+        expect(vm.a).toBe(Vue.config.maxUpdateCount + 2)
+        expect(
+          'You may have an infinite update loop in watcher with expression "a". ' +
+          `It ran more than ${Vue.config.maxUpdateCount} times in consecutive flushes`
+        ).toHaveBeenWarned()
+        done()
+      })
+    })
+  })
 })
@@ -19,6 +19,7 @@ const webpackConfig = {
   plugins: [
     new webpack.DefinePlugin({
       __WEEX__: false,
+      __CSP__: false,
       'process.env': {
         TRANSITION_DURATION: process.env.CI ? 100 : 50,
         TRANSITION_BUFFER: 10,
@@ -4,6 +4,7 @@ const base = require('./karma.base.config.js')
 base.webpack.plugins = [
   new webpack.DefinePlugin({
     __WEEX__: false,
+    __CSP__: false,
     'process.env': {
       NODE_ENV: '"development"',
       // sauce lab vms are slow!
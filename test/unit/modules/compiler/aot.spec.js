@@ -0,0 +1,97 @@
+import Vue from 'vue'
+import { compileToModule } from 'web/aot/index'
+import { stripWith } from 'web/aot/strip-with'
+
+// evaluate the generated ES module
+function load (code) {
+  // eslint-disable-next-line no-new-func
+  return new Function(
+    code.replace(/^export var /gm, 'var ') +
+    'return { render: render, staticRenderFns: staticRenderFns }'
+  )()
+}
+
+describe('aot compiler', () => {
+  it('reads free identifiers from the instance', () => {
+    expect(stripWith(`with(this){return _c('p',[_v(_s(msg))])}`))
+      .toBe(`var _vm=this;return _vm._c('p',[_vm._v(_vm._s(_vm.msg))])`)
+  })
+
+  it('keeps locals, globals and property names', () => {
+    const code = stripWith(
+      `with(this){return _l((items),function({ id, item: { name } },i){` +
+      `return _c('p',{key:id,on:{"click":function($event){return select(name, $event.target, i, Math.max(a.b, 1));count = i}}})})}`
+    )
+    expect(code).toContain(`_vm._l((_vm.items),function({ id, item: { name } },i)`)
+    expect(code).toContain(`{key:id,on:{"click":function($event){return _vm.select(name, $event.target, i, Math.max(_vm.a.b, 1));_vm.count = i}}}`)
+  })
+
+  it('expands shorthand properties', () => {
+    expect(stripWith(`with(this){return _c('p',{attrs:{foo}})}`))
+      .toBe(`var _vm=this;return _vm._c('p',{attrs:{foo:_vm.foo}})`)
+  })
+
+  it('down-levels syntax newer than ES2018', () => {
+    expect(stripWith(`with(this){return _c('p',[_v(_s(a?.b ?? c))])}`)).toBe(
+      `var _vm=this;var _o0,_o1;return _vm._c('p',[_vm._v(_vm._s(((_o0=((_o1=_vm.a)==null?void 0:_o1.b))!=null?_o0:_vm.c)))])`
+    )
+  })
+
+  it('generates a module that renders the template', done => {
+    const { code, errors } = compileToModule(
+      '<div><p v-for="item in items" :key="item" @click="msg = item">{{ item }} {{ msg }}</p><b>static</b></div>'
+    )
+    expect(errors).toEqual([])
+    expect(code).not.toContain('with(this)')
+    const vm = new Vue(Object.assign({
+      data: { items: ['a', 'b'], msg: 'foo' }
+    }, load(code))).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a foo</p><p>b foo</p><b>static</b>')
+    vm.$el.firstChild.click()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a a</p><p>b a</p><b>static</b>')
+    }).then(done)
+  })
+
+  it('compiles the template block of single-file components', () => {
+    const { code } = compileToModule(
+      '<template>\n  <div>{{ msg }}</div>\n</template>\n<script>export default {}</script>',
+      { filename: 'Foo.vue' }
+    )
+    const vm = new Vue(Object.assign({ data: { msg: 'hi' }}, load(code))).$mount()
+    expect(vm.$el.outerHTML).toBe('<div>hi</div>')
+  })
+
+  it('reports errors with their position in the file', () => {
+    const { code, errors } = compileToModule(
+      '<template>\n  <div>\n    <p v-for="item in">{{ item }}</p>\n  </div>\n</template>\n',
+      { filename: 'Foo.vue' }
+    )
+    expect(code).toBe(null)
+    expect(errors.length).toBe(1)
+    expect(errors[0]).toContain('Foo.vue:3:8: Invalid v-for expression: item in')
+    expect(errors[0]).toContain('3  |      <p v-for="item in">{{ item }}</p>\n   |         ^^^^^^^^^^^^^^^')
+  })
+
+  it('still generates code when type checking reports tips', () => {
+    const { code, errors, tips } = compileToModule('<div>{{ fromMixin }}</div>', {
+      compilerOptions: { bindings: { data: ['msg'] }}
+    })
+    expect(code).not.toBe(null)
+    expect(errors).toEqual([])
+    expect(tips.length).toBe(1)
+    expect(tips[0]).toContain('Property or method "fromMixin" is referenced in the template')
+  })
+
+  it('reports single-file components without a template', () => {
+    const { code, errors } = compileToModule('<script></script>', { filename: 'Foo.vue' })
+    expect(code).toBe(null)
+    expect(errors).toEqual(['Foo.vue: no <template> block found.'])
+  })
+
+  it('generates SSR render code', () => {
+    const { code } = compileToModule('<div><p class="a">{{ msg }}</p></div>', { ssr: true })
+    expect(code).toContain('_vm._ssrNode(')
+    expect(code).not.toContain('with(this)')
+  })
+})
@@ -694,6 +694,33 @@ describe('codegen', () => {
     )
   })
 
+  it('generate nothing for error nodes of the tolerant mode', () => {
+    const options = extend({ tolerant: true, warn () {} }, baseOptions)
+    const ast = parse('<div><span>{{ a }}</i></div>', options)
+    optimize(ast, options)
+    expect(ast.children[0].children[1].type).toBe(4)
+    expect(generate(ast, options).render).toBe(
+      `with(this){return _c('div',[_c('span',[_v(_s(a))])])}`
+    )
+  })
+
+  it('generate modern expression syntax', () => {
+    assertCodegen(
+      `<p :id="a?.b ?? 1n" @click="handlers?.click">{{ c?.[d]?.() }}</p>`,
+      `with(this){return _c('p',{attrs:{"id":a?.b ?? 1n},on:{"click":handlers?.click}},[_v(_s(c?.[d]?.()))])}`
+    )
+  })
+
+  it('generate down-leveled modern expression syntax', () => {
+    assertCodegen(
+      `<p :id="a?.b ?? 1n" @click="handlers?.click">{{ c?.[d]?.() }}</p>`,
+      `with(this){var _o0,_o1,_o2,_o3,_o4,_o5;return _c('p',{attrs:{"id":((_o0=((_o1=a)==null?void 0:_o1.b))!=null?_o0:BigInt("1"))},` +
+      `on:{"click":((_o2=handlers)==null?void 0:_o2.click)}},` +
+      `[_v(_s(((_o3=c)==null||(_o5=(_o4=_o3)[d])==null?void 0:_o5.call(_o4))))])}`,
+      extend({ downlevel: true }, baseOptions)
+    )
+  })
+
   // #9142
   it('should compile single v-for component inside template', () => {
     assertCodegen(
@@ -701,5 +728,279 @@ describe('codegen', () => {
       `with(this){return _c('div',[(ok)?_l((1),function(i){return _c('foo',{key:i})}):_e()],2)}`
     )
   })
+
+  describe('source map', () => {
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+    // decode the mappings into absolute [line, column, sourceLine, sourceColumn]
+    function decodeMappings (mappings) {
+      const res = []
+      let sourceLine = 0
+      let sourceColumn = 0
+      mappings.split(';').forEach((line, genLine) => {
+        let genColumn = 0
+        line && line.split(',').forEach(segment => {
+          const values = []
+          let value = 0
+          let shift = 0
+          for (let i = 0; i < segment.length; i++) {
+            const digit = BASE64.indexOf(segment[i])
+            value += (digit & 31) << shift
+            shift += 5
+            if (!(digit & 32)) {
+              values.push(value & 1 ? -(value >> 1) : value >> 1)
+              value = shift = 0
+            }
+          }
+          genColumn += values[0]
+          sourceLine += values[2]
+          sourceColumn += values[3]
+          res.push([genLine, genColumn, sourceLine, sourceColumn])
+        })
+      })
+      return res
+    }
+
+    function generateWithMap (template) {
+      const options = extend({ sourceMap: true, outputSourceRange: true }, baseOptions)
+      const ast = parse(template, options)
+      optimize(ast, options)
+      return generate(ast, options, template)
+    }
+
+    // find the template position the given generated snippet maps to
+    function lookup (res, code, snippet) {
+      const index = code.indexOf(snippet)
+      expect(index).not.toBe(-1)
+      const mapping = decodeMappings(res.mappings).filter(m => m[1] === index).pop()
+      return mapping && [mapping[2], mapping[3]]
+    }
+
+    it('maps generated code back to the template', () => {
+      const template = `<div id="app">\n  <p v-if="show">{{ msg }}</p>\n  <span :title="title" @click="onClick"></span>\n</div>`
+      const res = generateWithMap(template)
+      // the emitted code is unchanged
+      expect(res.render).toBe(
+        `with(this){return _c('div',{attrs:{"id":"app"}},[(show)?_c('p',[_v(_s(msg))]):_e(),_v(" "),` +
+        `_c('span',{attrs:{"title":title},on:{"click":onClick}})])}`
+      )
+      expect(res.map.version).toBe(3)
+      expect(res.map.sources).toEqual(['template.html'])
+      expect(res.map.sourcesContent).toEqual([template])
+      expect(lookup(res.map, res.render, `_c('div'`)).toEqual([0, 0])
+      expect(lookup(res.map, res.render, `show)`)).toEqual([1, 5])
+      expect(lookup(res.map, res.render, `_c('p'`)).toEqual([1, 2])
+      expect(lookup(res.map, res.render, `_v(_s(msg))`)).toEqual([1, 17])
+      expect(lookup(res.map, res.render, `title},`)).toEqual([2, 8])
+      expect(lookup(res.map, res.render, `onClick}`)).toEqual([2, 23])
+    })
+
+    it('maps static render functions', () => {
+      const template = `<div>\n  <p><b>static</b></p>\n</div>`
+      const res = generateWithMap(template)
+      expect(res.staticRenderFns).toEqual([
+        `with(this){return _c('div',[_c('p',[_c('b',[_v("static")])])])}`
+      ])
+      const code = res.staticRenderFns[0]
+      expect(lookup(res.staticMaps[0], code, `_c('b'`)).toEqual([1, 5])
+    })
+
+    it('does not emit a map without the template source', () => {
+      const options = extend({ sourceMap: true, outputSourceRange: true }, baseOptions)
+      const res = generate(parse('<div>{{ a }}</div>', options), options)
+      expect(res.render).toBe(`with(this){return _c('div',[_v(_s(a))])}`)
+      expect(res.map).toBeUndefined()
+    })
+  })
+
+  describe('hoistStatic', () => {
+    const hoistOptions = extend({ hoistStatic: true }, baseOptions)
+
+    it('hoists static attrs of a dynamic element', () => {
+      assertCodegen(
+        '<div id="app" class="a" data-foo="bar">{{ msg }}</div>',
+        `with(this){return _c('div',{staticClass:"a",attrs:_h(0)},[_v(_s(msg))])}`,
+        [`with(this){return {"id":"app","data-foo":"bar"}}`],
+        hoistOptions
+      )
+    })
+
+    it('does not hoist attrs with a dynamic value', () => {
+      assertCodegen(
+        '<div id="app" :title="title"></div>',
+        `with(this){return _c('div',{attrs:{"id":"app","title":title}})}`,
+        hoistOptions
+      )
+    })
+
+    it('does not hoist attrs merged with v-bind object or dynamic names', () => {
+      assertCodegen(
+        '<div id="app" v-bind="obj"></div>',
+        `with(this){return _c('div',_b({attrs:{"id":"app"}},'div',obj,false))}`,
+        hoistOptions
+      )
+      assertCodegen(
+        '<div id="app" :[key]="value"></div>',
+        `with(this){return _c('div',_b({attrs:{"id":"app"}},"div",_d({},[key,value])))}`,
+        hoistOptions
+      )
+    })
+
+    it('does not hoist attrs of components', () => {
+      assertCodegen(
+        '<my-comp id="app"></my-comp>',
+        `with(this){return _c('my-comp',{attrs:{"id":"app"}})}`,
+        hoistOptions
+      )
+    })
+
+    it('hoists constant class and style literals', () => {
+      assertCodegen(
+        `<p :class="['a', { b: true }]" :style="{ color: 'red', 'font-size': 12 }">{{ msg }}</p>`,
+        `with(this){return _c('p',{class:_h(0),style:(_h(1))},[_v(_s(msg))])}`,
+        [
+          `with(this){return ['a', { b: true }]}`,
+          `with(this){return { color: 'red', 'font-size': 12 }}`
+        ],
+        hoistOptions
+      )
+    })
+
+    it('does not hoist bindings that are not constant', () => {
+      assertCodegen(
+        `<p :class="[a, 'b']" :style="{ color }">{{ msg }}</p>`,
+        `with(this){return _c('p',{class:[a, 'b'],style:({ color })},[_v(_s(msg))])}`,
+        hoistOptions
+      )
+      assertCodegen(
+        `<p :class="{ [a]: true, ...b }" :style="'color: red'">{{ msg }}</p>`,
+        `with(this){return _c('p',{class:{ [a]: true, ...b },style:('color: red')},[_v(_s(msg))])}`,
+        hoistOptions
+      )
+    })
+
+    it('hoists constant v-for sources', () => {
+      assertCodegen(
+        '<ul><li v-for="n in [1, 2, 3]">{{ n }}</li></ul>',
+        `with(this){return _c('ul',_l((_h(0)),function(n){return _c('li',[_v(_s(n))])}),0)}`,
+        [`with(this){return [1, 2, 3]}`],
+        hoistOptions
+      )
+    })
+
+    it('does not hoist inside static trees', () => {
+      assertCodegen(
+        '<div><p id="a"><b>static</b></p><span>{{ msg }}</span></div>',
+        `with(this){return _c('div',[_m(0),_c('span',[_v(_s(msg))])])}`,
+        [`with(this){return _c('p',{attrs:{"id":"a"}},[_c('b',[_v("static")])])}`],
+        hoistOptions
+      )
+    })
+  })
+
+  describe('patchFlags', () => {
+    const flagOptions = extend({ patchFlags: true }, baseOptions)
+
+    function genPatchFlag (template, options = flagOptions) {
+      const ast = parse(template, options)
+      optimize(ast, options)
+      const match = generate(ast, options).render.match(/patchFlag:(\d+),patchHash:(\d+)/)
+      return match && Number(match[1])
+    }
+
+    it('flags the dynamic parts of the data', () => {
+      expect(genPatchFlag('<p id="a" class="b" style="color:red"></p>')).toBe(0)
+      expect(genPatchFlag('<p class="b">{{ msg }}</p>')).toBe(1)
+      expect(genPatchFlag('<p :class="{ a: ok }"></p>')).toBe(2)
+      expect(genPatchFlag('<p :style="{ color }"></p>')).toBe(4)
+      expect(genPatchFlag('<p id="a" :title="title"></p>')).toBe(8)
+      expect(genPatchFlag('<p :text-content.prop="msg"></p>')).toBe(16)
+      expect(genPatchFlag('<p @click="onClick"></p>')).toBe(32)
+      expect(genPatchFlag('<input v-model="msg">')).toBe(16 | 32)
+    })
+
+    it('treats constant bindings as static', () => {
+      expect(genPatchFlag(`<p :class="['a', { b: true }]" :title="'foo'"></p>`)).toBe(0)
+      // value is re-synced as the user may have changed it
+      expect(genPatchFlag(`<input :value="'foo'">`)).toBe(16)
+    })
+
+    it('does not flag data that cannot be analyzed', () => {
+      expect(genPatchFlag('<p v-bind="obj"></p>')).toBe(null)
+      expect(genPatchFlag('<p :[key]="value"></p>')).toBe(null)
+      expect(genPatchFlag('<my-comp id="a"></my-comp>')).toBe(null)
+      const options = extend(extend({}, flagOptions), {
+        modules: baseOptions.modules.concat([{ genData: () => 'foo:bar,' }])
+      })
+      expect(genPatchFlag('<p id="a"></p>', options)).toBe(null)
+      options.modules[options.modules.length - 1].genPatchFlag = () => 8
+      expect(genPatchFlag('<p id="a"></p>', options)).toBe(8)
+    })
+
+    it('hashes the data of the element', () => {
+      const genHash = (template, options = flagOptions) => {
+        const ast = parse(template, options)
+        optimize(ast, options)
+        return generate(ast, options).render.match(/patchHash:(\d+)/)[1]
+      }
+      expect(genHash('<p id="a">{{ a }}</p>')).toBe(genHash('<p id="a">{{ b }}</p>'))
+      expect(genHash('<p id="a">{{ a }}</p>')).not.toBe(genHash('<p id="b">{{ a }}</p>'))
+      // hoisted constants are hashed by value
+      const hoistOptions = extend({ hoistStatic: true }, flagOptions)
+      expect(genHash('<div><p id="a">{{ a }}</p></div>', hoistOptions))
+        .not.toBe(genHash('<div><p id="b">{{ a }}</p></div>', hoistOptions))
+    })
+  })
+
+  describe('blockTree', () => {
+    const blockOptions = extend({ blockTree: true }, baseOptions)
+
+    function genRender (template) {
+      const ast = parse(template, blockOptions)
+      optimize(ast, blockOptions)
+      return generate(ast, blockOptions).render.replace(/,?patchFlag:\d+,patchHash:\d+/g, '')
+    }
+
+    it('wraps stable trees in a block and tracks their dynamic nodes', () => {
+      const render = genRender('<div><p :class="c">{{ msg }}<b>x</b></p><span id="a"><i :title="t">y</i></span><comp :foo="bar"></comp></div>')
+      expect(render).toMatch(/^with\(this\)\{return \(_x\(\),_y\(_c\('div',\[/)
+      expect(render).toMatch(/,\d+\)\)\}$/)
+      expect(render).toContain(`_z(_c('p',{class:c},[_z(_v(_s(msg)))`)
+      expect(render).toContain(`_c('b',[_v("x")])`)
+      expect(render).toContain(`_c('span',{attrs:{"id":"a"}},[_z(_c('i',{attrs:{"title":t}},[_v("y")]))])`)
+      expect(render).toContain(`_z(_c('comp',{attrs:{"foo":bar}}))`)
+    })
+
+    it('starts new blocks below structural directives', () => {
+      const render = genRender('<div><p v-if="ok"><b>{{ a }}</b></p><ul><li v-for="i in list"><b>{{ i }}</b></li></ul></div>')
+      expect(render).toMatch(/^with\(this\)\{return _c\('div'/)
+      expect(render).toContain(`(ok)?(_x(),_y(_c('p',[_c('b',[_z(_v(_s(a)))])]),`)
+      expect(render).toContain(`_l((list),function(i){return (_x(),_y(_c('li',[_c('b',[_z(_v(_s(i)))])]),`)
+    })
+
+    it('does not create blocks around slots or component children', () => {
+      expect(genRender('<div><p><slot></slot></p></div>')).not.toContain('_x()')
+      expect(genRender('<div><comp><p>{{ a }}</p></comp></div>')).not.toContain('_y(_c(\'div\'')
+      expect(genRender('<div><p :key="k"></p></div>')).not.toContain('_x()')
+    })
+
+    it('does not track nodes rendered once', () => {
+      const ast = parse('<div><p><b>static</b></p><span v-once><i>{{ a }}</i></span></div>', blockOptions)
+      optimize(ast, blockOptions)
+      const res = generate(ast, blockOptions)
+      expect(res.render).toContain('_m(0)')
+      res.staticRenderFns.forEach(fn => {
+        expect(fn).not.toContain('_x()')
+        expect(fn).not.toContain('_z(')
+      })
+    })
+
+    it('gives different templates different hashes', () => {
+      const hash = template => genRender(template).match(/,(\d+)\)\)\}$/)[1]
+      expect(hash('<div><p>{{ a }}</p></div>')).toBe(hash('<div><p>{{ a }}</p></div>'))
+      expect(hash('<div><p>{{ a }}</p></div>')).not.toBe(hash('<div><p>{{ b }}</p></div>'))
+      expect(hash('<div><p>{{ a }}</p></div>')).not.toBe(hash('<div><span>{{ a }}</span></div>'))
+    })
+  })
 })
 /* eslint-enable quotes */
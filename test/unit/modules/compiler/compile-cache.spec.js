@@ -0,0 +1,88 @@
+import { createLRUCache, getCacheKey } from 'compiler/cache'
+import { createCompileToFunctionFn } from 'compiler/to-function'
+
+function createCompile () {
+  return jasmine.createSpy('compile').and.callFake(template => ({
+    render: `with(this){return _c('div',[_v(${JSON.stringify(template)})])}`,
+    staticRenderFns: [],
+    errors: [],
+    tips: []
+  }))
+}
+
+describe('compile cache', () => {
+  it('should evict the least recently used entries', () => {
+    const cache = createLRUCache(2)
+    cache.set('a', 1)
+    cache.set('b', 2)
+    expect(cache.get('a')).toBe(1)
+    cache.set('c', 3)
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.get('a')).toBe(1)
+    expect(cache.get('c')).toBe(3)
+    cache.set('a', 4)
+    cache.set('d', 5)
+    expect(cache.get('a')).toBe(4)
+    expect(cache.get('c')).toBeUndefined()
+  })
+
+  it('should key templates by their compiler options', () => {
+    const key = getCacheKey('<div></div>', { comments: true, whitespace: 'condense' })
+    expect(getCacheKey('<div></div>', { whitespace: 'condense', comments: true, warn () {} })).toBe(key)
+    expect(getCacheKey('<div></div>', { comments: false, whitespace: 'condense' })).not.toBe(key)
+    expect(getCacheKey('<p></p>', { comments: true, whitespace: 'condense' })).not.toBe(key)
+    expect(getCacheKey('<div></div>', { modules: [] })).toBeUndefined()
+    expect(getCacheKey('<div></div>', { plugins: [] })).toBeUndefined()
+  })
+
+  it('should reuse functions compiled with the same options', () => {
+    const compile = createCompile()
+    const compileToFunctions = createCompileToFunctionFn(compile)
+    const res = compileToFunctions('foo')
+    expect(compileToFunctions('foo')).toBe(res)
+    expect(compile.calls.count()).toBe(1)
+    expect(compileToFunctions('foo', { delimiters: ['[[', ']]'] })).not.toBe(res)
+    expect(compileToFunctions('foo', { cache: false })).not.toBe(res)
+    expect(compile.calls.count()).toBe(3)
+  })
+
+  it('should read and write compiled code through a store', () => {
+    const entries = {}
+    const store = {
+      get: jasmine.createSpy('get').and.callFake(key => entries[key]),
+      set: jasmine.createSpy('set').and.callFake((key, code) => { entries[key] = code })
+    }
+    const compile = createCompile()
+    createCompileToFunctionFn(compile)('foo', { cache: store })
+    expect(compile.calls.count()).toBe(1)
+    expect(store.set.calls.count()).toBe(1)
+    const key = store.set.calls.argsFor(0)[0]
+    expect(entries[key].render).toBe(`with(this){return _c('div',[_v("foo")])}`)
+
+    // another compiler, e.g. in a new process, reads the stored code
+    const otherCompile = createCompile()
+    const res = createCompileToFunctionFn(otherCompile)('foo', { cache: store })
+    expect(otherCompile).not.toHaveBeenCalled()
+    expect(typeof res.render).toBe('function')
+    expect(store.set.calls.count()).toBe(1)
+  })
+
+  it('should not use the store when plugins are registered', () => {
+    const store = { get: jasmine.createSpy('get'), set: jasmine.createSpy('set') }
+    const compile = createCompile()
+    const compileToFunctions = createCompileToFunctionFn(compile, () => true)
+    const res = compileToFunctions('foo', { cache: store })
+    expect(store.get).not.toHaveBeenCalled()
+    expect(store.set).not.toHaveBeenCalled()
+    // the in-memory cache belongs to the compiler and its plugins
+    expect(compileToFunctions('foo', { cache: store })).toBe(res)
+    expect(compile.calls.count()).toBe(1)
+  })
+
+  it('should not store templates with errors', () => {
+    const store = { get: () => {}, set: jasmine.createSpy('set') }
+    const compile = () => ({ render: '', staticRenderFns: [], errors: ['oops'], tips: [] })
+    createCompileToFunctionFn(compile)('foo', { cache: store, warn () {} })
+    expect(store.set).not.toHaveBeenCalled()
+  })
+})
@@ -147,6 +147,41 @@ describe('compile options', () => {
     expect(compiled.errors[0].end).toBe(11)
   })
 
+  it('should accept modern expression syntax', () => {
+    const compiled = compile('<div :id="a?.b ?? 10n">{{ c?.[d]?.() }}</div>')
+    expect(compiled.errors).toEqual([])
+  })
+
+  it('should reject invalid modern expression syntax', () => {
+    ['-2 ** 2', 'a ?? b || c', '0123n'].forEach(exp => {
+      const compiled = compile(`<div>{{ ${exp} }}</div>`)
+      expect(compiled.errors.length).toBe(1)
+      expect(compiled.errors[0]).toContain('invalid expression')
+    })
+  })
+
+  it('should down-level modern expression syntax', done => {
+    const { render, staticRenderFns, errors } = compile(
+      `<div :id="user?.id ?? 'none'">{{ user?.name.toUpperCase() }} {{ list?.[0]?.() }} {{ 2n ** 3n }}</div>`,
+      { downlevel: true }
+    )
+    expect(errors).toEqual([])
+    expect(render).not.toMatch(/\?\.|\?\?|\dn\b/)
+    const vm = new Vue({
+      data: { user: { id: 'foo', name: 'bar' }, list: null },
+      render: new Function(render),
+      staticRenderFns: staticRenderFns.map(code => new Function(code))
+    }).$mount()
+    expect(vm.$el.id).toBe('foo')
+    expect(vm.$el.textContent).toBe('BAR  8')
+    vm.user = null
+    vm.list = [() => 'baz']
+    waitForUpdate(() => {
+      expect(vm.$el.id).toBe('none')
+      expect(vm.$el.textContent).toBe(' baz 8')
+    }).then(done)
+  })
+
   it('should collect source range for binding keys', () => {
     const compiled = compile('<div><slot v-bind:key="key" /></div>', { outputSourceRange: true })
     expect(compiled.errors.length).toBe(1)
@@ -0,0 +1,140 @@
+import Vue from 'vue'
+import { createCompiler } from 'web/compiler'
+import { AST_VERSION } from 'compiler/create-compiler'
+import { getAndRemoveAttr } from 'compiler/helpers'
+
+describe('compiler plugins', () => {
+  it('should apply plugins registered with use()', () => {
+    const compiler = createCompiler()
+    const res = compiler.use({
+      name: 'tooltip',
+      transformNode (el) {
+        const tooltip = getAndRemoveAttr(el, 'tooltip')
+        if (tooltip) {
+          el.tooltip = tooltip
+        }
+      },
+      genData (el) {
+        return el.tooltip ? `attrs:{"title":${JSON.stringify(el.tooltip)}},` : ''
+      }
+    })
+    expect(res).toBe(compiler)
+    const { render } = compiler.compile('<div tooltip="hi"></div>')
+    expect(render).toBe(`with(this){return _c('div',{attrs:{"title":"hi"}})}`)
+  })
+
+  it('should not leak plugins into other compilers', () => {
+    const compiler = createCompiler([{
+      name: 'transform-code',
+      transformCode: (el, code) => `_wrap(${code})`
+    }])
+    expect(compiler.compile('<div></div>').render).toBe(`with(this){return _wrap(_c('div'))}`)
+    expect(createCompiler().compile('<div></div>').render).toBe(`with(this){return _c('div')}`)
+  })
+
+  it('should accept plugins per compilation', () => {
+    const compiler = createCompiler()
+    const plugin = {
+      name: 'transform-code',
+      transformCode: (el, code) => `_wrap(${code})`
+    }
+    const first = compiler.compileToFunctions('<div></div>', { plugins: [plugin] })
+    const second = compiler.compileToFunctions('<div></div>')
+    expect(first.render.toString()).toContain('_wrap(')
+    expect(second.render.toString()).not.toContain('_wrap(')
+  })
+
+  it('should order plugins by enforce, then registration order', () => {
+    const calls = []
+    const plugin = (name, enforce) => ({
+      name,
+      enforce,
+      preTransformNode (el) {
+        if (!el.parent) calls.push(name)
+      }
+    })
+    createCompiler([
+      plugin('normal-1'),
+      plugin('post', 'post'),
+      plugin('pre', 'pre'),
+      plugin('normal-2')
+    ]).compile('<div></div>', {
+      plugins: [plugin('call')]
+    })
+    expect(calls).toEqual(['pre', 'normal-1', 'normal-2', 'call', 'post'])
+  })
+
+  it('should run pre plugins before platform modules', () => {
+    // the class module reads the static class in its transformNode
+    const compiler = createCompiler([{
+      name: 'prefix-class',
+      enforce: 'pre',
+      transformNode (el) {
+        if (el.attrsMap.class) {
+          el.attrsList.forEach(attr => {
+            if (attr.name === 'class') attr.value = `x-${attr.value}`
+          })
+          el.attrsMap.class = `x-${el.attrsMap.class}`
+        }
+      }
+    }])
+    expect(compiler.compile('<div class="a"></div>').render)
+      .toBe(`with(this){return _c('div',{staticClass:"x-a"})}`)
+  })
+
+  it('should register compile-time directives', () => {
+    const compiler = createCompiler([{
+      name: 'upper',
+      directives: {
+        upper (el, dir) {
+          el.upper = dir.value
+          return false
+        }
+      },
+      genData (el) {
+        return el.upper ? `domProps:{"textContent":_s(${el.upper}).toUpperCase()},` : ''
+      }
+    }])
+    const { render, staticRenderFns } = compiler.compileToFunctions('<p v-upper="msg"></p>')
+    const vm = new Vue({
+      data: { msg: 'hello' },
+      render,
+      staticRenderFns
+    }).$mount()
+    expect(vm.$el.textContent).toBe('HELLO')
+  })
+
+  it('should treat plugin static keys as static', () => {
+    const compiler = createCompiler([{
+      name: 'static-note',
+      staticKeys: ['note'],
+      transformNode (el) {
+        const note = getAndRemoveAttr(el, 'note')
+        if (note) el.note = note
+      }
+    }])
+    const res = compiler.compile('<div><p note="a"><b>static</b></p></div>')
+    expect(res.ast.static).toBe(true)
+    expect(res.staticRenderFns.length).toBe(1)
+  })
+
+  it('should warn on unnamed plugins', () => {
+    createCompiler().use({})
+    expect('Compiler plugins must have a name.').toHaveBeenWarned()
+  })
+
+  it('should warn on AST version mismatch', () => {
+    createCompiler().use({ name: 'old', astVersion: AST_VERSION + 1 })
+    expect(
+      `Compiler plugin "old" targets AST version ${AST_VERSION + 1}, ` +
+      `but this compiler produces AST version ${AST_VERSION}.`
+    ).toHaveBeenWarned()
+  })
+
+  it('should warn when registering after compilation', () => {
+    const compiler = createCompiler()
+    compiler.compile('<div></div>')
+    compiler.use({ name: 'late', astVersion: AST_VERSION })
+    expect('Compiler plugin "late" is registered after templates have been compiled.').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,41 @@
+import { parse } from 'compiler/parser/index'
+import { baseOptions } from 'web/compiler/options'
+import { decode } from 'compiler/parser/entity-decoder'
+import { namedEntities } from 'compiler/parser/entities'
+
+describe('entity decoder', () => {
+  it('should decode named references', () => {
+    expect(decode('&lt;a&gt; &amp; &quot;b&quot; &nbsp;&copy;')).toBe('<a> & "b" \u00A0©')
+    expect(decode('&hellip;&NotNestedGreaterGreater;&Afr;')).toBe('…⪢̸𝔄')
+    // unknown and non-entity names are kept
+    expect(decode('&foo; &constructor; & &;')).toBe('&foo; &constructor; & &;')
+  })
+
+  it('should decode legacy references without semicolon', () => {
+    expect(decode('&amp &ltb &copy2019 &notit;')).toBe('& <b ©2019 ¬it;')
+    // only legacy names may omit the semicolon
+    expect(decode('&hellip &notin &notin;')).toBe('&hellip ¬in ∉')
+  })
+
+  it('should decode numeric references', () => {
+    expect(decode('&#60;&#x3C;&#X3c&#65 &#x1F600;')).toBe('<<<A 😀')
+    // windows-1252 replacements
+    expect(decode('&#128;&#x99;&#129;')).toBe('€™\u0081')
+    // invalid code points
+    expect(decode('&#0;&#xD800;&#x110000;&#99999999999;')).toBe('\uFFFD\uFFFD\uFFFD\uFFFD')
+    expect(decode('&#; &#x; &#xg;')).toBe('&#; &#x; &#xg;')
+  })
+
+  it('should decode the same as the DOM', () => {
+    const div = document.createElement('div')
+    const html = Object.keys(namedEntities).map(name => `&${name};`).join(' ') +
+      ' &amp &ltx &#150 &#x2603; &#56320;'
+    div.innerHTML = html
+    expect(decode(html)).toBe(div.textContent)
+  })
+
+  it('should be used by the parser', () => {
+    const ast = parse('<div>&lt;&#x41;&nbsp;&copy</div>', baseOptions)
+    expect(ast.children[0].text).toBe('<A\u00A0©')
+  })
+})
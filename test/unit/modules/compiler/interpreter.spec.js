@@ -0,0 +1,159 @@
+import Vue from 'vue'
+import { compile } from 'web/compiler/index'
+import { createInterpretedFunction } from 'compiler/interpreter/index'
+import { parseExpression } from 'compiler/interpreter/parser'
+
+function mountInterpreted (template, options) {
+  const { render, staticRenderFns } = compile(template, { hoistStatic: true })
+  return new Vue(Object.assign({
+    render: createInterpretedFunction(render),
+    staticRenderFns: staticRenderFns.map(createInterpretedFunction)
+  }, options)).$mount()
+}
+
+function expectSameOutput (template, options) {
+  const vm = mountInterpreted(template, options)
+  const expected = new Vue(Object.assign({ template }, options)).$mount()
+  expect(vm.$el.outerHTML).toBe(expected.$el.outerHTML)
+  return vm
+}
+
+describe('compiler: interpreter', () => {
+  it('should evaluate expressions', () => {
+    const fn = createInterpretedFunction(
+      'var a = 1, { b, c: [d, ...e] } = this.obj;' +
+      'if (a > 0) { a += b ** 2 } else return null\n' +
+      'return [a, d, e, typeof missing, `x${d}y`, "b" in this.obj, ' +
+      '(x => x * 2)(3), [1, 2, 3].map(function (n) { return n + this.k }, { k: 1 }), ' +
+      '{ ...this.obj, [a]: a-- }, a, !0 ? void 0 : 1]'
+    )
+    expect(fn.call({ obj: { b: 2, c: [3, 4, 5] } })).toEqual([
+      5, 3, [4, 5], 'undefined', 'x3y', true,
+      6, [2, 3, 4],
+      { b: 2, c: [3, 4, 5], 5: 5 }, 4, undefined
+    ])
+  })
+
+  it('should look up names on `this` inside with(this)', () => {
+    const fn = createInterpretedFunction('with(this){return [msg, greet(), Math.max(1, 2)]}')
+    expect(fn.call({
+      msg: 'hi',
+      greet () { return this.msg + '!' }
+    })).toEqual(['hi', 'hi!', 2])
+    expect(() => createInterpretedFunction('with(this){return missing}').call({}))
+      .toThrowError(ReferenceError, 'missing is not defined')
+  })
+
+  it('should render the same as compiled render functions', () => {
+    expectSameOutput(`
+      <div :class="{ active: ok }" :style="{ color }">
+        <p class="static"><span>static</span></p>
+        <p v-if="ok">{{ msg | upper }}</p>
+        <p v-else>no</p>
+        <ul><li v-for="(item, i) in items" :key="item.id">{{ i }}: {{ item.text }}</li></ul>
+        <test><template slot-scope="{ value = 'none' }">{{ value }}</template></test>
+      </div>
+    `, {
+      data: {
+        ok: true,
+        msg: 'hello',
+        color: 'red',
+        items: [{ id: 1, text: 'a' }, { id: 2, text: 'b' }]
+      },
+      filters: {
+        upper: s => s.toUpperCase()
+      },
+      components: {
+        test: { template: '<div><slot :value="1"></slot></div>' }
+      }
+    })
+  })
+
+  it('should support events and v-model', done => {
+    const vm = mountInterpreted(`
+      <div>
+        <input type="checkbox" value="a" v-model="checked">
+        <input v-model.trim="text">
+        <button @click.stop="count++; last = $event.type">{{ count }}</button>
+        <input @keyup.enter="submitted = true">
+      </div>
+    `, {
+      data: { checked: [], text: '', count: 0, last: '', submitted: false }
+    })
+    const [checkbox, input, button, keyInput] = vm.$el.querySelectorAll('input, button')
+    checkbox.checked = true
+    triggerEvent(checkbox, 'change')
+    expect(vm.checked).toEqual(['a'])
+    input.value = ' foo '
+    triggerEvent(input, 'input')
+    expect(vm.text).toBe('foo')
+    button.click()
+    expect(vm.count).toBe(1)
+    expect(vm.last).toBe('click')
+    triggerEvent(keyInput, 'keyup', e => { e.keyCode = 32 })
+    expect(vm.submitted).toBe(false)
+    triggerEvent(keyInput, 'keyup', e => { e.keyCode = 13 })
+    expect(vm.submitted).toBe(true)
+    waitForUpdate(() => {
+      expect(button.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should evaluate optional chaining, nullish coalescing and BigInt literals', () => {
+    const fn = createInterpretedFunction(
+      'with(this){return [a?.b.c, n?.b.c, n?.[k](), a.m?.(), a.n?.(), (n?.b)?.c, ' +
+      'f?.(1), n ?? 0, 0 ?? 1, a?.x ?? "d", 10n + 0x10n]}'
+    )
+    expect(fn.call({
+      a: { b: { c: 1 }, m () { return this.b.c + 1 } },
+      n: null,
+      k: 'x',
+      f: x => x + 1
+    })).toEqual([1, undefined, undefined, 2, undefined, undefined, 2, 0, 0, 'd', window.BigInt(26)])
+  })
+
+  it('should report unsupported syntax', () => {
+    const unsupported = {
+      'new Date()': '`new` expressions',
+      'tag`x`': 'tagged templates',
+      '{ get a () {} }': 'getters and setters',
+      '{ a () {} }': 'object methods',
+      '() => { for (;;) {} }': 'loops'
+    }
+    Object.keys(unsupported).forEach(exp => {
+      expect(() => parseExpression(exp)).toThrowError(
+        SyntaxError,
+        new RegExp(`^Unsupported syntax in the CSP build: ${unsupported[exp].replace(/[?`]/g, '\\$&')}`)
+      )
+    })
+    expect(() => parseExpression('a +')).toThrowError(SyntaxError, /^Unexpected end of expression/)
+    expect(() => parseExpression('a b')).toThrowError(SyntaxError, /^Unexpected token "b"/)
+    expect(() => parseExpression('a?.b = 1')).toThrowError(SyntaxError, /^Invalid assignment target/)
+  })
+
+  it('should reject ambiguous operators and legacy octal BigInt literals', () => {
+    ['-2 ** 2', 'typeof a ** 2', 'a ?? b || c', 'a || b ?? c', 'a ?? b && c', '0123n'].forEach(exp => {
+      expect(() => parseExpression(exp, { loose: true })).toThrowError(SyntaxError)
+    })
+    ;['(-2) ** 2', '-(2 ** 2)', '(a ?? b) || c', '(a || b) ?? c', 'a ?? (b && c)', '0n', '(a) || b && c'].forEach(exp => {
+      expect(() => parseExpression(exp, { loose: true })).not.toThrow()
+    })
+  })
+
+  it('should evaluate regular expression literals', () => {
+    const exp = parseExpression('a / b + /[/]x/g.test(c)')
+    expect(exp.left.operator).toBe('/')
+    expect(exp.right.callee.object.regex).toEqual({ pattern: '[/]x', flags: 'g' })
+    const fn = createInterpretedFunction('with(this){return [a.replace(/o/g, "0"), /^A/i.test(b), /x/ === /x/]}')
+    expect(fn.call({ a: 'foo', b: 'abc' })).toEqual(['f00', true, false])
+    expect(() => parseExpression('/(/')).toThrowError(SyntaxError, /^Invalid regular expression/)
+  })
+
+  it('should parse `new` in loose mode', () => {
+    const exp = parseExpression('new a.B(1).c', { loose: true })
+    expect(exp.object.type).toBe('NewExpression')
+    expect(exp.object.arguments.length).toBe(1)
+    expect(() => parseExpression('for (;;) {}', { loose: true }))
+      .toThrowError(SyntaxError, /^Unsupported syntax: loops/)
+  })
+})
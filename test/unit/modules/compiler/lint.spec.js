@@ -0,0 +1,172 @@
+import { compile } from 'web/compiler'
+
+function lint (template, options) {
+  return compile(template, Object.assign({ lint: true }, options)).lint
+}
+
+function applyFixes (template, fix) {
+  return fix
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce((res, edit) => res.slice(0, edit.start) + edit.text + res.slice(edit.end), template)
+}
+
+describe('template lint', () => {
+  it('should not run without the option', () => {
+    expect(compile('<div></div>').lint).toBeUndefined()
+    expect(lint('<div><p v-for="i in list" :key="i">{{ i }}</p></div>')).toEqual([])
+  })
+
+  it('require-v-for-key', () => {
+    const template = `<ul><li v-for="item in items">{{ item }}</li><template v-for="i in 2"><b>{{ i }}</b></template></ul>`
+    const messages = lint(template)
+    expect(messages.length).toBe(1)
+    expect(messages[0].rule).toBe('require-v-for-key')
+    expect(messages[0].severity).toBe('error')
+    expect(messages[0].msg).toContain('<li v-for="item in items"> should have a unique :key')
+    expect(template.slice(messages[0].start, messages[0].end)).toBe('v-for="item in items"')
+  })
+
+  it('no-v-if-with-v-for with a condition on the item', () => {
+    const template = `<ul><li v-for="item in items" :key="item.id" v-if="item.done">{{ item }}</li></ul>`
+    const messages = lint(template)
+    expect(messages.length).toBe(1)
+    expect(messages[0].rule).toBe('no-v-if-with-v-for')
+    expect(messages[0].severity).toBe('warn')
+    expect(messages[0].msg).toContain('Filter the list in a computed property')
+    expect(template.slice(messages[0].start, messages[0].end)).toBe('v-if="item.done"')
+    expect(messages[0].fix).toBeUndefined()
+  })
+
+  it('no-v-if-with-v-for with a condition on the list', () => {
+    const template = `<ul><li v-for="item in items" :key="item.id" v-if="items.length">{{ item }}</li></ul>`
+    const messages = lint(template)
+    expect(messages[0].msg).toContain('Move it to a wrapping <template>')
+    expect(applyFixes(template, messages[0].fix)).toBe(
+      `<ul><template v-if="items.length"><li v-for="item in items" :key="item.id">{{ item }}</li></template></ul>`
+    )
+  })
+
+  it('no-v-if-with-v-for keeps the quotes of the condition', () => {
+    const template = `<ul><li v-for="item in items" v-if='mode === "all"' :key="item.id"></li>` +
+      `<li v-for="item in items" v-if="mode === &quot;some&quot;" :key="item.id"></li></ul>`
+    const messages = lint(template)
+    expect(messages.length).toBe(2)
+    expect(applyFixes(template, messages[1].fix.concat(messages[0].fix))).toBe(
+      `<ul><template v-if='mode === "all"'><li v-for="item in items" :key="item.id"></li></template>` +
+      `<template v-if="mode === &quot;some&quot;"><li v-for="item in items" :key="item.id"></li></template></ul>`
+    )
+  })
+
+  it('no-v-if-with-v-for with a destructured item', () => {
+    const template = `<ul>` +
+      `<li v-for="({ id, ok }) in items" :key="id" v-if="ok"></li>` +
+      `<li v-for="([first, { done: isDone } = {}], i) in items" :key="i" v-if="isDone"></li>` +
+      `</ul>`
+    const messages = lint(template)
+    expect(messages.length).toBe(2)
+    messages.forEach(message => {
+      expect(message.msg).toContain('Filter the list in a computed property')
+      expect(message.fix).toBeUndefined()
+    })
+  })
+
+  it('no-inline-handler-side-effects', () => {
+    const template = `<div>` +
+      `<a @click="count++"></a>` +
+      `<a v-on:click="open = !open"></a>` +
+      `<a @click="save(); close()"></a>` +
+      `<a @click="save"></a>` +
+      `<a @click="save(a === b, 'x = y')"></a>` +
+      `<a @click="e => save(e)"></a>` +
+      `</div>`
+    const messages = lint(template)
+    expect(messages.map(m => template.slice(m.start, m.end))).toEqual([
+      '@click="count++"',
+      'v-on:click="open = !open"',
+      '@click="save(); close()"'
+    ])
+    expect(messages.every(m => m.rule === 'no-inline-handler-side-effects')).toBe(true)
+  })
+
+  it('should respect configured severities', () => {
+    const template = `<div v-bind:id="id" v-on:click="go"><child v-slot:header></child><p v-for="i in 3">{{ i }}</p></div>`
+    const messages = lint(template, {
+      lint: {
+        'require-v-for-key': 'off',
+        'prefer-directive-shorthand': 'error'
+      }
+    })
+    expect(messages.map(m => [m.rule, m.severity])).toEqual([
+      ['prefer-directive-shorthand', 'error'],
+      ['prefer-directive-shorthand', 'error'],
+      ['prefer-directive-shorthand', 'error']
+    ])
+    expect(applyFixes(template, [].concat(...messages.map(m => m.fix)))).toBe(
+      `<div :id="id" @click="go"><child #header></child><p v-for="i in 3">{{ i }}</p></div>`
+    )
+  })
+
+  it('should report invalid severities', () => {
+    const messages = lint('<div></div>', {
+      lint: { 'require-v-for-key': 'fatal' }
+    })
+    expect(messages).toEqual([{
+      rule: 'require-v-for-key',
+      severity: 'error',
+      msg: 'Invalid severity "fatal" for lint rule "require-v-for-key". Expected one of off, warn, error.'
+    }])
+  })
+
+  it('should visit conditional branches and scoped slots', () => {
+    const messages = lint(`
+      <div>
+        <p v-if="a"></p>
+        <p v-else><b v-for="i in 2"></b></p>
+        <child><template #row="row"><b v-for="i in row"></b></template></child>
+      </div>
+    `)
+    expect(messages.length).toBe(2)
+    expect(messages.every(m => m.rule === 'require-v-for-key')).toBe(true)
+  })
+
+  it('should account for leading whitespace in ranges', () => {
+    const template = `\n  <div v-bind:id="id"></div>`
+    const messages = lint(template, {
+      lint: { 'prefer-directive-shorthand': 'warn' }
+    })
+    expect(template.slice(messages[0].start, messages[0].end)).toBe('v-bind:id')
+    expect(applyFixes(template, messages[0].fix)).toBe(`\n  <div :id="id"></div>`)
+  })
+
+  it('should run custom rules', () => {
+    const template = `<div>hello <span style="color: red">{{ msg }}</span></div>`
+    const texts = []
+    const messages = lint(template, {
+      lint: { 'no-inline-style': 'warn' },
+      lintRules: {
+        'no-inline-style': {
+          description: 'disallow inline styles',
+          severity: 'error',
+          element (el, context) {
+            const range = el.rawAttrsMap.style
+            if (range) {
+              context.report({ msg: 'Use a class instead.', start: range.start, end: range.end })
+            }
+          },
+          text (node, context) {
+            texts.push(context.source.slice(node.start, node.end))
+          }
+        }
+      }
+    })
+    expect(messages).toEqual([{
+      rule: 'no-inline-style',
+      severity: 'warn',
+      msg: 'Use a class instead.',
+      start: 17,
+      end: 35
+    }])
+    expect(texts).toEqual(['hello ', '{{ msg }}'])
+  })
+})
@@ -87,9 +87,13 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate a fragment for multiple root elements', () => {
+    const ast = parse('<div></div><p></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.tag)).toEqual(['div', 'p'])
+    expect(ast.children[0].parent).toBe(ast)
+    expect(ast.children[1].parent).toBe(ast)
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,51 +194,33 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate a fragment for 2 root elements with v-if', () => {
+    const ast = parse('<div v-if="1"></div><p v-if="2"></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.if)).toEqual(['1', '2'])
   })
 
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate a fragment for root elements after v-if and v-else', () => {
+    const ast = parse('<div v-if="1"></div><span v-else></span><p></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.tag)).toEqual(['div', 'p'])
+    expect(ast.children[0].ifConditions[1].block.tag).toBe('span')
   })
 
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate a fragment for v-if and v-else chains after the first root element', () => {
+    const ast = parse('<div></div><div v-if="1"></div><span v-else-if="2"></span><p v-else></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[1].ifConditions.map(c => c.block.tag)).toEqual(['div', 'span', 'p'])
   })
 
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
+  it('not warn v-for, <template> and <slot> as root element', () => {
     parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn <template> as root element', () => {
-    parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn <slot> as root element', () => {
-    parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn v-for on root element', () => {
     parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    parse('<template><div></div><div></div></template>', baseOptions)
+    parse('<slot></slot>', baseOptions)
+    expect('as component root element').not.toHaveBeenWarned()
+    expect('Cannot use v-for on stateful component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
@@ -925,4 +911,147 @@ describe('parser', () => {
     expect(`<template v-slot> can only appear at the root level inside the receiving the component`)
       .not.toHaveBeenWarned()
   })
+
+  describe('tolerant mode', () => {
+    let errors
+    let options
+    beforeEach(() => {
+      errors = []
+      options = extend({
+        tolerant: true,
+        warn: (msg, range) => errors.push(msg)
+      }, baseOptions)
+    })
+
+    it('close unclosed elements where their parent ends', () => {
+      const ast = parse('<div><span><b>a</div>', options)
+      const span = ast.children[0]
+      expect(span.start).toBe(5)
+      expect(span.end).toBe(15)
+      expect(span.children[0].tag).toBe('b')
+      expect(span.children[0].end).toBe(15)
+      expect(span.children[0].children[1]).toEqual({
+        type: 4,
+        message: 'tag <b> has no matching end tag.',
+        start: 11,
+        end: 14
+      })
+      expect(span.children[1].message).toBe('tag <span> has no matching end tag.')
+      expect(ast.end).toBe(21)
+      expect(errors).toEqual([
+        'tag <b> has no matching end tag.',
+        'tag <span> has no matching end tag.'
+      ])
+    })
+
+    it('keep stray end tags as error nodes', () => {
+      const ast = parse('<div>a</span>b</div>', options)
+      expect(ast.children.length).toBe(3)
+      expect(ast.children[1]).toEqual({
+        type: 4,
+        message: 'Stray end tag </span>.',
+        start: 6,
+        end: 13
+      })
+      expect(ast.children[2].text).toBe('b')
+      expect(ast.children[2].start).toBe(13)
+      expect(ast.children[2].end).toBe(14)
+      expect(ast.end).toBe(20)
+    })
+
+    it('recover half-typed start tags and attributes', () => {
+      const ast = parse(`<div><p class="a"<input :value='foo\n<b>c</b></div>`, options)
+      const [tagError, p] = ast.children
+      expect(tagError).toEqual({
+        type: 4,
+        message: 'tag <p> is missing its closing ">".',
+        start: 5,
+        end: 17
+      })
+      expect(p.tag).toBe('p')
+      expect(p.end).toBe(44)
+      expect(p.rawAttrsMap.class).toEqual({ name: 'class', value: 'a', start: 8, end: 17 })
+      const [valueError, inputError, input] = p.children
+      expect(valueError).toEqual({
+        type: 4,
+        message: 'Unterminated attribute value.',
+        start: 23,
+        end: 35
+      })
+      expect(inputError.message).toBe('tag <input> is missing its closing ">".')
+      expect(input.tag).toBe('input')
+      expect(input.attrsList).toEqual([{ name: ':value', value: 'foo', start: 24, end: 35 }])
+      expect(input.end).toBe(35)
+      const b = p.children.find(c => c.tag === 'b')
+      expect(b.children[0].text).toBe('c')
+      expect(b.start).toBe(36)
+      expect(b.end).toBe(44)
+      expect(p.children[p.children.length - 1].message).toBe('tag <p> has no matching end tag.')
+    })
+
+    it('keep errors outside of the root element in the root', () => {
+      const ast = parse('</p><div></div><!-- a', options)
+      expect(ast.fragment).toBe(true)
+      const [p, div, commentError] = ast.children
+      expect(p.tag).toBe('p')
+      expect(div.tag).toBe('div')
+      expect(commentError).toEqual({
+        type: 4,
+        message: 'Unterminated comment.',
+        start: 15,
+        end: 21
+      })
+      const single = parse('<div class="a"', options)
+      expect(single.tag).toBe('div')
+      expect(single.children[0].message).toBe('tag <div> is missing its closing ">".')
+      expect(single.start).toBe(0)
+      expect(single.end).toBe(14)
+    })
+
+    it('end open elements after text left at the end of the template', () => {
+      const ast = parse('<div :a="x" <', options)
+      const text = ast.children.find(c => c.type === 3 && c.text === '<')
+      expect(text.start).toBe(12)
+      expect(text.end).toBe(13)
+      expect(ast.start).toBe(0)
+      expect(ast.end).toBe(13)
+    })
+
+    it('keep the text of unclosed raw text elements', () => {
+      const ast = parse('<div><textarea>\nabc', options)
+      const textarea = ast.children[0]
+      expect(textarea.tag).toBe('textarea')
+      expect(textarea.start).toBe(5)
+      expect(textarea.end).toBe(19)
+      expect(textarea.children).toEqual([
+        { type: 3, text: 'abc', start: 16, end: 19 },
+        { type: 4, message: 'tag <textarea> has no matching end tag.', start: 5, end: 15 }
+      ])
+      expect(ast.end).toBe(19)
+      expect(ast.children[1].message).toBe('tag <div> has no matching end tag.')
+
+      const withScript = parse('<div><script>abc', options)
+      expect(withScript.children).toEqual([
+        { type: 4, message: 'tag <script> has no matching end tag.', start: 5, end: 13 },
+        { type: 4, message: 'tag <div> has no matching end tag.', start: 0, end: 5 }
+      ])
+      expect(withScript.end).toBe(16)
+    })
+
+    it('always return an AST', () => {
+      const ast = parse('', options)
+      expect(ast.fragment).toBe(true)
+      expect(ast.children).toEqual([])
+      expect(ast.start).toBe(0)
+      expect(ast.end).toBe(0)
+    })
+
+    it('record ranges of text in raw text elements', () => {
+      const ast = parse('<div><textarea>\nabc</textarea></div>', options)
+      const text = ast.children[0].children[0]
+      expect(text.text).toBe('abc')
+      expect(text.start).toBe(16)
+      expect(text.end).toBe(19)
+    })
+  })
 })
@@ -0,0 +1,135 @@
+import { parse } from 'compiler/parser/index'
+import { compile, printTemplate } from 'web/compiler'
+import { baseOptions } from 'web/compiler/options'
+import { extend } from 'shared/util'
+
+function print (template, options) {
+  const { ast } = compile(template, extend({ outputSourceRange: true }, options))
+  const res = printTemplate(ast, options)
+  // printing the parsed output again should be stable
+  const reparsed = compile(res, extend({ outputSourceRange: true }, options)).ast
+  expect(printTemplate(reparsed, options)).toBe(res)
+  return res
+}
+
+function roundTrip (template, options) {
+  expect(print(template, options)).toBe(template)
+}
+
+describe('template printer', () => {
+  it('attributes and directives', () => {
+    roundTrip(
+      `<div id="app" class="a b" :class="{ active: isActive }" v-bind:title.prop="msg" ` +
+      `@click.stop.prevent="onClick($event, 'x')" v-on:keyup.enter="submit" ` +
+      `v-custom:arg.mod="value" :[key]="value" @[event]="handler" v-bind="$attrs"></div>`
+    )
+  })
+
+  it('boolean and escaped attribute values', () => {
+    roundTrip(`<input disabled type="checkbox" :value="&quot;a&quot; + b" title="&amp;lt; is &quot;<&quot;">`)
+    expect(print(`<div title='say "hi"' :a="x &amp;&amp; y" b=""></div>`))
+      .toBe(`<div title="say &quot;hi&quot;" :a="x && y" b></div>`)
+  })
+
+  it('conditions and lists', () => {
+    roundTrip(
+      `<div><p v-if="a">a</p><p v-else-if="b">b</p><p v-else>c</p>` +
+      `<li v-for="(item, index) in items" :key="item.id">{{ index }}: {{ item.text }}</li></div>`
+    )
+    // whitespace between branches is not kept by the parser
+    expect(print(`<div>\n  <p v-if="a"></p>\n  <p v-else></p>\n</div>`))
+      .toBe(`<div><p v-if="a"></p><p v-else></p></div>`)
+  })
+
+  it('root conditions', () => {
+    roundTrip(`<div v-if="a"></div><p v-else></p>`)
+  })
+
+  it('slots', () => {
+    roundTrip(
+      `<comp>before <template #header="{ title }">{{ title }}</template> ` +
+      `<template v-slot:[name]>dynamic</template> <p slot="old" slot-scope="props">{{ props.a }}</p> after</comp>`
+    )
+    roundTrip(`<comp v-slot="{ item }"><span>{{ item }}</span> text</comp>`)
+    roundTrip(`<comp #default><template v-if="a">a</template></comp>`)
+    roundTrip(`<div><slot name="foo" :item="item">fallback</slot></div>`)
+  })
+
+  it('v-pre', () => {
+    roundTrip(`<div v-pre :foo="{{ bar }}"><span @click="x">{{ raw }}</span></div>`)
+  })
+
+  it('comments', () => {
+    roundTrip(`<div><!-- a comment -->text</div>`, { comments: true })
+  })
+
+  it('text escaping', () => {
+    roundTrip(`<div>a &lt;b> &amp;copy; &amp;#123; {{ a < b && c }} a <= b</div>`)
+    expect(print(`<div>&copy; &gt; &quot;</div>`)).toBe(`<div>© > "</div>`)
+    roundTrip(`<div><script type="text/x-template"><p>&amp; {{ a }}</p></script></div>`)
+  })
+
+  it('pre and textarea', () => {
+    roundTrip(`<pre>\n\n  indented\n    text\n</pre>`)
+    expect(print(`<pre>\n  a</pre>`)).toBe(`<pre>  a</pre>`)
+    roundTrip(`<div><textarea>\n\n\n&lt;b></textarea></div>`)
+    expect(print(`<textarea>\na</textarea>`)).toBe(`<textarea>a</textarea>`)
+  })
+
+  it('void elements', () => {
+    roundTrip(`<div><img src="a.png"><br><comp></comp></div>`)
+    expect(print(`<div><comp /></div>`)).toBe(`<div><comp></comp></div>`)
+  })
+
+  it('input[v-model] with dynamic type', () => {
+    roundTrip(`<div><input v-if="a" v-model="value" :type="type"><p v-else></p></div>`)
+    roundTrip(`<div><p v-if="a"></p><input v-else v-model="value" :type="type"></div>`)
+  })
+
+  it('whitespace', () => {
+    const template = `<div>\n  <span>a</span>  <span>b</span>\n  text   with\n  spaces\n</div>`
+    expect(print(template)).toBe(`<div><span>a</span> <span>b</span>\n  text   with\n  spaces\n</div>`)
+    expect(print(template, { whitespace: 'condense' }))
+      .toBe(`<div><span>a</span> <span>b</span> text with spaces </div>`)
+    // condense transformed trees the same way the parser would
+    const { ast } = compile(`<div><p></p></div>`, { whitespace: 'condense' })
+    ast.children.unshift({ type: 3, text: '\n  ' }, { type: 3, text: 'a \n b' })
+    expect(printTemplate(ast, { whitespace: 'condense' })).toBe(`<div>a b<p></p></div>`)
+  })
+
+  it('without source ranges', () => {
+    const ast = parse(`<comp><p>a</p><template #foo>b</template></comp>`, baseOptions)
+    expect(printTemplate(ast)).toBe(`<comp><p>a</p><template #foo>b</template></comp>`)
+  })
+
+  it('transformed trees', () => {
+    const { ast } = compile(`<ul><li v-for="item in items">{{ item }}</li></ul>`)
+    const li = ast.children[0]
+    li.attrsMap[':key'] = 'item.id'
+    li.children.push({ type: 3, text: ' <new>' })
+    ast.children.push({
+      type: 1,
+      tag: 'li',
+      attrsMap: { class: 'last' },
+      attrsList: [],
+      rawAttrsMap: {},
+      children: []
+    })
+    expect(printTemplate(ast)).toBe(
+      `<ul><li v-for="item in items" :key="item.id">{{ item }} &lt;new></li><li class="last"></li></ul>`
+    )
+  })
+
+  it('fragments', () => {
+    roundTrip(`<p>a</p><p v-if="ok">b</p><p v-else>c</p>`)
+  })
+
+  it('recovered trees of the tolerant mode', () => {
+    const { ast } = compile(`<div><p class="a"<b>c</div></span>`, { tolerant: true })
+    expect(printTemplate(ast)).toBe(`<div><p class="a"><b>c</b></p></div>`)
+  })
+
+  it('empty', () => {
+    expect(printTemplate(undefined)).toBe('')
+  })
+})
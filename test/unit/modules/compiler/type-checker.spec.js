@@ -0,0 +1,175 @@
+import { compile } from 'web/compiler'
+
+function check (template, bindings, options) {
+  return compile(template, Object.assign({
+    outputSourceRange: true,
+    bindings
+  }, options)).tips
+}
+
+function messages (tips) {
+  return tips.map(e => e.msg)
+}
+
+describe('template type checking', () => {
+  const bindings = {
+    props: {
+      title: String,
+      formatter: Function,
+      value: [String, Function]
+    },
+    data () {
+      return { count: 0, items: [], handler: () => {} }
+    },
+    computed: {
+      total () {}
+    },
+    methods: {
+      increment () {}
+    }
+  }
+
+  it('should not report declared properties', () => {
+    const tips = check(`
+      <div :title="title" @click="increment(count)" :class="{ active: total > 0 }">
+        {{ formatter(title) }} {{ value() }} {{ handler() }} {{ $route }} {{ Math.max(count, 1) }}
+        <p v-for="(item, index) in items" :key="item.id">{{ item.name | capitalize }} {{ index }}</p>
+        <input v-model="count" @input="e => increment(e.target.value)">
+        <span v-if="count">{{ 'string with unknown' }}</span>
+        <span v-else>{{ \`\${title} and \${count}\` }}</span>
+      </div>
+    `, bindings)
+    expect(tips).toEqual([])
+  })
+
+  it('should report undefined identifiers with ranges', () => {
+    const template = `<div :title="titel">{{ cuont + 1 }}</div>`
+    const tips = check(template, bindings)
+    expect(messages(tips)).toEqual([
+      `Property or method "titel" is referenced in the template but not defined on the component. Did you mean "title"?`,
+      `Property or method "cuont" is referenced in the template but not defined on the component. Did you mean "count"?`
+    ])
+    expect(template.slice(tips[0].start, tips[0].end)).toBe('titel')
+    expect(template.slice(tips[1].start, tips[1].end)).toBe('cuont')
+  })
+
+  it('should account for leading whitespace in ranges', () => {
+    const template = `\n  <div>{{ missing }}</div>`
+    const tips = check(template, bindings)
+    expect(template.slice(tips[0].start, tips[0].end)).toBe('missing')
+  })
+
+  it('should report calls on properties that are not methods', () => {
+    const template = `<div @click="count()">{{ total() }} {{ title() }}</div>`
+    const tips = check(template, bindings)
+    expect(messages(tips)).toEqual([
+      `"count" is a data property, not a method, and cannot be called.`,
+      `"total" is a computed property, not a method, and cannot be called.`,
+      `"title" is a prop, not a method, and cannot be called.`
+    ])
+    expect(template.slice(tips[2].start, tips[2].end)).toBe('title')
+  })
+
+  it('should respect v-for and slot scopes', () => {
+    const tips = check(`
+      <div>
+        <p v-for="item in item"></p>
+        <child v-slot="{ user, index: i }">{{ user.name }} {{ i }}</child>
+        <child><template #row="row">{{ row }}</template></child>
+        <child><p slot-scope="props">{{ props.a }}</p></child>
+        <span>{{ user }}</span>
+      </div>
+    `, bindings)
+    expect(messages(tips)).toEqual([
+      `Property or method "item" is referenced in the template but not defined on the component. Did you mean "items"?`,
+      `Property or method "user" is referenced in the template but not defined on the component.`
+    ])
+  })
+
+  it('should report misspelled props on child components', () => {
+    const template = `<div><user-card :usr-name="count" user-ids="1" class="a" data-foo="b"></user-card></div>`
+    const tips = check(template, {
+      data: ['count'],
+      components: {
+        UserCard: { props: { userName: String, userId: Number } }
+      }
+    })
+    expect(messages(tips)).toEqual([
+      `Unknown prop "usr-name" on <user-card>. Did you mean "user-name"?`,
+      `Unknown prop "user-ids" on <user-card>. Did you mean "user-id"?`
+    ])
+    expect(template.slice(tips[0].start, tips[0].end)).toBe(':usr-name')
+  })
+
+  it('should accept lists of names', () => {
+    const tips = check(`<div :a="a" @click="b()">{{ c }} {{ d }}</div>`, {
+      props: ['a'],
+      methods: ['b'],
+      inject: ['c'],
+      globals: ['d']
+    })
+    expect(tips).toEqual([])
+  })
+
+  it('should not report unknown names when data cannot be resolved', () => {
+    const tips = check(`<div>{{ anything() }} {{ title() }}</div>`, {
+      props: { title: String },
+      data () {
+        throw new Error('needs an instance')
+      }
+    })
+    expect(messages(tips)).toEqual([
+      `"title" is a prop, not a method, and cannot be called.`
+    ])
+  })
+
+  it('should support functions without parameters and function keywords', () => {
+    const tips = check(`
+      <div @click="() => increment()" @keyup="function (e) { let n = e.key; return increment(n) }">
+        <input @input="e => { const { value } = e.target; increment(value) }">
+      </div>
+    `, bindings)
+    expect(tips).toEqual([])
+  })
+
+  it('should skip the text of template literals only', () => {
+    const tips = check('<div>{{ { a: 1 } + `x` }} {{ `${ { b: cuont } }` }}</div>', bindings)
+    expect(messages(tips)).toEqual([
+      `Property or method "cuont" is referenced in the template but not defined on the component. Did you mean "count"?`
+    ])
+  })
+
+  it('should not call data functions', () => {
+    const data = jasmine.createSpy('data').and.returnValue({})
+    const tips = check(`<div>{{ missing }}</div>`, { data })
+    expect(data).not.toHaveBeenCalled()
+    // the keys of the returned object cannot be read from a spy
+    expect(tips).toEqual([])
+    expect(messages(check(`<div>{{ fn() }} {{ count() }} {{ missing }}</div>`, {
+      data: () => ({ count: 0, fn: function () {} })
+    }))).toEqual([
+      `"count" is a data property, not a method, and cannot be called.`,
+      `Property or method "missing" is referenced in the template but not defined on the component.`
+    ])
+  })
+
+  it('should support custom delimiters', () => {
+    const tips = check(`<div>[[ missing ]] {{ ignored }}</div>`, {}, {
+      delimiters: ['[[', ']]']
+    })
+    expect(messages(tips)).toEqual([
+      `Property or method "missing" is referenced in the template but not defined on the component.`
+    ])
+  })
+
+  it('should not run without bindings', () => {
+    expect(check(`<div>{{ missing }}</div>`)).toEqual([])
+  })
+  it('should not report its findings as errors', () => {
+    const { errors, tips } = compile(`<div>{{ missing }}</div>`, {
+      bindings: { data: ['count'] }
+    })
+    expect(errors).toEqual([])
+    expect(tips.length).toBe(1)
+  })
+})
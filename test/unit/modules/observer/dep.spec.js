@@ -51,6 +51,18 @@ describe('Dep', () => {
       dep.depend()
       expect(Dep.target.addDep).toHaveBeenCalledWith(dep)
     })
+
+    it('should call onTrack of target with debugger info', () => {
+      const target = Dep.target = jasmine.createSpyObj('TARGET', ['addDep', 'onTrack'])
+      const obj = {}
+      dep.depend({ target: obj, type: 'get', key: 'a' })
+      expect(target.onTrack).toHaveBeenCalledWith({
+        effect: target,
+        target: obj,
+        type: 'get',
+        key: 'a'
+      })
+    })
   })
 
   describe('notify()', () => {
@@ -59,5 +71,24 @@ describe('Dep', () => {
       dep.notify()
       expect(dep.subs[0].update).toHaveBeenCalled()
     })
+
+    it('should call onTrigger of subs before updating', () => {
+      const sub = jasmine.createSpyObj('SUB', ['update', 'onTrigger'])
+      sub.onTrigger.and.callFake(() => {
+        expect(sub.update).not.toHaveBeenCalled()
+      })
+      dep.subs.push(sub)
+      const obj = {}
+      dep.notify({ target: obj, type: 'set', key: 'a', newValue: 2, oldValue: 1 })
+      expect(sub.onTrigger).toHaveBeenCalledWith({
+        effect: sub,
+        target: obj,
+        type: 'set',
+        key: 'a',
+        newValue: 2,
+        oldValue: 1
+      })
+      expect(sub.update).toHaveBeenCalled()
+    })
   })
 })
@@ -344,6 +344,140 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const map = new Map([['a', {}]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(ob1.value).toBe(map)
+    expect(map.__ob__).toBe(ob1)
+    expect(map instanceof Map).toBe(true)
+    // should've observed existing values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+
+    const set = new Set([{}])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(set.__ob__).toBe(ob2)
+    set.forEach(value => {
+      expect(value.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    expect(map.get('a')).toBe(obj)
+    expect(dep.notify.calls.count()).toBe(1)
+    // same value should not trigger
+    map.set('a', obj)
+    expect(dep.notify.calls.count()).toBe(1)
+    map.set('b', NaN)
+    map.set('b', NaN)
+    expect(dep.notify.calls.count()).toBe(2)
+    map.delete('b')
+    map.delete('b')
+    expect(dep.notify.calls.count()).toBe(3)
+    map.clear()
+    map.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    // inserted values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj)
+    expect(set.has(obj)).toBe(true)
+    expect(dep.notify.calls.count()).toBe(1)
+    set.delete(obj)
+    expect(dep.notify.calls.count()).toBe(2)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing WeakMap and WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    const ob1 = observe(weakMap)
+    const ob2 = observe(weakSet)
+    spyOn(ob1.dep, 'notify')
+    spyOn(ob2.dep, 'notify')
+    weakMap.set(key, { a: 1 })
+    weakMap.delete(key)
+    weakSet.add(key)
+    weakSet.add(key)
+    weakSet.delete(key)
+    expect(ob1.dep.notify.calls.count()).toBe(2)
+    expect(ob2.dep.notify.calls.count()).toBe(2)
+  })
+
+  it('not observe subclasses of Map and Set', () => {
+    class Registry extends Map {
+      register (key, value) {
+        return this.set(key, value)
+      }
+    }
+    const registry = new Registry()
+    expect(observe(registry)).toBeUndefined()
+    expect(registry.__ob__).toBeUndefined()
+    expect(Object.getPrototypeOf(registry)).toBe(Registry.prototype)
+    registry.register('a', 1)
+    expect(registry.get('a')).toBe(1)
+
+    class Tags extends Set {}
+    const tags = new Tags()
+    expect(observe(tags)).toBeUndefined()
+    expect(tags instanceof Tags).toBe(true)
+  })
+
+  it('collecting deps from Map and Set reads', () => {
+    const map = new Map([['a', { b: 1 }]])
+    const set = new Set([1])
+    observe(map)
+    observe(set)
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    map.get('a').b
+    Dep.target = null
+    expect(watcher.deps.length).toBe(3) // map + map.get('a') + b
+    map.get('a').b = 2
+    expect(watcher.update.calls.count()).toBe(1)
+
+    const readers = [
+      () => set.size,
+      () => set.has(1),
+      () => set.forEach(() => {}),
+      () => set.values(),
+      () => [...set]
+    ]
+    readers.forEach(read => {
+      watcher.deps = []
+      Dep.target = watcher
+      read()
+      Dep.target = null
+      expect(watcher.deps).toEqual([set.__ob__.dep])
+    })
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
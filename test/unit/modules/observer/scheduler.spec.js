@@ -126,6 +126,47 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should respect config.maxUpdateCount', done => {
+    const original = Vue.config.maxUpdateCount
+    Vue.config.maxUpdateCount = 10
+    let count = 0
+    const job = {
+      id: 1,
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(11)
+      expect('It ran more than 10 times in one flush').toHaveBeenWarned()
+      Vue.config.maxUpdateCount = original
+    }).then(done)
+  })
+
+  it('should report the chain of updates in an infinite loop', done => {
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      watch: {
+        a () {
+          this.b++
+        },
+        b () {
+          this.a++
+        }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(
+        'Update chain:\n' +
+        '  watcher "a" of <Root> was re-queued by set "a" in watcher "b" of <Root>\n' +
+        '  watcher "b" of <Root> was re-queued by set "b" in watcher "a" of <Root>'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -118,6 +118,41 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('deep watch Map and Set', done => {
+    const map = new Map([['a', { b: 1 }]])
+    const set = new Set()
+    const collections = Vue.observable({ map, set })
+    new Watcher(vm, () => collections, spy, {
+      deep: true
+    })
+    map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      map.set('c', 1)
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      set.add(1)
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+      set.clear()
+    }).then(() => {
+      expect(spy.calls.count()).toBe(4)
+    }).then(done)
+  })
+
+  it('watch function reading Map', done => {
+    const map = Vue.observable(new Map())
+    const watcher = new Watcher(vm, () => map.get('a'), spy)
+    expect(watcher.value).toBeUndefined()
+    map.set('a', 1)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, undefined)
+      map.delete('a')
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(undefined, 1)
+    }).then(done)
+  })
+
   it('fire change for prop addition/deletion in non-deep mode', done => {
     new Watcher(vm, 'b', spy)
     Vue.set(vm.b, 'e', 123)
@@ -0,0 +1,164 @@
+import Vue from 'vue'
+import { getBlockDepth } from 'core/instance/render-helpers/render-block'
+
+function mount (template, data, components) {
+  const { render, staticRenderFns } = Vue.compile(template, { blockTree: true })
+  return new Vue({ data, render, staticRenderFns, components }).$mount()
+}
+
+describe('vdom patch: block tree', () => {
+  it('should patch the dynamic nodes of a block', done => {
+    const vm = mount(
+      '<div><p :class="cls">{{ msg }} <b>static</b></p><span id="a"><i>{{ msg }}</i></span></div>',
+      { cls: 'a', msg: 'foo' }
+    )
+    const p = vm.$el.firstChild
+    const i = vm.$el.lastChild.firstChild
+    expect(vm._vnode.dynamicChildren.length).toBe(3)
+    vm.cls = 'b'
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.className).toBe('b')
+      expect(p.textContent).toBe('bar static')
+      expect(vm.$el.lastChild.firstChild).toBe(i)
+      expect(i.textContent).toBe('bar')
+      vm.msg = 'baz'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('baz staticbaz')
+    }).then(done)
+  })
+
+  it('should replace blocks of different templates', done => {
+    const vm = mount(
+      '<div><p v-if="ok"><b>{{ msg }}</b></p><p v-else><i>{{ msg }}</i></p></div>',
+      { ok: true, msg: 'foo' }
+    )
+    const p = vm.$el.firstChild
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).not.toBe(p)
+      expect(vm.$el.innerHTML).toBe('<p><i>foo</i></p>')
+      vm.msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p><i>bar</i></p>')
+    }).then(done)
+  })
+
+  it('should patch blocks rendered by v-for', done => {
+    const vm = mount(
+      '<ul><li v-for="item in list" :key="item.id"><span>{{ item.msg }}</span></li></ul>',
+      { list: [{ id: 1, msg: 'a' }, { id: 2, msg: 'b' }] }
+    )
+    vm.list[1].msg = 'c'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('ac')
+      vm.list.reverse()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('ca')
+    }).then(done)
+  })
+
+  it('should update components, refs and directives inside a block', done => {
+    const spy = jasmine.createSpy('update')
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      directives: { test: { update: spy }},
+      components: {
+        test: {
+          props: ['msg'],
+          render (h) { return h('b', this.msg) }
+        }
+      },
+      ...Vue.compile(
+        '<div><p><test :msg="msg"></test><i ref="i" v-test="msg"></i></p></div>',
+        { blockTree: true }
+      )
+    }).$mount()
+    expect(vm.$refs.i).toBe(vm.$el.firstChild.lastChild)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild.firstChild.textContent).toBe('bar')
+      expect(vm.$refs.i).toBe(vm.$el.firstChild.lastChild)
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should patch the roots of functional components in full', done => {
+    const vm = mount('<div><p>static</p><fn :ok="ok"></fn></div>', { ok: true }, {
+      fn: {
+        functional: true,
+        props: ['ok'],
+        render (h, { props }) {
+          return h('span', [props.ok ? h('b', 'yes') : h('i', 'no')])
+        }
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<p>static</p><span><b>yes</b></span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>static</p><span><i>no</i></span>')
+    }).then(done)
+  })
+
+  it('should patch blocks in full when functional components change shape', done => {
+    const vm = mount('<div><p>{{ msg }}</p><fn :n="n"></fn></div>', { n: 1, msg: 'a' }, {
+      fn: {
+        functional: true,
+        props: ['n'],
+        render (h, { props }) {
+          return props.n === 1 ? h('b', 'one') : [h('i', 'one'), h('i', 'two')]
+        }
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<p>a</p><b>one</b>')
+    vm.n = 2
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>b</p><i>one</i><i>two</i>')
+      vm.n = 1
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>b</p><b>one</b>')
+    }).then(done)
+  })
+
+  it('should patch blocks in full when they change shape after a block patch', done => {
+    const vm = mount(
+      '<div><section><p>{{ msg }}</p><fn :n="n"></fn></section></div>',
+      { n: 1, msg: 'a' },
+      {
+        fn: {
+          functional: true,
+          props: ['n'],
+          render (h, { props }) {
+            return props.n === 1 ? h('b', 'one') : [h('i', 'one'), h('i', 'two')]
+          }
+        }
+      }
+    )
+    const p = vm.$el.firstChild.firstChild
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<section><p>b</p><b>one</b></section>')
+      vm.n = 2
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<section><p>b</p><i>one</i><i>two</i></section>')
+      expect(vm.$el.firstChild.firstChild).toBe(p)
+      vm.msg = 'c'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<section><p>c</p><i>one</i><i>two</i></section>')
+      vm.n = 1
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<section><p>c</p><b>one</b></section>')
+    }).then(done)
+  })
+
+  it('should close the blocks of render functions that throw', () => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = mount('<div><p>{{ a.b }}</p></div>', { a: null })
+    Vue.config.errorHandler = null
+    expect(spy.calls.argsFor(0)[0] instanceof TypeError).toBe(true)
+    expect(getBlockDepth()).toBe(0)
+    expect(vm.$el.nodeType).toBe(8)
+  })
+})
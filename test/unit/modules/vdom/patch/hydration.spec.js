@@ -388,4 +388,29 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  it('should hydrate fragment components', done => {
+    const dom = createMockSSRDOM('<!--[--><p>a</p><p>1</p><!--]--><span>after</span>')
+    const p = dom.children[1]
+
+    const vm = new Vue({
+      data: { n: 1 },
+      template: '<div><test :n="n"></test><span>after</span></div>',
+      components: {
+        test: {
+          props: ['n'],
+          template: '<p>a</p><p>{{ n }}</p>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom)
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+    vm.n = 2
+    waitForUpdate(() => {
+      expect(dom.children[1]).toBe(p)
+      expect(dom.innerHTML).toBe('<!--[--><p>a</p><p>2</p><!--]--><span>after</span>')
+    }).then(done)
+  })
 })
@@ -0,0 +1,85 @@
+import Vue from 'vue'
+
+function mount (template, data, components) {
+  const { render, staticRenderFns } = Vue.compile(template, { patchFlags: true })
+  return new Vue({ data, render, staticRenderFns, components }).$mount()
+}
+
+describe('vdom patch: patch flags', () => {
+  it('should only patch the flagged parts of the data', done => {
+    const vm = mount(
+      '<div><p id="a" style="color: red" :title="title">{{ msg }}</p></div>',
+      { title: 'foo', msg: 'hello' }
+    )
+    const p = vm.$el.firstChild
+    expect(vm._vnode.children[0].data.normalizedStyle).toEqual({})
+    vm.title = 'bar'
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(p.getAttribute('title')).toBe('bar')
+      expect(p.textContent).toBe('bye')
+      expect(p.style.color).toBe('red')
+      // the style module did not run
+      expect(vm._vnode.children[0].data.normalizedStyle).toBeUndefined()
+    }).then(done)
+  })
+
+  it('should patch text as the only child', done => {
+    const vm = mount('<div><span class="a">{{ msg }}</span></div>', { msg: 'foo' })
+    const text = vm.$el.firstChild.firstChild
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild.firstChild).toBe(text)
+      expect(text.data).toBe('bar')
+    }).then(done)
+  })
+
+  it('should fully patch vnodes from different elements', done => {
+    const vm = mount(
+      '<div><p v-if="ok" id="a" class="a">{{ msg }}</p><p v-else title="b" class="b">{{ msg }}</p></div>',
+      { ok: true, msg: 'foo' }
+    )
+    const p = vm.$el.firstChild
+    vm.ok = false
+    waitForUpdate(() => {
+      // the element is reused
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.hasAttribute('id')).toBe(false)
+      expect(p.getAttribute('title')).toBe('b')
+      expect(p.className).toBe('b')
+      vm.ok = true
+    }).then(() => {
+      expect(p.getAttribute('id')).toBe('a')
+      expect(p.hasAttribute('title')).toBe(false)
+      expect(p.className).toBe('a')
+    }).then(done)
+  })
+
+  it('should fully patch component roots', done => {
+    const vm = mount('<div><test :class="cls"></test></div>', { cls: 'a' }, {
+      test: {
+        data: () => ({ msg: 'foo' }),
+        render: Vue.compile('<p class="root">{{ msg }}</p>', { patchFlags: true }).render
+      }
+    })
+    expect(vm.$el.firstChild.className).toBe('root a')
+    vm.cls = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild.className).toBe('root b')
+      vm.$children[0].msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.firstChild.className).toBe('root b')
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should keep syncing input values', done => {
+    const vm = mount('<div><input :value="\'foo\'">{{ msg }}</div>', { msg: 'a' })
+    const input = vm.$el.firstChild
+    input.value = 'bar'
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(input.value).toBe('foo')
+    }).then(done)
+  })
+})
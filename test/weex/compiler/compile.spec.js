@@ -73,4 +73,13 @@ describe('compile basic', () => {
     expect(staticRenderFns).toEqual([])
     expect(errors).toEqual([])
   })
+
+  it('should not compile multiple root elements as a fragment', () => {
+    const { render, errors } = compile(`<div></div><text>abc</text>`)
+    expect(render).toEqual(`with(this){return _c('div')}`)
+    expect(errors).toEqual([
+      'Component template should contain exactly one root element. ' +
+      'If you are using v-if on multiple elements, use v-else-if to chain them instead.'
+    ])
+  })
 })
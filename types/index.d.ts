@@ -17,6 +17,9 @@ export {
   PropType,
   PropOptions,
   ComputedOptions,
+  AsyncComputedGetter,
+  AsyncComputedOptions,
+  AsyncComputedState,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
@@ -24,6 +27,22 @@ export {
   DirectiveOptions
 } from "./options";
 
+export {
+  Ref,
+  ComputedRef,
+  WritableComputedOptions,
+  WatchSource,
+  WatchCallback,
+  WatchEffect,
+  WatchStopHandle,
+  OnCleanup,
+  EffectScope,
+  DebuggerEvent,
+  DebuggerOptions,
+  WatchEffectOptions,
+  DeepReadonly
+} from "./reactivity";
+
 export {
   PluginFunction,
   PluginObject
@@ -1,5 +1,6 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
+import { DebuggerEvent, DebuggerOptions } from "./reactivity";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -76,6 +77,7 @@ export interface ComponentOptions<
   props?: PropsDef;
   propsData?: object;
   computed?: Accessors<Computed>;
+  asyncComputed?: Record<string, AsyncComputedGetter<any> | AsyncComputedOptions<any>>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any>>;
 
@@ -98,6 +100,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -120,6 +124,7 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  proxyArrays?: boolean;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -164,17 +169,31 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
 }
 
+export type AsyncComputedGetter<T> = (vm: any, onCancel: (fn: () => void) => void) => T | Promise<T>;
+
+export interface AsyncComputedOptions<T> {
+  get: AsyncComputedGetter<T>;
+  default?: T;
+}
+
+export interface AsyncComputedState<T = any> {
+  readonly value: T;
+  readonly pending: boolean;
+  readonly error: any;
+}
+
 export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
 
-export interface WatchOptions {
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -0,0 +1,61 @@
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> {
+  readonly value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get: () => T;
+  set: (value: T) => void;
+}
+
+export type WatchSource<T = any> = Ref<T> | ComputedRef<T> | (() => T);
+
+export type OnCleanup = (cleanupFn: () => void) => void;
+
+export type WatchCallback<V = any, OV = any> = (
+  value: V,
+  oldValue: OV,
+  onCleanup: OnCleanup
+) => any;
+
+export type WatchEffect = (onCleanup: OnCleanup) => void;
+
+export type WatchStopHandle = () => void;
+
+export interface EffectScope {
+  readonly active: boolean;
+  readonly detached: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export type TrackOpTypes = 'get' | 'has' | 'iterate';
+
+export type TriggerOpTypes = 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: TrackOpTypes | TriggerOpTypes;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
+}
+
+export interface WatchEffectOptions extends DebuggerOptions {
+  flush?: 'pre' | 'post' | 'sync';
+}
+
+export type DeepReadonly<T> = T extends Function
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
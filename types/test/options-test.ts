@@ -150,6 +150,16 @@ Vue.component('component', {
       cache: false
     }
   },
+  asyncComputed: {
+    user(vm, onCancel) {
+      onCancel(() => {});
+      return Promise.resolve({ name: "foo" });
+    },
+    posts: {
+      get: () => Promise.resolve([]),
+      default: []
+    }
+  },
   methods: {
     plus(): void {
       this.a++;
@@ -167,7 +177,8 @@ Vue.component('component', {
       handler(val, oldVal) {
         this.a = val
       },
-      deep: true
+      deep: true,
+      flush: 'post'
     },
     d: {
       handler: 'someMethod',
@@ -258,6 +269,12 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(event) {
+    event.key
+  },
+  renderTriggered(event) {
+    event.type.toUpperCase()
+  },
 
   directives: {
     a: {
@@ -292,7 +309,8 @@ Vue.component('component', {
   mixins: [Vue.component(""), ({} as ComponentOptions<Vue>)],
   name: "Component",
   extends: {} as ComponentOptions<Vue>,
-  delimiters: ["${", "}"]
+  delimiters: ["${", "}"],
+  proxyArrays: true
 });
 
 
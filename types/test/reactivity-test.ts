@@ -0,0 +1,67 @@
+import Vue from "../index";
+
+const state = Vue.reactive({ count: 0 });
+state.count++;
+
+const count = Vue.ref(0);
+count.value++;
+if (Vue.isRef(count)) {
+  count.value.toFixed();
+}
+Vue.unref(count).toFixed();
+
+const double = Vue.computed(() => count.value * 2);
+double.value.toFixed();
+
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (value: number) => { count.value = value }
+});
+writable.value = 1;
+
+const stop = Vue.watch(count, (value, oldValue, onCleanup) => {
+  value.toFixed();
+  onCleanup(() => {});
+}, { immediate: true, deep: true });
+stop();
+
+Vue.watch(() => state.count, value => value.toFixed());
+Vue.watch(state, value => value.count);
+Vue.watch([count, () => state.count], ([a, b]) => a + b);
+
+Vue.watchEffect(onCleanup => {
+  onCleanup(() => {});
+});
+
+const scope = Vue.effectScope();
+const result: number | undefined = scope.run(() => 1);
+scope.stop();
+
+const detached = Vue.effectScope(true);
+detached.run(() => {
+  Vue.onScopeDispose(() => {});
+  const current = Vue.getCurrentScope();
+  if (current) {
+    current.active;
+  }
+});
+
+const tracked = Vue.computed(() => count.value, {
+  onTrack(event) {
+    event.target;
+    event.key;
+  },
+  onTrigger(event) {
+    event.type === "set";
+  }
+});
+Vue.watchEffect(() => {}, { onTrack: event => event.effect, flush: 'post' });
+Vue.watch(count, () => {}, { onTrigger: event => event.newValue });
+
+const shallow = Vue.shallowReactive({ nested: { count: 0 } });
+shallow.nested.count++;
+const locked = Vue.readonly({ nested: { count: 0 } });
+locked.nested.count.toFixed();
+const raw = Vue.markRaw({ big: [1, 2, 3] });
+raw.big.push(4);
+const flags: boolean[] = [Vue.isReadonly(locked), Vue.isShallow(shallow)];
@@ -3,7 +3,7 @@ import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-p
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import { createRenderer, createBundleRenderer, createDiskCompileCache } from '../../packages/vue-server-renderer';
 
 function createApp (context: any) {
   return new Vue({
@@ -91,6 +91,8 @@ const bundleRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json
     }
   },
 
+  compileCache: createDiskCompileCache('/path/to/compile-cache'),
+
   directives: {
     example (vnode: VNode, directiveMeta: VNodeDirective) {
       // transform vnode based on directive binding metadata
@@ -31,6 +31,8 @@ class Test extends Vue {
     this.$refs.element.value;
     this.$refs.vues[0].$data;
     this.$refs.elements[0].value;
+    this.$asyncComputed.user.pending;
+    this.$asyncComputed.user.error;
   }
 
   testMethods() {
@@ -44,6 +46,7 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", () => {}, { flush: "post" });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +78,7 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.proxyArrays = true
   }
 
   static testMethods() {
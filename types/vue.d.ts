@@ -11,9 +11,23 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  AsyncComputedState,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
+import {
+  Ref,
+  ComputedRef,
+  WritableComputedOptions,
+  WatchSource,
+  WatchCallback,
+  WatchEffect,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerOptions,
+  WatchEffectOptions,
+  DeepReadonly
+} from "./reactivity";
 
 export interface CreateElement {
   (tag?: string | Component<any, any, any, any> | AsyncComponent<any, any, any, any> | (() => Component), children?: VNodeChildren): VNode;
@@ -21,6 +35,11 @@ export interface CreateElement {
 }
 
 export interface Vue {
+  /**
+   * The root DOM node of the instance. For a component that renders
+   * several root nodes (a fragment) this is the empty text node placed
+   * before them, not an element.
+   */
   readonly $el: Element;
   readonly $options: ComponentOptions<Vue>;
   readonly $parent: Vue;
@@ -32,6 +51,7 @@ export interface Vue {
   readonly $isServer: boolean;
   readonly $data: Record<string, any>;
   readonly $props: Record<string, any>;
+  readonly $asyncComputed: Record<string, AsyncComputedState>;
   readonly $ssrContext: any;
   readonly $vnode: VNode;
   readonly $attrs: Record<string, string>;
@@ -75,6 +95,9 @@ export interface VueConfiguration {
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
+  proxyArrays: boolean;
+  maxUpdateCount: number;
+  sourceMaps: boolean;
 }
 
 export interface VueConstructor<V extends Vue = Vue> {
@@ -121,6 +144,27 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(target: T): T;
+  shallowReactive<T extends object>(target: T): T;
+  readonly<T extends object>(target: T): DeepReadonly<T>;
+  markRaw<T extends object>(value: T): T;
+  isReactive(value: any): boolean;
+  isReadonly(value: any): boolean;
+  isShallow(value: any): boolean;
+  ref<T>(value: T): Ref<T>;
+  ref<T = any>(): Ref<T | undefined>;
+  isRef<T>(r: Ref<T> | any): r is Ref<T>;
+  unref<T>(r: T | Ref<T>): T;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>, debugOptions?: DebuggerOptions): Ref<T>;
+  watch<T>(source: WatchSource<T>, cb: WatchCallback<T, T | undefined>, options?: WatchOptions): WatchStopHandle;
+  watch(sources: (WatchSource | object)[], cb: WatchCallback<any[], any[]>, options?: WatchOptions): WatchStopHandle;
+  watch<T extends object>(source: T, cb: WatchCallback<T, T | undefined>, options?: WatchOptions): WatchStopHandle;
+  watchEffect(effect: WatchEffect, options?: WatchEffectOptions): WatchStopHandle;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | null;
+  onScopeDispose(fn: () => void): void;
+
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;
   };